@@ -0,0 +1,7 @@
+// Regenerates .actor/dataset_schema.json from the record definition in src/record.js
+import { writeFile } from 'fs/promises';
+import { datasetSchema } from '../src/record.js';
+
+const target = new URL('../.actor/dataset_schema.json', import.meta.url);
+await writeFile(target, `${JSON.stringify(datasetSchema(), null, 2)}\n`);
+console.log(`Wrote ${target.pathname}`);
@@ -0,0 +1,128 @@
+// Apply details - how a job is applied for, its reference and the advertiser's contact, from the apply panel and search state
+import { detectEmployerType } from './employer-type.js';
+import { pickAttr, pickText, toAbsoluteUrl } from './utils.js';
+
+export const APPLY_TYPES = ['easy_apply', 'external', 'unknown'];
+
+// Record fields every source may fill; the first source with a value wins
+export const APPLY_FIELDS = ['apply_url', 'apply_type', 'job_identifier', 'recruiter_name', 'contact_phone', 'contact_email', 'employer_type'];
+
+// Apply panel markup on the job page: the panel holding the contact, and the apply link itself
+const PANEL_SELECTORS = ['[data-at="apply-panel"]', '[data-at="job-ad-contact"]', '.apply-panel', '.contact-details', '[class*="contact"]'];
+const APPLY_LINK_SELECTORS = ['a[data-at="apply-button"]', 'a[data-at="header-apply-button"]', 'a[data-at*="apply"]', 'a.apply-button', 'a[href*="/apply"]'];
+const EASY_APPLY_TEXT = /\b(?:easy|quick|one[- ]click) apply\b|\bapply (?:now )?with your (?:cv|profile)\b/i;
+const EXTERNAL_APPLY_TEXT = /\bapply on (?:the )?(?:company|employer|recruiter)(?:'s)? (?:website|site)\b|\bexternal application\b/i;
+
+// "Reference: NC-2291", "Job ref # 4471"; not "References available on request"
+const REFERENCE_TEXT = /\b(?:job )?ref(?:erence)?\.?(?: (?:no|number|code|id)\.?)?[ \t]*[:#][ \t]*([A-Za-z0-9][\w./-]*)/i;
+const CONTACT_TEXT = /\b(?:[Cc]ontact(?: name)?|[Rr]ecruiter|[Cc]onsultant)\s*:\s*([A-Z][\w'’-]*(?:[ \t]+[A-Z][\w'’-]*){0,3})/;
+const EMAIL = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/;
+// UK numbers: 0113 496 0000, 07700 900123, +44 (0)20 7946 0000
+const PHONE = /(?:\+44\s?(?:\(0\)\s?)?|\b0)\d{2,4}[\s-]?\d{3,4}[\s-]?\d{3,4}\b/;
+
+const bareHost = (host) => host.toLowerCase().replace(/^www\./, '');
+const clean = (value) => (typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() || null : null);
+
+// Text of the nodes one line each, so labels and values in neighbouring elements don't run together
+const textLines = ($, $nodes) => $nodes.find('*').addBack().contents()
+  .filter((i, node) => node.type === 'text')
+  .map((i, node) => clean($(node).text()))
+  .get()
+  .join('\n');
+
+/**
+ * How a job is applied for: `easy_apply` on the board itself or `external` on the advertiser's site.
+ * An explicit flag wins; otherwise an apply URL on the job page's host counts as easy apply.
+ * @param {{ directApply?: boolean|null, applyUrl?: string|null, pageUrl?: string|null }} signals
+ * @returns {'easy_apply'|'external'|null} null when neither is known
+ */
+export function classifyApply({ directApply, applyUrl, pageUrl } = {}) {
+  if (typeof directApply === 'boolean') return directApply ? 'easy_apply' : 'external';
+  if (!applyUrl || !pageUrl) return null;
+  try {
+    return bareHost(new URL(applyUrl, pageUrl).host) === bareHost(new URL(pageUrl).host) ? 'easy_apply' : 'external';
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Reads the apply panel of a job page: the apply link and how it applies, the job reference, the
+ * recruiter or consultant, a contact phone number and email, and the advertiser type when shown.
+ * @param {import('cheerio').CheerioAPI} $
+ * @param {{ url: string }} options `url` is the loaded URL of the page
+ * @returns {Record<string, string|null>} the APPLY_FIELDS, null where the page doesn't say
+ */
+export function parseApplyPanel($, { url }) {
+  const $root = $.root();
+  const $panel = $(PANEL_SELECTORS.join(', '));
+  const panelText = textLines($, $panel);
+
+  const href = pickAttr($root, APPLY_LINK_SELECTORS, 'href');
+  const apply_url = href && !/^(?:#|javascript:|mailto:|tel:)/i.test(href) ? toAbsoluteUrl(href, new URL(url).origin) : null;
+  const applyText = `${pickText($root, [...APPLY_LINK_SELECTORS, 'button[data-at*="apply"]']) || ''} ${panelText}`;
+  const flagged = $('[data-at="easy-apply"], [data-easy-apply="true"]').length || EASY_APPLY_TEXT.test(applyText)
+    ? true
+    : $('[data-at="external-apply"]').length || EXTERNAL_APPLY_TEXT.test(applyText) ? false : null;
+
+  const referenceText = pickText($root, ['[data-at="job-reference"]', '[class*="reference"]']);
+  const job_identifier = (referenceText && (referenceText.match(REFERENCE_TEXT)?.[1] || clean(referenceText)))
+    || textLines($, $('body')).match(REFERENCE_TEXT)?.[1]
+    || null;
+
+  const phoneHref = pickAttr($root, ['a[href^="tel:"]'], 'href');
+  const emailHref = pickAttr($root, ['a[href^="mailto:"]'], 'href');
+  const advertiser = detectEmployerType({ siteValue: pickText($root, ['[data-at="advertiser-type"]', '[data-at="metadata-advertiser-type"]']) });
+
+  return {
+    apply_url,
+    apply_type: classifyApply({ directApply: flagged, applyUrl: apply_url, pageUrl: url }),
+    job_identifier,
+    recruiter_name: pickText($root, ['[data-at="contact-name"]', '[data-at="recruiter-name"]', '.recruiter-name', '.contact-name'])
+      || panelText.match(CONTACT_TEXT)?.[1]
+      || null,
+    contact_phone: clean(phoneHref?.replace(/^tel:/i, '')) || panelText.match(PHONE)?.[0] || null,
+    contact_email: clean(emailHref?.replace(/^mailto:/i, '').split('?')[0]) || panelText.match(EMAIL)?.[0] || null,
+    employer_type: advertiser === 'unknown' ? null : advertiser,
+  };
+}
+
+/**
+ * Apply details carried by a search results state item, kept on the list-page seed.
+ * @param {object} item State item
+ * @param {{ url: string, baseUrl: string }} options `url` is the job page URL
+ */
+export function applyFromState(item, { url, baseUrl }) {
+  const applyUrl = item.applyUrl || item.externalApplyUrl || null;
+  const apply_url = applyUrl ? toAbsoluteUrl(applyUrl, baseUrl) : null;
+  const easy = item.isEasyApply ?? item.easyApply;
+  const external = item.isExternalApplication ?? item.externalApply;
+  return {
+    apply_url,
+    apply_type: classifyApply({
+      directApply: typeof easy === 'boolean' ? easy : typeof external === 'boolean' ? !external : null,
+      applyUrl: apply_url,
+      pageUrl: url,
+    }),
+    job_identifier: clean(String(item.jobReference ?? item.reference ?? '')),
+    recruiter_name: clean(item.contactName ?? item.recruiterName),
+    contact_phone: clean(item.contactPhone),
+    contact_email: clean(item.contactEmail),
+  };
+}
+
+/**
+ * Combines apply details field by field, taking the first source with a value (an `unknown` type or
+ * employer type counts as none).
+ * @param {Array<object|null|undefined>} sources In order of preference, e.g. JSON-LD, apply panel, seed
+ * @returns {Record<string, string|null>} the APPLY_FIELDS; `apply_type` is `unknown` when no source knows it
+ */
+export function mergeApplyDetails(sources) {
+  const merged = {};
+  for (const field of APPLY_FIELDS) {
+    const source = sources.find((s) => s?.[field] !== undefined && s[field] !== null && s[field] !== '' && s[field] !== 'unknown');
+    merged[field] = source ? source[field] : null;
+  }
+  merged.apply_type ??= 'unknown';
+  return merged;
+}
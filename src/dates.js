@@ -0,0 +1,100 @@
+// Posting date normalisation - ISO timestamps from JSON-LD dates, state values and "2 days ago" text
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RELATIVE_UNITS_MS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: DAY_MS,
+  week: 7 * DAY_MS,
+  month: 30 * DAY_MS,
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Search recency values Totaljobs understands in its postedWithin parameter
+const SITE_POSTED_WITHIN_DAYS = [1, 3, 7];
+
+const toIso = (ms) => (Number.isFinite(ms) ? new Date(ms).toISOString() : null);
+
+function parseAbsoluteDate(text) {
+  // ISO dates and timestamps, as found in JSON-LD and the search state
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) return Date.parse(text);
+
+  // UK numeric dates: 15/11/2025
+  let match = text.match(/\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})\b/);
+  if (match) return Date.UTC(Number(match[3]), Number(match[2]) - 1, Number(match[1]));
+
+  // Written dates: 15 November 2025, 15th Nov 2025
+  match = text.match(/\b(\d{1,2})(?:st|nd|rd|th)?\s+([a-z]{3})[a-z]*\.?,?\s+(\d{4})\b/i);
+  if (match && MONTHS.includes(match[2].toLowerCase())) {
+    return Date.UTC(Number(match[3]), MONTHS.indexOf(match[2].toLowerCase()), Number(match[1]));
+  }
+  return NaN;
+}
+
+/**
+ * Resolves a posting date as shown on Totaljobs into an ISO timestamp.
+ * Relative text ("2 days ago", "Yesterday", "New", "30+ days ago") is resolved against `now`,
+ * normally the run's start time so every record of a run shares the same reference point.
+ * @param {string|null|undefined} raw
+ * @param {number|Date} [now=Date.now()]
+ * @returns {string|null}
+ */
+export function parsePostedDate(raw, now = Date.now()) {
+  if (raw === null || raw === undefined || raw === '') return null;
+  const ref = now instanceof Date ? now.getTime() : Number(now);
+  const text = String(raw).trim().replace(/^(?:posted|updated|added)\s*:?\s*/i, '');
+
+  const absolute = parseAbsoluteDate(text);
+  if (Number.isFinite(absolute)) return toIso(absolute);
+
+  const lower = text.toLowerCase();
+  if (/^(?:today|just now|just posted|new|recently|moments? ago)\b/.test(lower)) return toIso(ref);
+  if (/^yesterday\b/.test(lower)) return toIso(ref - DAY_MS);
+
+  const match = lower.match(/(\d+|an?|one)\+?\s*(minute|min|hour|hr|day|week|month)s?\s+ago/);
+  if (match) {
+    const count = /^\d+$/.test(match[1]) ? Number(match[1]) : 1;
+    const unit = { min: 'minute', hr: 'hour' }[match[2]] || match[2];
+    return toIso(ref - count * RELATIVE_UNITS_MS[unit]);
+  }
+  return null;
+}
+
+/**
+ * Normalised posting date fields for a job record.
+ * @returns {{ date_posted_raw: string|null, date_posted_iso: string|null, expires_at: string|null }}
+ */
+export function postingDates(raw, { validThrough = null, now = Date.now() } = {}) {
+  return {
+    date_posted_raw: raw ?? null,
+    date_posted_iso: parsePostedDate(raw, now),
+    expires_at: validThrough ? parsePostedDate(validThrough, now) : null,
+  };
+}
+
+/**
+ * Resolves the `postedWithin` input - a number of days or an absolute date - into a cut-off.
+ * @returns {{ since: string, days: number }|null} null when the value is empty or not understood
+ */
+export function resolvePostedSince(value, now = Date.now()) {
+  if (value === null || value === undefined || value === '') return null;
+  const ref = now instanceof Date ? now.getTime() : Number(now);
+  const text = String(value).trim();
+
+  if (/^\d+(?:\.\d+)?$/.test(text)) {
+    const days = Number(text);
+    if (days <= 0) return null;
+    return { since: toIso(ref - days * DAY_MS), days };
+  }
+
+  const since = parseAbsoluteDate(text);
+  if (!Number.isFinite(since)) return null;
+  return { since: toIso(since), days: Math.max(0, (ref - since) / DAY_MS) };
+}
+
+/** Smallest site-supported recency window covering `days`, or null when the site has none that wide. */
+export function sitePostedWithin(days) {
+  if (!Number.isFinite(days)) return null;
+  return SITE_POSTED_WITHIN_DAYS.find((siteDays) => siteDays >= Math.ceil(days)) ?? null;
+}
@@ -0,0 +1,134 @@
+// Description structure - sanitised HTML, Markdown, sections split by headings, bold lines and list blocks
+import { load as cheerioLoad } from 'cheerio';
+import { htmlToMarkdown, sanitizeHtml } from './sanitize.js';
+import { extractSkills } from './skills.js';
+import { htmlToText } from './utils.js';
+
+export const SECTION_NAMES = ['about', 'responsibilities', 'requirements', 'benefits', 'how_to_apply'];
+
+// Heading text -> section; checked in order, so "skills and experience" lands in requirements
+const SECTION_HEADINGS = [
+  { section: 'how_to_apply', pattern: /how to apply|to apply|apply now|application process|next steps/i },
+  { section: 'benefits', pattern: /benefit|what we offer|what's on offer|perks|package|in return|why (?:join|work)|reward/i },
+  { section: 'responsibilities', pattern: /responsibilit|duties|what you(?:'ll| will) (?:be )?do|the role involves|key tasks|day[- ]to[- ]day|your role/i },
+  { section: 'requirements', pattern: /requirement|what we(?:'re| are) looking for|skills|experience|qualifications|about you|you(?:'ll| will) (?:have|need)|essential|desirable|person spec|who you are/i },
+  { section: 'about', pattern: /about (?:the|this|us|our)|the role|the job|overview|summary|job description|who we are|the company/i },
+];
+
+// Descriptions shorter than this are too thin to split
+const MIN_TEXT_LENGTH = 40;
+
+const BLOCK_SELECTOR = 'h1, h2, h3, h4, h5, h6, p, li, dt, dd, div, td';
+const collapse = (text) => text.replace(/\s+/g, ' ').trim();
+
+const headingSection = (text) => SECTION_HEADINGS.find(({ pattern }) => pattern.test(text))?.section || null;
+
+// Leaf-level text blocks in document order; plain text with <br> line breaks becomes one block per line
+function textBlocks($) {
+  const blocks = [];
+  $('body').find(BLOCK_SELECTOR).each((i, el) => {
+    const $el = $(el);
+    if ($el.find(BLOCK_SELECTOR).length) return;
+    const tag = el.tagName.toLowerCase();
+    const bold = collapse($el.children('strong, b').first().text());
+    blocks.push({ tag, text: collapse($el.text()), bold });
+  });
+  if (blocks.length) return blocks;
+
+  const html = $('body').html() || '';
+  return html.split(/<br\s*\/?>/i)
+    .map((line) => ({ tag: 'line', text: collapse(cheerioLoad(`<body>${line}</body>`).text()), bold: '' }));
+}
+
+/**
+ * Splits a job description into sections. Text before the first recognised heading is "about";
+ * unrecognised headings keep the current section.
+ * @param {string|null} html Description HTML (a list-page snippet or the full description)
+ * @returns {{ about: string|null, responsibilities: string|null, requirements: string|null,
+ *   benefits: string|null, how_to_apply: string|null }|null} null when there is too little text
+ */
+export function splitDescriptionSections(html) {
+  if (!html) return null;
+  const $ = cheerioLoad(`<body>${html}</body>`);
+  if (collapse($('body').text()).length < MIN_TEXT_LENGTH) return null;
+
+  const lines = Object.fromEntries(SECTION_NAMES.map((name) => [name, []]));
+  let current = 'about';
+
+  for (const { tag, text, bold } of textBlocks($)) {
+    if (!text) continue;
+    const isHeading = /^h[1-6]$/.test(tag)
+      || (bold && bold === text && text.length <= 80)
+      || (text.endsWith(':') && text.length <= 60);
+    if (isHeading) {
+      current = headingSection(text) || current;
+      continue;
+    }
+
+    // Inline heading: "<strong>Requirements:</strong> CIPP qualification..."
+    const inline = bold && bold.endsWith(':') && text.startsWith(bold) ? headingSection(bold) : null;
+    if (inline) {
+      current = inline;
+      lines[current].push(text.slice(bold.length).trim());
+    } else {
+      lines[current].push(tag === 'li' ? `- ${text}` : text);
+    }
+  }
+
+  return Object.fromEntries(SECTION_NAMES.map((name) => [name, lines[name].join('\n') || null]));
+}
+
+// Ellipsis cut at a word boundary, so the result including the ellipsis fits maxLength
+function truncateText(text, maxLength) {
+  if (text.length <= maxLength) return text;
+  const cut = text.slice(0, Math.max(0, maxLength - 1));
+  const word = cut.replace(/\s+\S*$/, '');
+  return `${(word.length >= cut.length / 2 ? word : cut).trimEnd()}…`;
+}
+
+// Keeps whole top-level blocks while the text fits; a single oversized block becomes a cut paragraph
+function truncateHtml(html, maxLength) {
+  const $ = cheerioLoad(`<body>${html}</body>`);
+  const nodes = $('body').contents().toArray();
+  let length = 0;
+  let kept = 0;
+  for (const node of nodes) {
+    const text = $(node).text().replace(/\s+/g, ' ').trim();
+    if (text && length + text.length + (length ? 1 : 0) > maxLength) break;
+    if (text) length += text.length + (length ? 1 : 0);
+    kept += 1;
+  }
+  if (!length) return `<p>${$('<p>').text(truncateText(htmlToText(html), maxLength)).html()}</p>`;
+  $(nodes.slice(kept)).remove();
+  return ($('body').html() || '').trim();
+}
+
+/**
+ * Description fields shared by every record path: sanitised HTML, plain text, Markdown, sections and
+ * skills. Sections and skills always come from the full description, before the size cap.
+ * @param {{ title?: string|null, description_html?: string|null, description_text?: string|null }} job
+ * @param {object} [options]
+ * @param {{ name: string, patterns: RegExp[] }[]} [options.skills] Compiled skills dictionary
+ * @param {string} [options.baseUrl] Origin relative links are resolved against
+ * @param {number} [options.maxLength=0] Character cap for description_text (0 = none); the HTML and
+ *   Markdown keep the whole blocks that fit
+ */
+export function descriptionFields({ title, description_html, description_text }, { skills, baseUrl, maxLength = 0 } = {}) {
+  const html = description_html ? sanitizeHtml(description_html, { baseUrl }) : '';
+  const text = html ? htmlToText(html) : description_text || '';
+  // One line per block: description_text runs adjacent list items together ("Power BIWrite SQL")
+  const skillText = html
+    ? textBlocks(cheerioLoad(`<body>${html}</body>`)).map((block) => block.text).join('\n')
+    : text;
+  const truncated = maxLength > 0 && text.length > maxLength;
+  const cappedHtml = truncated && html ? truncateHtml(html, maxLength) : html;
+  const markdown = html ? htmlToMarkdown(cappedHtml) : '';
+  return {
+    description_html: cappedHtml || null,
+    description_text: (truncated ? truncateText(text, maxLength) : text) || null,
+    description_markdown: (truncated && markdown ? `${markdown}\n\n…` : markdown) || null,
+    description_truncated: truncated,
+    description_sections: splitDescriptionSections(html),
+    skills: extractSkills([title, skillText].filter(Boolean).join('\n'), skills),
+  };
+}
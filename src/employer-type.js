@@ -0,0 +1,32 @@
+// Employer type - direct employer or recruitment agency, from the search state, company name and ad text
+const AGENCY_COMPANY = /\b(?:recruitment|recruiting|recruiters?|staffing|personnel|resourcing|employment agency|search (?:&|and) selection|talent (?:solutions|partners))\b/i;
+const AGENCY_TEXT = /\bon behalf of (?:our|a|their) client\b|\bour client,? (?:a|an|is|are)\b|\bacting as an? (?:employment )?agency\b/i;
+const DIRECT_TEXT = /\bno agencies\b|\bdirect (?:hire|employer)\b/i;
+
+const SITE_VALUES = {
+  agency: 'agency',
+  recruiter: 'agency',
+  'recruitment agency': 'agency',
+  direct: 'direct',
+  employer: 'direct',
+  'direct employer': 'direct',
+};
+
+/**
+ * Classifies the advertiser of a job as a direct employer or an agency.
+ * @param {object} signals
+ * @param {*} [signals.siteValue] Advertiser type or agency flag from the search results state
+ * @param {string|null} [signals.company]
+ * @param {string|null} [signals.description] Plain-text description or snippet
+ * @returns {'direct'|'agency'|'unknown'}
+ */
+export function detectEmployerType({ siteValue, company, description } = {}) {
+  if (typeof siteValue === 'boolean') return siteValue ? 'agency' : 'direct';
+  if (typeof siteValue === 'string' && SITE_VALUES[siteValue.trim().toLowerCase()]) {
+    return SITE_VALUES[siteValue.trim().toLowerCase()];
+  }
+  if (AGENCY_COMPANY.test(company || '')) return 'agency';
+  if (AGENCY_TEXT.test(description || '')) return 'agency';
+  if (DIRECT_TEXT.test(description || '')) return 'direct';
+  return 'unknown';
+}
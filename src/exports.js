@@ -0,0 +1,202 @@
+// Run exports - CSV, JSON Lines, RSS/Atom feeds and an HTML digest built from the run's dataset items
+export const EXPORT_FORMATS = ['csv', 'jsonl', 'rss', 'atom', 'html'];
+
+// Key-value store record and content type per format
+export const EXPORT_RECORDS = {
+  csv: { key: 'JOBS_CSV', contentType: 'text/csv; charset=utf-8' },
+  jsonl: { key: 'JOBS_JSONL', contentType: 'application/x-ndjson; charset=utf-8' },
+  rss: { key: 'JOBS_RSS', contentType: 'application/rss+xml; charset=utf-8' },
+  atom: { key: 'JOBS_ATOM', contentType: 'application/atom+xml; charset=utf-8' },
+  html: { key: 'JOBS_DIGEST', contentType: 'text/html; charset=utf-8' },
+};
+
+// CSV columns that always come first, in this order; any other field follows alphabetically
+const CSV_LEADING_COLUMNS = [
+  'job_id', 'title', 'company', 'location', 'salary', 'salary_min', 'salary_max', 'salary_currency', 'salary_period',
+  'salary_annual_gbp_min', 'salary_annual_gbp_max', 'date_posted_iso', 'expires_at', 'job_type', 'job_category',
+  'work_mode', 'employer_type', 'skills', 'job_url', 'company_page_url', 'description_text',
+  'query_label', 'query_keyword', 'query_location', 'query_category',
+];
+
+/**
+ * Validates the exportFormats input.
+ * @param {string|string[]|null} value
+ * @returns {string[]} Lower-cased, de-duplicated formats
+ */
+export function parseExportFormats(value) {
+  const formats = (Array.isArray(value) ? value : [value])
+    .filter((f) => f !== undefined && f !== null && f !== '')
+    .map((f) => String(f).trim().toLowerCase());
+  const unknown = formats.find((f) => !EXPORT_FORMATS.includes(f));
+  if (unknown) throw new Error(`Invalid exportFormats entry ${JSON.stringify(unknown)}: expected ${EXPORT_FORMATS.join(', ')}`);
+  return [...new Set(formats)];
+}
+
+/** Column order for a set of records: the leading columns, then every other field alphabetically. */
+export function csvColumns(records) {
+  const fields = new Set(records.flatMap((record) => Object.keys(record)));
+  return [
+    ...CSV_LEADING_COLUMNS,
+    ...[...fields].filter((field) => !CSV_LEADING_COLUMNS.includes(field)).sort(),
+  ];
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text;
+  if (Array.isArray(value) && value.every((v) => typeof v !== 'object' || v === null)) text = value.join('; ');
+  else if (typeof value === 'object') text = JSON.stringify(value);
+  else text = String(value);
+  return /[",\r\n]/.test(text) || /^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * RFC 4180 CSV with a header row. Arrays of scalars are joined with "; ", objects are JSON.
+ * @param {object[]} records
+ * @param {string[]} [columns=csvColumns(records)]
+ */
+export function toCsv(records, columns = csvColumns(records)) {
+  const rows = [columns, ...records.map((record) => columns.map((column) => record[column]))];
+  return `${rows.map((row) => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+}
+
+/** One JSON object per line. */
+export function toJsonLines(records) {
+  return records.map((record) => JSON.stringify(record)).join('\n') + (records.length ? '\n' : '');
+}
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const isoDate = (value, fallback) => {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? fallback : new Date(time).toISOString();
+};
+
+// "Company · Location · Salary" line used by the feeds and the digest
+const jobSummary = (job) => [job.company, job.location, job.salary].filter(Boolean).join(' · ');
+
+/**
+ * RSS 2.0 feed, one item per job.
+ * @param {object[]} records
+ * @param {{ title: string, link: string, updated?: string }} feed `link` is the search the feed follows
+ */
+export function toRssFeed(records, { title, link, updated = new Date().toISOString() }) {
+  const items = records.map((job) => [
+    '    <item>',
+    `      <title>${escapeXml(job.title)}</title>`,
+    `      <link>${escapeXml(job.job_url)}</link>`,
+    `      <guid isPermaLink="true">${escapeXml(job.job_url)}</guid>`,
+    `      <pubDate>${new Date(isoDate(job.date_posted_iso, updated)).toUTCString()}</pubDate>`,
+    `      <description>${escapeXml(jobSummary(job))}</description>`,
+    '    </item>',
+  ].join('\n'));
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0">',
+    '  <channel>',
+    `    <title>${escapeXml(title)}</title>`,
+    `    <link>${escapeXml(link)}</link>`,
+    `    <description>${escapeXml(title)}</description>`,
+    `    <lastBuildDate>${new Date(updated).toUTCString()}</lastBuildDate>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Atom feed, one entry per job.
+ * @param {object[]} records
+ * @param {{ title: string, link: string, updated?: string }} feed `link` is the search the feed follows
+ */
+export function toAtomFeed(records, { title, link, updated = new Date().toISOString() }) {
+  const entries = records.map((job) => [
+    '  <entry>',
+    `    <title>${escapeXml(job.title)}</title>`,
+    `    <link href="${escapeXml(job.job_url)}"/>`,
+    `    <id>${escapeXml(job.job_url)}</id>`,
+    `    <updated>${isoDate(job.date_posted_iso, updated)}</updated>`,
+    ...(job.company ? [`    <author><name>${escapeXml(job.company)}</name></author>`] : []),
+    `    <summary>${escapeXml(jobSummary(job))}</summary>`,
+    '  </entry>',
+  ].join('\n'));
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeXml(title)}</title>`,
+    `  <link href="${escapeXml(link)}"/>`,
+    `  <id>${escapeXml(link)}</id>`,
+    `  <updated>${isoDate(updated, new Date().toISOString())}</updated>`,
+    ...entries,
+    '</feed>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Self-contained HTML page listing the jobs grouped by company (companies A-Z, jobs in dataset order).
+ * @param {object[]} records
+ * @param {{ title: string, generatedAt?: string }} digest
+ */
+export function toHtmlDigest(records, { title, generatedAt = new Date().toISOString() }) {
+  const groups = new Map();
+  for (const job of records) {
+    const company = job.company || 'Unknown company';
+    if (!groups.has(company)) groups.set(company, []);
+    groups.get(company).push(job);
+  }
+  const sections = [...groups.entries()]
+    .sort(([a], [b]) => a.localeCompare(b, 'en-GB'))
+    .map(([company, jobs]) => [
+      '<section>',
+      `<h2>${escapeXml(company)} <small>(${jobs.length})</small></h2>`,
+      '<ul>',
+      ...jobs.map((job) => {
+        const details = [job.location, job.salary, job.date_posted_iso?.slice(0, 10)].filter(Boolean).join(' · ');
+        return `<li><a href="${escapeXml(job.job_url)}">${escapeXml(job.title)}</a>${details ? ` <span>${escapeXml(details)}</span>` : ''}</li>`;
+      }),
+      '</ul>',
+      '</section>',
+    ].join('\n'));
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeXml(title)}</title>`,
+    '<style>body{font-family:system-ui,sans-serif;max-width:52rem;margin:2rem auto;padding:0 1rem;color:#222}'
+      + 'h2{font-size:1.1rem;margin:1.5rem 0 .5rem}small,span{color:#666}li{margin:.25rem 0}</style>',
+    '</head>',
+    '<body>',
+    `<h1>${escapeXml(title)}</h1>`,
+    `<p>${records.length} jobs from ${groups.size} companies, generated ${escapeXml(generatedAt)}</p>`,
+    ...sections,
+    '</body>',
+    '</html>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Renders every requested format.
+ * @param {object[]} records
+ * @param {string[]} formats
+ * @param {{ title: string, link: string, generatedAt?: string }} meta
+ * @returns {{ format: string, key: string, contentType: string, body: string }[]}
+ */
+export function buildExports(records, formats, { title, link, generatedAt = new Date().toISOString() }) {
+  const render = {
+    csv: () => toCsv(records),
+    jsonl: () => toJsonLines(records),
+    rss: () => toRssFeed(records, { title, link, updated: generatedAt }),
+    atom: () => toAtomFeed(records, { title, link, updated: generatedAt }),
+    html: () => toHtmlDigest(records, { title, generatedAt }),
+  };
+  return formats.map((format) => ({ format, ...EXPORT_RECORDS[format], body: render[format]() }));
+}
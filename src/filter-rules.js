@@ -0,0 +1,86 @@
+// Filter rules - include/exclude rules on title, company, location and recruiter, checked before and after details
+import { companySlug } from './utils.js';
+
+export const FILTER_RULE_NAMES = ['titleInclude', 'titleExclude', 'companyAllowList', 'companyBlockList', 'locationAllowList', 'excludeRecruiters'];
+
+function invalid(name, value, expected) {
+  return new Error(`Invalid ${name} ${JSON.stringify(value)}: expected ${expected}`);
+}
+
+const entries = (value) => (Array.isArray(value) ? value : [value])
+  .filter((v) => v !== undefined && v !== null && String(v).trim() !== '')
+  .map((v) => String(v).trim());
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Names match as whole words in any case, so "Hays" matches "Hays Specialist Recruitment" but not "Hayshire"
+const namePattern = (name) => new RegExp(`(?:^|[^\\p{L}\\p{N}])${escapeRegExp(name).replace(/\s+/g, '\\s+')}(?=$|[^\\p{L}\\p{N}])`, 'iu');
+
+function regexList(name, value) {
+  return entries(value).map((source) => {
+    try {
+      return { value: source, pattern: new RegExp(source, 'i') };
+    } catch {
+      throw invalid(`${name} entry`, source, 'a regular expression');
+    }
+  });
+}
+
+const nameList = (value) => entries(value).map((source) => ({ value: source, pattern: namePattern(source) }));
+
+/**
+ * Validates the filter rule inputs. Title rules are case-insensitive regular expressions; company,
+ * location and recruiter rules are names matched as whole words.
+ * @returns {Record<string, Array<{ value: string, pattern: RegExp }>>} one (possibly empty) list per rule
+ */
+export function parseFilterRules({
+  titleInclude,
+  titleExclude,
+  companyAllowList,
+  companyBlockList,
+  locationAllowList,
+  excludeRecruiters,
+} = {}) {
+  return {
+    titleInclude: regexList('titleInclude', titleInclude),
+    titleExclude: regexList('titleExclude', titleExclude),
+    companyAllowList: nameList(companyAllowList),
+    companyBlockList: nameList(companyBlockList),
+    locationAllowList: nameList(locationAllowList),
+    excludeRecruiters: nameList(excludeRecruiters),
+  };
+}
+
+/** Whether any rule is set. */
+export function hasFilterRules(rules) {
+  return FILTER_RULE_NAMES.some((rule) => rules[rule].length > 0);
+}
+
+/** The rules as given in the input, for the run stats. */
+export function describeFilterRules(rules) {
+  return Object.fromEntries(FILTER_RULE_NAMES.filter((rule) => rules[rule].length).map((rule) => [rule, rules[rule].map((r) => r.value)]));
+}
+
+const matchesAny = (list, ...values) => values.some((value) => value && list.some(({ pattern }) => pattern.test(value)));
+
+/**
+ * Checks a record, or a list-page seed, against the rules. As with the search filters, values a record
+ * doesn't carry never fail a rule, so a seed without a company is fetched and checked again in full.
+ * Recruiter rules skip jobs posted by the employer itself and also match the company page slug.
+ * @returns {string|null} the first rule the record fails
+ */
+export function failedFilterRule(record, rules) {
+  const { title, company, location } = record;
+  if (rules.titleInclude.length && title && !matchesAny(rules.titleInclude, title)) return 'titleInclude';
+  if (matchesAny(rules.titleExclude, title)) return 'titleExclude';
+  if (rules.companyAllowList.length && company && !matchesAny(rules.companyAllowList, company)) return 'companyAllowList';
+  if (matchesAny(rules.companyBlockList, company)) return 'companyBlockList';
+  const places = [location, record.address_locality, record.address_region].filter(Boolean);
+  if (rules.locationAllowList.length && places.length && !matchesAny(rules.locationAllowList, ...places)) return 'locationAllowList';
+  if (record.employer_type !== 'direct' && rules.excludeRecruiters.length) {
+    const slug = record.company_page_url ? companySlug(record.company_page_url) : null;
+    const slugMatch = slug && rules.excludeRecruiters.some(({ value }) => value.toLowerCase() === slug);
+    if (slugMatch || matchesAny(rules.excludeRecruiters, company)) return 'excludeRecruiters';
+  }
+  return null;
+}
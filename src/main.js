@@ -1,125 +1,49 @@
 // TotalJobs scraper - Production-ready implementation
 import { Actor, log } from 'apify';
 import { CheerioCrawler, Dataset } from 'crawlee';
-import { load as cheerioLoad } from 'cheerio';
 import { HeaderGenerator } from 'header-generator';
 import { gotScraping } from 'got-scraping';
 import http from 'http';
 import https from 'https';
+import { parsePostedDate, resolvePostedSince, sitePostedWithin } from './dates.js';
+import { buildExports, parseExportFormats } from './exports.js';
+import { FILTER_RULE_NAMES, describeFilterRules, failedFilterRule, hasFilterRules, parseFilterRules } from './filter-rules.js';
+import { parseCompanyPage, parseDetailPage, parseListPage } from './parsers.js';
+import { detectPostingStatus } from './posting-status.js';
+import { createQualityTracker, parseQualityThresholds } from './quality.js';
+import { failedRecheckRow, parseRecheckJobs, recheckRow } from './recheck.js';
+import { buildJobRecord, seedRecordFields, validateJobRecord } from './record.js';
+import { parseSalary } from './salary.js';
+import { applySiteFilters, failedSearchFilter, isSortedByDate, parseSearchFilters } from './search-filters.js';
+import { exceedsPageLimit, parseShardOptions, shardReport, splitSearch } from './shards.js';
+import { postingFingerprint, resolveSites, siteForUrl } from './sites.js';
+import { compileSkills } from './skills.js';
+import { parseStartUrls } from './start-urls.js';
+import { classifyFailure, createRateController, parseThrottleOptions } from './throttle.js';
+import { BASE_URL, buildPageUrl, companySlug, extractJobId, jobIdentity, shortHash } from './utils.js';
+import { createWebhookSender, parseWebhookOptions } from './webhook.js';
+import { parseWorkModeInput } from './work-mode.js';
 
 // CRITICAL: Disable HTTP/2 globally to prevent NGHTTP2 errors
 process.env.NODE_OPTIONS = (process.env.NODE_OPTIONS || '') + ' --no-deprecation --disable-http2';
 
-const JOB_PATH_REGEX = /\/job\/[^/?#]+\/[^/?#]+-job\d+/i;
-const JOB_DETAIL_REGEX = /^https?:\/\/(?:www\.)?totaljobs\.com\/job\/[^/?#]+\/[^/?#]+-job\d+/i;
-const LIST_PATH_REGEX = /\/jobs\//i;
-const MAX_QA_RUNTIME_MS = 280_000; // Hard limit to keep QA runs under 5 minutes
-
-// Selector documentation based on actual Totaljobs.com structure (Nov 2025)
-// LISTING PAGE: Job links found as: <a href="/job/[title]/[company]-job[id]">
-// Pattern: Links start with /job/ and contain job title, company slug, and job ID
-// Pagination: <a href="/jobs/admin?page=2"> (numbered pages 1-285+)
-// Job cards: Each job is a heading with company/location/salary below
-// DETAIL PAGE: May require authentication; JSON-LD structured data preferred
-// Fallback selectors for title, company, location, salary, description
-
-// Utility: pick first non-empty text from multiple selectors
-function pickText($el, selectors) {
-  for (const sel of selectors) {
-    try {
-      const node = typeof sel === 'string' ? $el.find(sel) : sel;
-      if (node && node.length) {
-        const t = node.text().trim();
-        if (t) return t;
-      }
-    } catch (e) { /* skip */ }
-  }
-  return null;
-}
-
-// Utility: pick first non-empty attribute from multiple selectors
-function pickAttr($el, selectors, attr) {
-  for (const sel of selectors) {
-    try {
-      const node = typeof sel === 'string' ? $el.find(sel) : sel;
-      if (node && node.length) {
-        const a = node.attr(attr);
-        if (a) return a.trim();
-      }
-    } catch (e) { /* skip */ }
-  }
-  return null;
-}
-
-// Utility: extract JSON-LD structured data for JobPosting
-function extractJsonLd($, url) {
-  const scripts = $('script[type="application/ld+json"]');
-  for (let i = 0; i < scripts.length; i++) {
-    try {
-      const rawJson = $(scripts[i]).html();
-      if (!rawJson) continue;
-      const parsed = JSON.parse(rawJson);
-      const items = Array.isArray(parsed) ? parsed : [parsed];
-      for (const item of items) {
-        if (!item) continue;
-        const type = item['@type'] || item.type;
-        if (type === 'JobPosting' || (Array.isArray(type) && type.includes('JobPosting'))) {
-          return {
-            title: item.title || item.name || null,
-            company: item.hiringOrganization?.name || null,
-            location: item.jobLocation?.address?.addressLocality || item.jobLocation?.address?.addressRegion || null,
-            date_posted: item.datePosted || null,
-            description_html: item.description || null,
-            salary: item.baseSalary?.value?.value || item.baseSalary?.value || null,
-            job_type: item.employmentType || null,
-          };
-        }
-      }
-    } catch (e) {
-      log.debug(`JSON-LD parse error on ${url}: ${e.message}`);
-    }
-  }
-  return null;
-}
-
-function extractResultListState($) {
-  const scripts = $('script');
-  for (let i = 0; i < scripts.length; i++) {
-    const content = $(scripts[i]).html();
-    if (!content) continue;
-    const match = content.match(/window\.__PRELOADED_STATE__\["app-unifiedResultlist"\]\s*=\s*(\{[\s\S]*?\});/);
-    if (match) {
-      try {
-        return JSON.parse(match[1]);
-      } catch (err) {
-        log.debug(`Result list state parse error: ${err.message}`);
-      }
-    }
-  }
-  return null;
-}
+const CHECKPOINT_KEY = 'CRAWL_STATE'; // Default key-value store record used to resume interrupted runs
+const WEBHOOK_FAILURES_KEY = 'WEBHOOK_FAILED'; // Default key-value store record with undelivered webhook payloads
+const QUALITY_REPORT_KEY = 'QUALITY_REPORT'; // Default key-value store record with the run's data quality report
+const THROTTLE_REPORT_KEY = 'THROTTLE_REPORT'; // Default key-value store record with the throttle decisions and timeline
 
-function htmlToText(html) {
-  if (!html) return '';
-  return cheerioLoad(`<body>${html}</body>`).text().replace(/\s+/g, ' ').trim();
-}
+// Test harness hooks (test/helpers/run-actor.js), never actor inputs: the origin of the first selected board,
+// origins by board id as JSON, and a multiplier for every pacing delay (0 disables them)
+const TEST_BASE_URL_ENV = 'TOTALJOBS_TEST_BASE_URL';
+const TEST_SITE_BASE_URLS_ENV = 'TOTALJOBS_TEST_SITE_BASE_URLS';
+const TEST_DELAY_MULTIPLIER_ENV = 'TOTALJOBS_TEST_DELAY_MULTIPLIER';
 
-function buildPageUrl(currentUrl, targetPage) {
-  const urlObj = new URL(currentUrl);
-  urlObj.searchParams.delete('of');
-  urlObj.searchParams.delete('Of');
-  urlObj.searchParams.delete('action');
-  if (targetPage <= 1) {
-    urlObj.searchParams.delete('page');
-  } else {
-    urlObj.searchParams.set('page', targetPage.toString());
-  }
-  return urlObj.href;
-}
+// Scales every pacing delay; 1 outside tests
+let delayMultiplier = 1;
 
 // Utility: random delay for human-like browsing (stealth)
 function randomDelay(min, max) {
-  const ms = Math.floor(Math.random() * (max - min + 1)) + min;
+  const ms = (Math.floor(Math.random() * (max - min + 1)) + min) * delayMultiplier;
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
@@ -140,7 +64,8 @@ const headerGenerator = new HeaderGenerator({
   operatingSystems: ['windows'],
 });
 
-let warmupCookieHeader = '';
+// Cookies captured by the warm-up request, per board origin
+const warmupCookies = new Map();
 
 const injectDynamicHeaders = (options) => {
   options.headers = options.headers || {};
@@ -149,6 +74,7 @@ const injectDynamicHeaders = (options) => {
   // Preserve existing referer if set
   const existingReferer = options.headers.referer || options.headers.Referer;
   
+  const warmupCookieHeader = options.url ? warmupCookies.get(new URL(options.url).origin) : null;
   if (warmupCookieHeader) {
     dynamicHeaders.cookie = warmupCookieHeader;
   }
@@ -182,7 +108,23 @@ const injectDynamicHeaders = (options) => {
   delete options.headers['X-Crawlee'];
 };
 
-async function warmUpSite(proxyConf) {
+// Utility: fetch a single page outside the crawler queue (company profiles)
+async function fetchHtml(proxyConf, url, referer) {
+  const proxyUrl = proxyConf ? await proxyConf.newUrl() : undefined;
+  const options = { url, headers: { referer } };
+  injectDynamicHeaders(options);
+  const response = await gotScraping({
+    url,
+    proxyUrl,
+    timeout: { request: 20000 },
+    retry: { limit: 2 },
+    headers: options.headers,
+    http2: false,
+  });
+  return response.body;
+}
+
+async function warmUpSite(proxyConf, siteUrl) {
   try {
     const proxyUrl = proxyConf ? await proxyConf.newUrl() : undefined;
     
@@ -193,7 +135,7 @@ async function warmUpSite(proxyConf) {
     });
     
     const response = await gotScraping({
-      url: 'https://www.totaljobs.com/',
+      url: `${siteUrl}/`,
       proxyUrl,
       timeout: { request: 15000 },
       retry: { limit: 1 },
@@ -204,13 +146,13 @@ async function warmUpSite(proxyConf) {
     
     const setCookie = response.headers['set-cookie'];
     if (setCookie) {
-      warmupCookieHeader = Array.isArray(setCookie)
+      warmupCookies.set(new URL(siteUrl).origin, Array.isArray(setCookie)
         ? setCookie.map((cookie) => cookie.split(';')[0]).join('; ')
-        : setCookie.split(';')[0];
-      log.info('Warm-up request succeeded, cookies captured');
+        : setCookie.split(';')[0]);
+      log.info(`Warm-up request to ${siteUrl} succeeded, cookies captured`);
     }
   } catch (err) {
-    log.warning(`Warm-up request failed: ${err.message}`);
+    log.warning(`Warm-up request to ${siteUrl} failed: ${err.message}`);
   }
 }
 
@@ -224,26 +166,150 @@ async function main() {
             keyword = 'admin',
             location = '',
             category = '',
+            keywords = [],
+            locations = [],
+            queries = [],
             results_wanted: RESULTS_WANTED_RAW = 100,
             max_pages: MAX_PAGES_RAW = 10,
             collectDetails = true,
             startUrl,
             url,
+            startUrls = [],
             proxyConfiguration,
             postedWithin,
+            workMode = [],
+            salaryMin,
+            jobTypes = [],
+            radius,
+            sortBy = 'relevance',
+            employerType = 'any',
+            titleInclude = [],
+            titleExclude = [],
+            companyAllowList = [],
+            companyBlockList = [],
+            locationAllowList = [],
+            excludeRecruiters = [],
+            maxRunTimeSecs = 0,
+            exhaustive = false,
+            shardBy = [],
+            sitePageLimit = 40,
+            maxShards = 200,
+            site = [],
+            maxRequestsPerMinute = 120,
+            minRequestsPerMinute = 10,
+            blockRateThreshold = 0.1,
+            circuitBreakerThreshold = 0.5,
+            circuitCooldownSecs = 60,
+            incremental = false,
+            registryStoreName = 'totaljobs-job-registry',
+            removedDatasetName = 'totaljobs-removed-jobs',
+            rejectedDatasetName = 'totaljobs-rejected-records',
+            recheckJobs = [],
+            recheckDatasetName = 'totaljobs-recheck',
+            skillsDictionary = [],
+            maxDescriptionLength = 0,
+            exportFormats = [],
+            webhookUrl,
+            webhookAuthHeader,
+            webhookFormat = 'json',
+            webhookBatchSize = 25,
+            webhookMaxRetries = 3,
+            webhookPayloadTemplate,
+            qualityThresholds,
+            failOnQualityWarning = false,
+            enrichCompanies = false,
+            companiesDatasetName = 'totaljobs-companies',
         } = input;
 
-        const RESULTS_WANTED = Number.isFinite(+RESULTS_WANTED_RAW) ? Math.max(1, +RESULTS_WANTED_RAW) : 100;
-        const MAX_PAGES = Number.isFinite(+MAX_PAGES_RAW) ? Math.max(1, +MAX_PAGES_RAW) : 10;
+        const toPositiveInt = (value, fallback) => (Number.isFinite(+value) && value !== null && value !== ''
+            ? Math.max(1, Math.floor(+value))
+            : fallback);
+
+        const RESULTS_WANTED = toPositiveInt(RESULTS_WANTED_RAW, 100);
+
+        // Boards to search. Under test the harness points the first (usually only) board, or any board by id,
+        // at local mock servers.
+        const testBaseUrl = process.env[TEST_BASE_URL_ENV];
+        const SITE_URL = String(testBaseUrl || BASE_URL).replace(/\/+$/, '');
+        if (!/^https?:\/\/[^/]+$/i.test(SITE_URL)) {
+            throw new Error(`Invalid ${TEST_BASE_URL_ENV} "${testBaseUrl}": expected an origin such as ${BASE_URL}`);
+        }
+        const SITE_LIST = resolveSites(site, {
+            ...(SITE_URL !== BASE_URL ? { [resolveSites(site)[0].id]: SITE_URL } : {}),
+            ...JSON.parse(process.env[TEST_SITE_BASE_URLS_ENV] || '{}'),
+        });
+        const testDelayMultiplier = process.env[TEST_DELAY_MULTIPLIER_ENV];
+        delayMultiplier = testDelayMultiplier && Number.isFinite(+testDelayMultiplier) ? Math.max(0, +testDelayMultiplier) : 1;
+
+        // Recheck mode: previously scraped jobs are reloaded instead of running searches
+        const RECHECK = parseRecheckJobs(recheckJobs, SITE_LIST);
+        const MAX_PAGES = toPositiveInt(MAX_PAGES_RAW, 10);
+
+        // Work mode filter: empty means any. The site's "work from home" filter covers remote and hybrid
+        // roles, so it is only added to built search URLs when on-site jobs are not wanted.
+        const WORK_MODE_FILTER = parseWorkModeInput(workMode);
+        const SITE_WFH_FILTER = WORK_MODE_FILTER.length > 0 && !WORK_MODE_FILTER.includes('on-site');
+
+        // Validated search filters: sent to the site with built search URLs and re-checked on every record
+        const SEARCH_FILTERS = parseSearchFilters({ salaryMin, jobTypes, radius, sortBy, employerType });
+
+        // Include/exclude rules, checked on list-page seeds before their details are fetched and again on full records
+        const FILTER_RULES = parseFilterRules({
+            titleInclude,
+            titleExclude,
+            companyAllowList,
+            companyBlockList,
+            locationAllowList,
+            excludeRecruiters,
+        });
+
+        // Skills matched in titles and descriptions; an empty dictionary uses the built-in one
+        const SKILLS = compileSkills(skillsDictionary);
+
+        // Description options shared by list, detail and fallback records; 0 keeps whole descriptions
+        const MAX_DESCRIPTION_LENGTH = Number.isFinite(+maxDescriptionLength) ? Math.max(0, Math.floor(+maxDescriptionLength)) : 0;
+        const DESCRIPTION_OPTIONS = { skills: SKILLS, maxLength: MAX_DESCRIPTION_LENGTH };
+
+        // Exhaustive mode: null unless on. Searches reporting more results than the site paginates to are split
+        // into shards, each paginated to its end; max_pages no longer applies.
+        const SHARDING = parseShardOptions({ exhaustive, shardBy, sitePageLimit, maxShards });
+
+        // Minimum fill rates and state-path share; falling below one marks the run with a warning
+        const QUALITY_THRESHOLDS = parseQualityThresholds(qualityThresholds);
+
+        // Request rate bounds and the block rates at which the crawl slows down or pauses
+        const THROTTLE = parseThrottleOptions({
+            maxRequestsPerMinute,
+            minRequestsPerMinute,
+            blockRateThreshold,
+            circuitBreakerThreshold,
+            circuitCooldownSecs,
+        });
+
+        // Files written to the default key-value store once the crawl ends
+        const EXPORTS = parseExportFormats(exportFormats);
+
+        // Webhook delivery: null when no webhookUrl is set
+        const WEBHOOK = parseWebhookOptions({
+            webhookUrl,
+            webhookAuthHeader,
+            webhookFormat,
+            webhookBatchSize,
+            webhookMaxRetries,
+            webhookPayloadTemplate,
+        });
 
         // Build start URL from keyword/location or use provided URL
-        const buildStartUrl = (kw, loc, cat, posted) => {
-            const base = 'https://www.totaljobs.com/jobs';
-            if (!kw && !loc && !cat) return `${base}/admin`;
-            const u = new URL(base + (kw ? `/${encodeURIComponent(kw)}` : ''));
+        const buildStartUrl = (siteUrl, kw, loc, cat, posted) => {
+            const base = `${siteUrl}/jobs`;
+            const u = new URL(base + (kw ? `/${encodeURIComponent(kw)}` : (!loc && !cat ? '/admin' : '')));
             if (loc) u.searchParams.set('Location', loc);
             if (cat) u.searchParams.set('Category', cat);
-            if (posted && [1, 3, 7].includes(Number(posted))) u.searchParams.set('postedWithin', posted);
+            // The site only knows a few recency windows: use the narrowest one covering the request
+            const siteDays = sitePostedWithin(resolvePostedSince(posted)?.days);
+            if (siteDays) u.searchParams.set('postedWithin', String(siteDays));
+            if (SITE_WFH_FILTER) u.searchParams.set('wfh', '1');
+            applySiteFilters(u, SEARCH_FILTERS);
             return u.href;
         };
 
@@ -257,23 +323,159 @@ async function main() {
             }
         };
 
-        const initial = [];
-        if (startUrl && isValidUrl(startUrl)) initial.push(startUrl);
-        else if (url && isValidUrl(url)) initial.push(url);
-        else initial.push(buildStartUrl(keyword, location, category, postedWithin));
+        const toList = (value) => (Array.isArray(value) ? value : [value])
+            .map((v) => (typeof v === 'string' ? v.trim() : ''))
+            .filter(Boolean);
+
+        // Search and job page URLs to crawl as given. The single startUrl / url fields are read the same way
+        // when the list is empty; entries that aren't board URLs are reported in OUTPUT.
+        const startUrlList = (Array.isArray(startUrls) ? startUrls : [startUrls]).filter((entry) => entry !== undefined && entry !== null && entry !== '');
+        const singleStartUrl = [startUrl, url].find(isValidUrl);
+        const START_URLS = parseStartUrls(startUrlList.length
+            ? startUrlList
+            : singleStartUrl ? [{ url: singleStartUrl, label: singleStartUrl === startUrl ? 'startUrl' : 'url' }] : [], SITE_LIST);
+        for (const entry of START_URLS.invalid) {
+            log.warning(`Ignoring start URL ${entry.url}: ${entry.reason === 'off_site' ? 'not on a supported job board' : 'not a valid URL'}`);
+        }
+        if (START_URLS.invalid.length && !START_URLS.urls.length && !RECHECK.length) {
+            throw new Error(`No valid startUrls: ${START_URLS.invalid.map((entry) => entry.url).join(', ')}`);
+        }
+
+        // Expand input into a query matrix: start URLs win, then explicit query objects, then
+        // keywords × locations, then the single keyword/location/category fields.
+        const expandQueries = () => {
+            if (START_URLS.urls.length) return START_URLS.urls;
 
-        log.info(`TotalJobs scraper started with ${initial.length} start URL(s)`);
-        log.info(`Target: ${RESULTS_WANTED} jobs, max ${MAX_PAGES} pages, collectDetails: ${collectDetails}`);
+            const explicit = (Array.isArray(queries) ? queries : []).filter((q) => q && typeof q === 'object');
+            if (explicit.length) return explicit;
+
+            const keywordList = toList(keywords);
+            const locationList = toList(locations);
+            if (keywordList.length || locationList.length) {
+                const kws = keywordList.length ? keywordList : [keyword];
+                const locs = locationList.length ? locationList : [location];
+                return kws.flatMap((kw) => locs.map((loc) => ({ keyword: kw, location: loc, category })));
+            }
+            return [{ keyword, location, category }];
+        };
+
+        // Each search runs on every selected board; a URL runs on the board that serves it
+        const sitesFor = (raw) => {
+            if (raw.url && isValidUrl(raw.url)) return [siteForUrl(raw.url, SITE_LIST) || siteForUrl(raw.url) || SITE_LIST[0]];
+            if (raw.site) {
+                return resolveSites(raw.site).map((s) => SITE_LIST.find((selected) => selected.id === s.id) || s);
+            }
+            return SITE_LIST;
+        };
+        const expanded = expandQueries().flatMap((raw) => sitesFor(raw).map((querySite) => ({ raw, querySite })));
+        const multiSite = new Set(expanded.map(({ querySite }) => querySite.id)).size > 1;
+
+        const queryStates = new Map();
+        for (const { raw, querySite } of expanded) {
+            const qKeyword = typeof raw.keyword === 'string' ? raw.keyword.trim() : '';
+            const qLocation = typeof raw.location === 'string' ? raw.location.trim() : '';
+            const qCategory = typeof raw.category === 'string' ? raw.category.trim() : '';
+            const qPostedWithin = raw.postedWithin ?? postedWithin;
+            const qUrl = raw.url && isValidUrl(raw.url)
+                ? raw.url
+                : buildStartUrl(querySite.baseUrl, qKeyword, qLocation, qCategory, qPostedWithin);
+            if (qPostedWithin && !resolvePostedSince(qPostedWithin)) {
+                log.warning(`Ignoring postedWithin "${qPostedWithin}": expected a number of days or a date such as 2025-11-01`);
+            }
 
-        const startRequests = initial.map((currentUrl) => {
-            if (!isValidUrl(currentUrl)) {
-                throw new Error(`Invalid start URL resolved from input: ${currentUrl}`);
+            if ([...queryStates.values()].some((q) => q.startUrl === qUrl)) {
+                log.warning(`Skipping duplicate query resolving to ${qUrl}`);
+                continue;
             }
+
+            const id = `q${queryStates.size + 1}`;
+            const label = raw.label || [qKeyword, qLocation, qCategory].filter(Boolean).join(' / ') || qUrl;
+            // A job page start URL is a query of its own: one job, no pagination
+            const isJobPage = raw.type === 'job';
+            queryStates.set(id, {
+                id,
+                type: isJobPage ? 'job' : 'search',
+                label: multiSite ? `${querySite.id}: ${label}` : label,
+                site: querySite,
+                siteUrl: querySite.baseUrl,
+                keyword: qKeyword || null,
+                location: qLocation || null,
+                category: qCategory || null,
+                startUrl: qUrl,
+                resultsWanted: isJobPage ? 1 : toPositiveInt(raw.results_wanted, RESULTS_WANTED),
+                maxPages: isJobPage ? 0 : toPositiveInt(raw.max_pages, MAX_PAGES),
+                jobId: raw.jobId || null,
+                jobKey: raw.key || null,
+                saved: 0,
+                pagesVisited: 0,
+                observedJobIds: new Set(),
+                newJobs: 0,
+                updatedJobs: 0,
+                unchangedJobs: 0,
+                removedJobs: 0,
+                postedWithin: qPostedWithin || null,
+                postedSince: null,
+                sortedByDate: isSortedByDate(qUrl),
+                filtered: {
+                    workMode: 0,
+                    postedWithin: 0,
+                    salaryMin: 0,
+                    jobType: 0,
+                    employerType: 0,
+                    ...Object.fromEntries(FILTER_RULE_NAMES.map((rule) => [rule, 0])),
+                },
+                filteredBeforeDetail: 0,
+                siteWorkModeFilter: SITE_WFH_FILTER && !(raw.url && isValidUrl(raw.url)),
+                done: false,
+                endReason: null,
+            });
+        }
+        const queryList = [...queryStates.values()];
+
+        if (RECHECK.length) {
+            log.info(`TotalJobs scraper started in recheck mode with ${RECHECK.length} job${RECHECK.length === 1 ? '' : 's'}`);
+        } else {
+            log.info(`TotalJobs scraper started with ${queryList.length} quer${queryList.length === 1 ? 'y' : 'ies'}`);
+            for (const q of queryList) {
+                if (q.type === 'job') log.info(`[${q.label}] Job page: ${q.startUrl}`);
+                else log.info(`[${q.label}] Target: ${q.resultsWanted} jobs, max ${q.maxPages} pages, collectDetails: ${collectDetails}`);
+            }
+        }
+
+        // Rechecked jobs run under the first query, which only lends them its abort and time budget checks
+        const recheckRequests = RECHECK.map((job, recheckIndex) => {
             const request = {
-                url: currentUrl,
-                userData: { referer: 'https://www.totaljobs.com/', isListPage: true, pageNum: 1 },
+                url: job.url,
+                uniqueKey: `recheck:${job.key}`,
+                userData: {
+                    referer: `${job.site.baseUrl}/`,
+                    isDetailPage: true,
+                    recheckIndex,
+                    queryId: queryList[0].id,
+                },
                 headers: {
-                    referer: 'https://www.totaljobs.com/',
+                    referer: `${job.site.baseUrl}/`,
+                    'accept-language': 'en-GB,en-US;q=0.9,en;q=0.8',
+                },
+            };
+            injectDynamicHeaders(request);
+            return request;
+        });
+
+        // Job page start URLs go straight to the detail handler, keyed like the same job found in a search
+        const startRequests = RECHECK.length ? recheckRequests : queryList.map((query) => {
+            const request = {
+                url: query.startUrl,
+                ...(query.type === 'job' ? { uniqueKey: query.jobKey } : {}),
+                userData: {
+                    referer: `${query.siteUrl}/`,
+                    ...(query.type === 'job'
+                        ? { isDetailPage: true, jobId: query.jobId, jobKey: query.jobKey }
+                        : { isListPage: true, pageNum: 1, ...(SHARDING ? { shardId: query.id } : {}) }),
+                    queryId: query.id,
+                },
+                headers: {
+                    referer: `${query.siteUrl}/`,
                     'accept-language': 'en-GB,en-US;q=0.9,en;q=0.8',
                 },
             };
@@ -286,20 +488,337 @@ async function main() {
             ? await Actor.createProxyConfiguration(proxyConfiguration)
             : undefined;
 
-        await warmUpSite(proxyConf);
+        const warmUpUrls = RECHECK.length ? RECHECK.map((job) => job.site.baseUrl) : queryList.map((q) => q.siteUrl);
+        for (const siteUrl of new Set(warmUpUrls)) await warmUpSite(proxyConf, siteUrl);
 
         const requestQueue = await Actor.openRequestQueue();
         await requestQueue.addRequests(startRequests);
 
-        let saved = 0;
-        let pagesVisited = 0;
-        const seenJobUrls = new Set();
-        const seenPageUrls = new Set(startRequests.map((req) => req.url));
-        const failedUrls = new Set();
+        // Resume from a checkpoint left by a migrated, aborted or restarted run
+        const checkpoint = await Actor.getValue(CHECKPOINT_KEY);
+
+        // Jobs are keyed by their Totaljobs job ID (canonical URL when there is none), so slug, query string
+        // and http/https variants of one job collapse into one
+        const seenJobKeys = new Set([
+            ...queryList.filter((q) => q.type === 'job').map((q) => q.jobKey),
+            ...(checkpoint?.seenJobKeys || []),
+        ]);
+        let duplicateJobs = checkpoint?.duplicateJobs || 0;
+        // Boards don't share job IDs, so a posting on several boards is matched on title, company and location
+        const postingSites = new Map(Object.entries(checkpoint?.postingSites || {}));
+        let crossSiteDuplicates = checkpoint?.crossSiteDuplicates || 0;
+        const seenPageUrls = new Set([...startRequests.map((req) => req.url), ...(checkpoint?.seenPageUrls || [])]);
+        const failedUrls = new Set(checkpoint?.failedUrls || []);
+        const pushedJobKeys = new Set(checkpoint?.pushedJobKeys || []);
+        // Exhaustive mode: every search that was paginated, by shard id; a query's own search is its root shard
+        const shards = new Map();
+        const newShard = ({ id, queryId, parentId = null, filters = {}, url: shardUrl }) => ({
+            id, queryId, parentId, filters, url: shardUrl, total: null, perPage: null, pageCount: null, pagesVisited: 0, listed: 0, split: null,
+        });
+        if (SHARDING) {
+            for (const q of queryList.filter((query) => query.type === 'search')) {
+                shards.set(q.id, newShard({ id: q.id, queryId: q.id, url: q.startUrl }));
+            }
+            for (const snapshot of checkpoint?.shards || []) shards.set(snapshot.id, snapshot);
+        }
+        // Deepest page worth requesting for a shard: the site's limit, or the shard's last page if that comes first
+        const shardPageLimit = (shard) => Math.min(SHARDING.pageLimit, Math.max(1, shard.pageCount ?? SHARDING.pageLimit));
         let shouldAbort = false;
-        const runStart = Date.now();
+        let timeBudgetHit = false;
+        const runStart = Date.now() - (checkpoint?.elapsedMs || 0);
+
+        // Recency windows and relative posting dates are resolved against the (original) run start
+        for (const q of queryList) {
+            q.postedSince = resolvePostedSince(q.postedWithin, runStart)?.since || null;
+            if (q.postedSince) log.info(`[${q.label}] Keeping jobs posted since ${q.postedSince}`);
+        }
+
+        // Runtime budget: 0 / empty means unlimited
+        const MAX_RUNTIME_MS = Number(maxRunTimeSecs) > 0 ? Number(maxRunTimeSecs) * 1000 : Infinity;
+
+        if (checkpoint?.queries) {
+            for (const snapshot of checkpoint.queries) {
+                const q = queryStates.get(snapshot.id);
+                if (!q || q.startUrl !== snapshot.startUrl) continue;
+                Object.assign(q, {
+                    saved: snapshot.saved,
+                    pagesVisited: snapshot.pagesVisited,
+                    done: snapshot.done,
+                    endReason: snapshot.endReason,
+                    observedJobIds: new Set(snapshot.observedJobIds || []),
+                    newJobs: snapshot.newJobs || 0,
+                    updatedJobs: snapshot.updatedJobs || 0,
+                    unchangedJobs: snapshot.unchangedJobs || 0,
+                    filtered: { ...q.filtered, ...snapshot.filtered },
+                    filteredBeforeDetail: snapshot.filteredBeforeDetail || 0,
+                });
+            }
+            log.info(`♻️ Resuming from checkpoint (${checkpoint.updatedAt}): ${pushedJobKeys.size} jobs already saved, ${seenPageUrls.size} pages known`);
+        }
+
+        const totalSaved = () => queryList.reduce((sum, q) => sum + q.saved, 0);
+        const totalPagesVisited = () => queryList.reduce((sum, q) => sum + q.pagesVisited, 0);
+        const getQuery = (request) => queryStates.get(request.userData?.queryId) || queryList[0];
+        const isQueryDone = (query) => shouldAbort || query.done || query.saved >= query.resultsWanted;
+
+        // Marks one query as finished; the crawl only stops once every query is done
+        const finishQuery = async (query, reason, crawlerInstance) => {
+            if (!query.done) {
+                query.done = true;
+                query.endReason = reason;
+                log.info(`[${query.label}] Query finished (${reason}): ${query.saved}/${query.resultsWanted} jobs, ${query.pagesVisited} pages`);
+            }
+            if (!shouldAbort && queryList.every((q) => q.done)) {
+                shouldAbort = true;
+                log.info('✅ All queries finished, stopping crawler');
+                await crawlerInstance?.autoscaledPool?.abort();
+            }
+        };
+
+        // Incremental mode: one registry per query in a named key-value store, keyed by job ID
+        const registryStore = incremental && !RECHECK.length ? await Actor.openKeyValueStore(registryStoreName) : null;
+        const runStartedAt = new Date(runStart).toISOString();
+        if (registryStore) {
+            for (const q of queryList) {
+                q.registryKey = `query-${shortHash(q.startUrl)}`;
+                q.registry = (await registryStore.getValue(q.registryKey)) || { startUrl: q.startUrl, jobs: {} };
+                log.info(`[${q.label}] Incremental registry holds ${Object.keys(q.registry.jobs).length} known jobs`);
+            }
+        }
+
+        // Records that fail schema validation go to a named dataset with their errors instead of the default one.
+        // The dataset is only opened once there is something to reject.
+        let rejectedDataset = null;
+        let rejectedRecords = checkpoint?.rejectedRecords || 0;
+        const rejectInvalid = async (record, pageUrl) => {
+            const errors = validateJobRecord(record);
+            if (!errors.length) return false;
+            rejectedRecords++;
+            log.warning(`Rejected invalid record from ${pageUrl}: ${errors.join('; ')}`);
+            rejectedDataset ??= await Actor.openDataset(rejectedDatasetName);
+            await rejectedDataset.pushData({ page_url: pageUrl, errors, record, rejected_at: new Date().toISOString() });
+            return true;
+        };
+
+        // Recheck mode: one row per job in a named dataset; rows already written survive resumes via the checkpoint
+        const recheckDataset = RECHECK.length ? await Actor.openDataset(recheckDatasetName) : null;
+        const recheckCounts = { open: 0, changed: 0, closed: 0, failed: 0, ...checkpoint?.recheckCounts };
+        const recheckedKeys = new Set(checkpoint?.recheckedKeys || []);
+        const saveRecheckRow = async (job, row) => {
+            if (recheckedKeys.has(job.key)) return;
+            recheckedKeys.add(job.key);
+            recheckCounts[row.result]++;
+            await recheckDataset.pushData(row);
+            const detail = row.status_reason || row.error || (row.changed_fields.length ? `changed ${row.changed_fields.join(', ')}` : null);
+            log.info(`🔁 Recheck ${row.result}: ${row.job_url}${detail ? ` (${detail})` : ''}`);
+        };
 
-        const isTimeBudgetExceeded = () => (Date.now() - runStart) >= MAX_QA_RUNTIME_MS;
+        // Extraction paths, fill rates and empty result pages for the quality report
+        const quality = createQualityTracker(checkpoint?.quality);
+
+        // Jobs go to the webhook in batches as they are saved; unsent jobs and failures survive resumes
+        const webhook = WEBHOOK
+            ? createWebhookSender(WEBHOOK, {
+                retryDelayMs: 1000 * delayMultiplier,
+                runId: Actor.getEnv().actorRunId,
+                state: checkpoint?.webhook,
+                log,
+            })
+            : null;
+
+        // Company enrichment: each company / recruiter page is fetched once per run, keyed by its slug.
+        // Profiles (null for failed fetches) survive resumes via the checkpoint.
+        const companiesDataset = enrichCompanies ? await Actor.openDataset(companiesDatasetName) : null;
+        const companyProfiles = new Map(Object.entries(checkpoint?.companyProfiles || {}));
+        const companyFetches = new Map();
+
+        const companyProfileFor = async (pageUrl, referer) => {
+            const slug = companiesDataset && pageUrl ? companySlug(pageUrl) : null;
+            if (!slug) return null;
+            if (companyProfiles.has(slug)) return companyProfiles.get(slug);
+            if (!companyFetches.has(slug)) {
+                companyFetches.set(slug, (async () => {
+                    let profile = null;
+                    try {
+                        profile = parseCompanyPage(await fetchHtml(proxyConf, pageUrl, referer), { url: pageUrl });
+                        await companiesDataset.pushData({ company_slug: slug, ...profile, scraped_at: new Date().toISOString() });
+                        log.info(`🏢 Company profile saved: ${profile.name || slug}`);
+                    } catch (err) {
+                        log.warning(`Could not load company profile ${pageUrl}: ${err.message}`);
+                    }
+                    companyProfiles.set(slug, profile);
+                    companyFetches.delete(slug);
+                    return profile;
+                })());
+            }
+            return companyFetches.get(slug);
+        };
+
+        const REGISTRY_FIELDS = ['title', 'salary', 'location', 'description'];
+        const registryFingerprint = (record) => ({
+            title: record.title || null,
+            salary: record.salary || null,
+            location: record.location || null,
+            description: record.description_text ? shortHash(record.description_text) : null,
+        });
+
+        const registryKey = (record, jobId) => jobId || extractJobId(record.job_url) || record.job_url;
+        const writeRegistryEntry = (query, record, key) => {
+            const previous = query.registry.jobs[key];
+            query.registry.jobs[key] = {
+                job_url: record.job_url,
+                title: record.title || previous?.title || null,
+                company: record.company || previous?.company || null,
+                first_seen: previous?.first_seen || runStartedAt,
+                last_seen: runStartedAt,
+                fields: {
+                    ...previous?.fields,
+                    ...Object.fromEntries(Object.entries(registryFingerprint(record)).filter(([, v]) => v !== null)),
+                },
+            };
+        };
+
+        // Returns the record tagged with change_type/changed_fields, or null if nothing changed since the last run.
+        // A returned record only enters the registry through commitIncremental once it is saved, so one dropped
+        // at the target is still new or updated on the next run.
+        const applyIncremental = (query, record, jobId) => {
+            if (!registryStore) return record;
+            const key = registryKey(record, jobId);
+            const fingerprint = registryFingerprint(record);
+            const previous = query.registry.jobs[key];
+            const changedFields = previous
+                ? REGISTRY_FIELDS.filter((f) => fingerprint[f] !== null
+                    && previous.fields?.[f] !== undefined
+                    && fingerprint[f] !== previous.fields[f])
+                : [];
+
+            query.observedJobIds.add(key);
+            if (previous && !changedFields.length) {
+                writeRegistryEntry(query, record, key);
+                query.unchangedJobs++;
+                return null;
+            }
+            return { ...record, change_type: previous ? 'updated' : 'new', changed_fields: changedFields };
+        };
+
+        // Records a saved record from applyIncremental in the registry
+        const commitIncremental = (query, record, jobId) => {
+            if (!registryStore) return;
+            writeRegistryEntry(query, record, registryKey(record, jobId));
+            if (record.change_type === 'updated') query.updatedJobs++;
+            else query.newJobs++;
+        };
+
+        // Client-side record filters; dropped jobs don't count towards results_wanted.
+        // Returns the name of the first filter a record fails, or null.
+        const failedFilter = (query, record) => {
+            if (WORK_MODE_FILTER.length && !WORK_MODE_FILTER.includes(record.work_mode)) {
+                // Unclassified jobs found through the site's own work-from-home search are kept
+                if (!(record.work_mode === 'unknown' && query.siteWorkModeFilter)) return 'workMode';
+            }
+            if (query.postedSince && record.date_posted_iso && record.date_posted_iso < query.postedSince) return 'postedWithin';
+            return failedSearchFilter(record, SEARCH_FILTERS) || failedFilterRule(record, FILTER_RULES);
+        };
+        const HAS_RECORD_FILTERS = WORK_MODE_FILTER.length > 0
+            || queryList.some((q) => q.postedWithin)
+            || Boolean(SEARCH_FILTERS.salaryMin)
+            || SEARCH_FILTERS.jobTypes.length > 0
+            || SEARCH_FILTERS.employerType !== 'any'
+            || hasFilterRules(FILTER_RULES);
+
+        const passesFilters = (query, record) => {
+            const reason = failedFilter(query, record);
+            if (reason) query.filtered[reason]++;
+            return !reason;
+        };
+
+        // List-page seeds are only dropped on values they actually carry; unknown ones get a detail fetch
+        const seedPassesFilters = (query, seed) => passesFilters(query, {
+            ...seed,
+            ...parseSalary(seed.salary),
+            work_mode: seed.work_mode || 'unknown',
+        });
+
+        const queryTags = (query) => ({
+            source_site: query.site.id,
+            query_label: query.label,
+            query_keyword: query.keyword,
+            query_location: query.location,
+            query_category: query.category,
+        });
+
+        // Record for a loaded job page with its posting status. A page that redirected away from the posting
+        // keeps the requested URL.
+        const detailRecord = ({ $, request, response, site, seed = {}, tags = {} }) => {
+            const loadedUrl = request.loadedUrl || request.url;
+            const parsed = parseDetailPage($, {
+                url: site.jobPath.test(new URL(loadedUrl).pathname) ? loadedUrl : request.url,
+                seed,
+                now: runStart,
+                skills: SKILLS,
+                maxDescriptionLength: MAX_DESCRIPTION_LENGTH,
+                site,
+            });
+            return buildJobRecord({
+                ...parsed,
+                ...detectPostingStatus($, {
+                    statusCode: response?.statusCode,
+                    loadedUrl,
+                    jobPath: site.jobPath,
+                    validThrough: parsed.valid_through,
+                    now: runStart,
+                }),
+                ...tags,
+            });
+        };
+
+        const isTimeBudgetExceeded = () => (Date.now() - runStart) >= MAX_RUNTIME_MS;
+
+        const persistCheckpoint = async () => {
+            try {
+                await Actor.setValue(CHECKPOINT_KEY, {
+                    updatedAt: new Date().toISOString(),
+                    elapsedMs: Date.now() - runStart,
+                    seenJobKeys: [...seenJobKeys],
+                    duplicateJobs,
+                    postingSites: Object.fromEntries(postingSites),
+                    crossSiteDuplicates,
+                    seenPageUrls: [...seenPageUrls],
+                    failedUrls: [...failedUrls],
+                    pushedJobKeys: [...pushedJobKeys],
+                    companyProfiles: Object.fromEntries(companyProfiles),
+                    webhook: webhook ? webhook.snapshot() : null,
+                    shards: [...shards.values()],
+                    quality: quality.snapshot(),
+                    rejectedRecords,
+                    throttle: throttle.snapshot(),
+                    recheckCounts,
+                    recheckedKeys: [...recheckedKeys],
+                    queries: queryList.map((q) => ({
+                        id: q.id,
+                        startUrl: q.startUrl,
+                        saved: q.saved,
+                        pagesVisited: q.pagesVisited,
+                        done: q.done,
+                        endReason: q.endReason,
+                        observedJobIds: [...q.observedJobIds],
+                        newJobs: q.newJobs,
+                        updatedJobs: q.updatedJobs,
+                        unchangedJobs: q.unchangedJobs,
+                        filtered: q.filtered,
+                        filteredBeforeDetail: q.filteredBeforeDetail,
+                    })),
+                });
+                if (registryStore) {
+                    for (const q of queryList) await registryStore.setValue(q.registryKey, q.registry);
+                }
+            } catch (err) {
+                log.warning(`Could not persist crawl checkpoint: ${err.message}`);
+            }
+        };
+
+        Actor.on('persistState', persistCheckpoint);
+        Actor.on('migrating', persistCheckpoint);
 
         // Create HTTP/1.1 agents to avoid HTTP/2 errors
         const httpAgent = new http.Agent({
@@ -363,6 +882,34 @@ async function main() {
         const maxConcurrency = Number.isFinite(+input.maxConcurrency)
             ? Math.max(1, Math.min(8, +input.maxConcurrency))
             : 4;  // Reduced from 8 to 4 for better stability
+
+        // Rate and concurrency follow the rolling block rate; decisions are applied to the running pool. A circuit
+        // pause longer than the time budget left ends the run instead.
+        const throttle = createRateController(THROTTLE, {
+            maxConcurrency,
+            cooldownMs: THROTTLE.cooldownSecs * 1000 * delayMultiplier,
+            remainingMs: () => MAX_RUNTIME_MS - (Date.now() - runStart),
+            state: checkpoint?.throttle,
+            log,
+            pool: {
+                setLimits: ({ rate, concurrency }) => {
+                    const pool = crawler.autoscaledPool;
+                    if (!pool) return;
+                    pool.maxTasksPerMinute = rate;
+                    pool.maxConcurrency = concurrency;
+                    pool.desiredConcurrency = Math.min(pool.desiredConcurrency, concurrency);
+                },
+                // Not awaited: pause() waits for running requests, including the one reporting the block
+                pause: () => crawler.autoscaledPool?.pause().catch(() => {}),
+                resume: () => crawler.autoscaledPool?.resume(),
+                stop: () => {
+                    shouldAbort = true;
+                    timeBudgetHit = true;
+                    log.warning('Too little of the time budget is left to wait out the circuit breaker, aborting new work');
+                    crawler.autoscaledPool?.abort().catch(() => {});
+                },
+            },
+        });
         
         // Stealth best practices: optimized speed with maintained stealth
         const crawler = new CheerioCrawler({
@@ -377,11 +924,11 @@ async function main() {
                     maxErrorScore: 2,  // Reduced from 3 for stricter session quality
                 },
             },
-            maxConcurrency: maxConcurrency,
+            maxConcurrency: throttle.concurrency,
             minConcurrency: 1,  // Start with 1 to be conservative
             requestHandlerTimeoutSecs: 60,
             navigationTimeoutSecs: 45,
-            maxRequestsPerMinute: 120,  // Reduced from 220 to be less aggressive
+            maxRequestsPerMinute: throttle.rate,
             ignoreSslErrors: true,
             persistCookiesPerSession: true,
             additionalMimeTypes: ['application/json'],
@@ -390,15 +937,16 @@ async function main() {
                     // Respect QA time budget
                     if (isTimeBudgetExceeded()) {
                         shouldAbort = true;
-                        log.warning(`Time budget (${MAX_QA_RUNTIME_MS} ms) reached, aborting new work`);
+                        timeBudgetHit = true;
+                        log.warning(`Time budget (${maxRunTimeSecs} s) reached, aborting new work`);
                         await crawlerInstance.autoscaledPool?.abort();
                         return;
                     }
 
-                    // Abort if target reached
-                    if (shouldAbort || saved >= RESULTS_WANTED) {
-                        log.info(`Aborting request - target reached: ${request.url}`);
-                        shouldAbort = true;
+                    // Abort if target reached for this request's query
+                    const query = getQuery(request);
+                    if (isQueryDone(query)) {
+                        log.info(`Aborting request - target reached for [${query.label}]: ${request.url}`);
                         return;
                     }
                     
@@ -415,12 +963,12 @@ async function main() {
                     const retryCount = request.retryCount || 0;
                     const isListPage = request.userData?.isListPage;
                     
-                    // More aggressive delays for list pages (anti-bot detection)
+                    // More aggressive delays for list pages (anti-bot detection), stretched while throttled
                     const delayBase = retryCount > 0
                         ? getBackoffDelay(retryCount)
-                        : isListPage 
+                        : Math.round((isListPage 
                             ? Math.floor(Math.random() * 1000) + 1500  // 1500-2500ms for list pages
-                            : Math.floor(Math.random() * 500) + 800;  // 800-1300ms for detail pages
+                            : Math.floor(Math.random() * 500) + 800) * throttle.delayFactor);  // 800-1300ms for detail pages
                     
                     await randomDelay(delayBase, delayBase + 700);
                     
@@ -434,393 +982,327 @@ async function main() {
                 // Log HTTP version to verify HTTP/1.1 is being used
                 const httpVersion = response?.httpVersion || 'unknown';
                 crawlerLog.debug(`HTTP version: ${httpVersion} for ${request.url}`);
+                throttle.record('ok');
                 
                 if (isTimeBudgetExceeded()) {
                     shouldAbort = true;
+                    timeBudgetHit = true;
                     crawlerLog.warning(`Time budget hit, skipping ${request.url}`);
                     await crawlerInstance.autoscaledPool?.abort();
                     return;
                 }
 
                 // Early abort check
-                if (shouldAbort || saved >= RESULTS_WANTED) {
-                    crawlerLog.info(`Skipping request - target reached (${saved}/${RESULTS_WANTED})`);
+                const query = getQuery(request);
+                if (isQueryDone(query)) {
+                    crawlerLog.info(`Skipping request - target reached for [${query.label}] (${query.saved}/${query.resultsWanted})`);
                     return;
                 }
 
                 const loadedUrl = request.loadedUrl || request.url;
                 const urlObj = new URL(loadedUrl);
                 const isDetailPage = request.userData?.isDetailPage
-                    || JOB_DETAIL_REGEX.test(loadedUrl)
-                    || JOB_PATH_REGEX.test(urlObj.pathname);
+                    || query.site.jobPath.test(urlObj.pathname);
                 const isListPage = request.userData?.isListPage
-                    || (LIST_PATH_REGEX.test(urlObj.pathname) && !isDetailPage);
+                    || (query.site.listPath.test(urlObj.pathname) && !isDetailPage);
 
+                // RECHECK: report whether a previously scraped job is still open, changed or closed
+                if (request.userData?.recheckIndex !== undefined) {
+                    const job = RECHECK[request.userData.recheckIndex];
+                    const record = detailRecord({ $, request, response, site: job.site, tags: { source_site: job.site.id } });
+                    await saveRecheckRow(job, recheckRow(job, record, new Date().toISOString()));
+                    return;
+                }
 
-// LIST PAGE: extract job links and pagination
-if (isListPage) {
-    pagesVisited++;
-    crawlerLog.info(`📃 Processing list page ${pagesVisited}/${MAX_PAGES}: ${request.url}`);
+                // LIST PAGE: extract job links and pagination
+                if (isListPage) {
+                    query.pagesVisited++;
+                    const shard = SHARDING ? shards.get(request.userData?.shardId) : null;
+                    if (shard) {
+                        shard.pagesVisited++;
+                        crawlerLog.info(`📃 [${query.label}] Processing list page ${query.pagesVisited} (shard ${shard.id}, page ${request.userData?.pageNum || 1}): ${request.url}`);
+                    } else {
+                        crawlerLog.info(`📃 [${query.label}] Processing list page ${query.pagesVisited}/${query.maxPages}: ${request.url}`);
+                    }
 
-    if (saved >= RESULTS_WANTED) {
-        crawlerLog.info(`✅ Reached target of ${RESULTS_WANTED} jobs, stopping crawler`);
-        shouldAbort = true;
-        await crawlerInstance.autoscaledPool?.abort();
-        return;
-    }
+                    if (query.saved >= query.resultsWanted) {
+                        crawlerLog.info(`✅ [${query.label}] Reached target of ${query.resultsWanted} jobs`);
+                        await finishQuery(query, 'target', crawlerInstance);
+                        return;
+                    }
 
-    if (pagesVisited > MAX_PAGES) {
-        crawlerLog.info(`Reached max pages limit (${MAX_PAGES})`);
-        return;
-    }
+                    if (!shard && query.pagesVisited > query.maxPages) {
+                        crawlerLog.info(`[${query.label}] Reached max pages limit (${query.maxPages})`);
+                        query.endReason ??= 'max_pages';
+                        return;
+                    }
 
-                    const state = extractResultListState($);
-                    const pagination = state?.searchResults?.pagination;
-                    const perPage = pagination?.perPage || 25;
-                    const derivedFromUrl = (() => {
-                        if (urlObj.searchParams.has('page')) {
-                            const val = Number(urlObj.searchParams.get('page'));
-                            return Number.isFinite(val) ? val : null;
-                        }
-                        if (urlObj.searchParams.has('of')) {
-                            const ofVal = Number(urlObj.searchParams.get('of'));
-                            if (Number.isFinite(ofVal)) {
-                                return Math.floor(ofVal / perPage) + 1;
+                    const listPage = parseListPage($, {
+                        url: request.url,
+                        pageNum: request.userData?.pageNum,
+                        baseUrl: query.siteUrl,
+                        site: query.site,
+                    });
+                    const { currentPage, isLastPage, pagination, nextPageUrl, nextPageNum, nextPageSource } = listPage;
+                    const pageLimit = shard ? shardPageLimit(shard) : query.maxPages;
+                    quality.addListPage({ url: request.url, source: listPage.source, jobs: listPage.jobs.length });
+
+                    if (shard) {
+                        shard.listed += listPage.jobs.length;
+                        // The first page of a shard tells how many results it has; more than the site
+                        // paginates to splits it into narrower shards, paginated alongside this one
+                        if (shard.total === null) {
+                            shard.total = listPage.totalCount;
+                            shard.perPage = pagination?.perPage || listPage.jobs.length || null;
+                            shard.pageCount = pagination?.pageCount ?? (shard.total === 0 ? 0 : null);
+                            const split = exceedsPageLimit(shard.total, shard.perPage, SHARDING.pageLimit)
+                                ? splitSearch(shard.url, SHARDING.dimensions)
+                                : null;
+                            if (split && shards.size + split.shards.length > SHARDING.maxShards) {
+                                crawlerLog.warning(`[${query.label}] Shard ${shard.id} has ${shard.total} results but splitting it would exceed maxShards (${SHARDING.maxShards})`);
+                            } else if (split) {
+                                shard.split = split.dimension;
+                                const children = split.shards.map((child, i) => newShard({
+                                    id: `${shard.id}.${i + 1}`,
+                                    queryId: query.id,
+                                    parentId: shard.id,
+                                    filters: { ...shard.filters, [split.dimension]: child.value },
+                                    url: child.url,
+                                })).filter((child) => !seenPageUrls.has(child.url));
+                                children.forEach((child) => {
+                                    shards.set(child.id, child);
+                                    seenPageUrls.add(child.url);
+                                });
+                                const shardRequests = children.map((child) => {
+                                    const shardReq = {
+                                        url: child.url,
+                                        uniqueKey: child.url,
+                                        userData: { referer: request.url, isListPage: true, pageNum: 1, queryId: query.id, shardId: child.id },
+                                        headers: {
+                                            referer: request.url,
+                                            'accept-language': 'en-GB,en-US;q=0.9,en;q=0.8',
+                                        },
+                                    };
+                                    injectDynamicHeaders(shardReq);
+                                    return shardReq;
+                                });
+                                await requestQueue.addRequests(shardRequests);
+                                crawlerLog.info(`🧩 [${query.label}] Shard ${shard.id} reports ${shard.total} results, more than ${SHARDING.pageLimit} pages reach: split by ${split.dimension} into ${children.length} shards`);
+                            } else if (exceedsPageLimit(shard.total, shard.perPage, SHARDING.pageLimit)) {
+                                crawlerLog.warning(`[${query.label}] Shard ${shard.id} has ${shard.total} results but no dimension left to split by; only the first ${SHARDING.pageLimit} pages are reachable`);
                             }
                         }
-                        return null;
-                    })();
-                    let currentPage = request.userData?.pageNum
-                        || pagination?.page
-                        || derivedFromUrl
-                        || 1;
-
-                    let jobLinks = [];
-                    let nextPageUrl = null;
-                    let nextPageNum = null;
-
-    if (state?.searchResults?.items?.length) {
-        const items = state.searchResults.items;
-        for (const item of items) {
-            const href = item.url;
-            if (!href) continue;
-            const fullUrl = href.startsWith('http')
-                ? href
-                : `https://www.totaljobs.com${href.startsWith('/') ? href : `/${href}`}`;
-            if (seenJobUrls.has(fullUrl) || failedUrls.has(fullUrl)) continue;
-            seenJobUrls.add(fullUrl);
-
-            const snippetHtml = item.textSnippet || '';
-            jobLinks.push({
-                url: fullUrl,
-                userData: {
-                    seed: {
-                        title: item.title || null,
-                        company: item.companyName || null,
-                        location: item.location || null,
-                        salary: item.salary || null,
-                        date_posted: item.datePosted || null,
-                        description_html: snippetHtml || null,
-                        description_text: htmlToText(snippetHtml) || null,
-                        job_id: item.id ? String(item.id) : null,
-                    },
-                    jobId: item.id,
-                },
-            });
-        }
-                        nextPageUrl = state.searchResults.pagination?.links?.next || null;
-                        crawlerLog.debug(`State payload provided ${jobLinks.length} jobs`);
-                        if (pagination?.pageCount && pagination.page < pagination.pageCount) {
-                            nextPageNum = pagination.page + 1;
-                            nextPageUrl = buildPageUrl(request.url, nextPageNum);
-                        }
-    }
+                    }
 
-    if (!jobLinks.length) {
-        const fallbackLinks = [];
-        $('a[href^="/job/"]').each((i, el) => {
-            const href = $(el).attr('href');
-            if (href && href.match(/\/job\/[^/]+\/[^/]+-job\d+/)) {
-                const fullUrl = `https://www.totaljobs.com${href}`;
-                if (!seenJobUrls.has(fullUrl) && !failedUrls.has(fullUrl)) {
-                    seenJobUrls.add(fullUrl);
-
-                    const $link = $(el);
-                    const title = $link.text().trim() || null;
-                    const $container = $link.closest('article, li, div').length 
-                        ? $link.closest('article, li, div') 
-                        : $link.parent();
-
-                    const company = pickText($container, [
-                        'a[href*="/jobs/"]',
-                        '.company',
-                        'span:contains("Ltd")',
-                    ]) || null;
-
-                    const location = pickText($container, [
-                        'span:contains(","), span:contains("London"), span:contains("Manchester")',
-                        '.location',
-                    ]) || null;
-
-                    const salary = pickText($container, [
-                        'span:contains("£"), span:contains("per")',
-                        '.salary',
-                    ]) || null;
-
-                    const date_posted = pickText($container, [
-                        'span:contains("ago"), span:contains("hours"), span:contains("days")',
-                        '.posted',
-                    ]) || null;
-
-                    fallbackLinks.push({
-                        url: fullUrl,
-                        userData: {
-                            seed: { title, company, location, salary, date_posted },
-                        },
-                    });
-                }
-            }
-        });
-        jobLinks = fallbackLinks;
-        crawlerLog.info(`Fallback DOM extraction found ${jobLinks.length} jobs`);
-    } else {
-        crawlerLog.info(`Found ${jobLinks.length} jobs via embedded state`);
-    }
+                    const jobLinks = [];
+                    const postedDates = [];
+                    for (const job of listPage.jobs) {
+                        query.observedJobIds.add(job.jobId || job.url);
+                        const seed = { ...job.seed, date_posted_iso: parsePostedDate(job.seed?.date_posted, runStart) };
+                        if (seed.date_posted_iso) postedDates.push(seed.date_posted_iso);
+                        if (seenJobKeys.has(job.key)) {
+                            duplicateJobs++;
+                            continue;
+                        }
+                        if (failedUrls.has(job.url)) continue;
+                        const fingerprint = multiSite ? postingFingerprint(seed) : null;
+                        const firstSite = fingerprint ? postingSites.get(fingerprint) : null;
+                        if (firstSite && firstSite !== query.site.id) {
+                            duplicateJobs++;
+                            crossSiteDuplicates++;
+                            crawlerLog.debug(`[${query.label}] Already found on ${firstSite}, skipping: ${job.url}`);
+                            continue;
+                        }
+                        if (fingerprint && !firstSite) postingSites.set(fingerprint, query.site.id);
+                        seenJobKeys.add(job.key);
+                        jobLinks.push({ url: job.url, userData: { seed, jobId: job.jobId, jobKey: job.key } });
+                    }
+                    // A page whose jobs are all older than the window ends the query's pagination; only when the
+                    // search is newest first, as under relevance order a later page can still hold recent jobs
+                    const pageOutsideWindow = Boolean(query.postedSince)
+                        && query.sortedByDate
+                        && postedDates.length > 0
+                        && postedDates.every((date) => date < query.postedSince);
+
+                    if (listPage.source === 'state') {
+                        crawlerLog.info(`Found ${jobLinks.length} new jobs via embedded state (${listPage.jobs.length} listed)`);
+                    } else {
+                        crawlerLog.info(`Fallback DOM extraction found ${jobLinks.length} new jobs (${listPage.jobs.length} listed)`);
+                    }
 
-    if (collectDetails && jobLinks.length > 0) {
-        // Only enqueue if we haven't reached target
-        const remaining = Math.max(0, RESULTS_WANTED - saved);
-        const toEnqueue = jobLinks.slice(0, remaining);
+                    if (collectDetails && jobLinks.length > 0) {
+                        // Only enqueue if we haven't reached target
+                        // Jobs the list page already rules out are filtered before fetching details
+                        const wanted = jobLinks.filter(({ userData: { seed } }) => seedPassesFilters(query, seed));
+                        query.filteredBeforeDetail += jobLinks.length - wanted.length;
+                        const remaining = Math.max(0, query.resultsWanted - query.saved);
+                        // With record filters any detail page may be dropped, so enqueue the whole page; the
+                        // target check in the detail handler skips whatever is left once results_wanted is reached
+                        const toEnqueue = HAS_RECORD_FILTERS ? wanted : wanted.slice(0, remaining);
         
-        if (toEnqueue.length > 0 && !shouldAbort) {
-            const prepared = toEnqueue.map((job) => ({
-                url: job.url,
-                uniqueKey: job.url,
-                userData: {
-                    ...job.userData,
-                    isDetailPage: true,
-                },
-                headers: {
-                    referer: request.url,
-                    'accept-language': 'en-GB,en-US;q=0.9,en;q=0.8',
-                },
-            }));
-            
-            // Inject dynamic headers for each request
-            prepared.forEach(req => injectDynamicHeaders(req));
+                        if (toEnqueue.length > 0 && !isQueryDone(query)) {
+                            const prepared = toEnqueue.map((job) => ({
+                                url: job.url,
+                                uniqueKey: job.userData.jobKey,
+                                userData: {
+                                    ...job.userData,
+                                    isDetailPage: true,
+                                    queryId: query.id,
+                                },
+                                headers: {
+                                    referer: request.url,
+                                    'accept-language': 'en-GB,en-US;q=0.9,en;q=0.8',
+                                },
+                            }));
             
-            await requestQueue.addRequests(prepared);
-            crawlerLog.info(`✓ Enqueued ${prepared.length} job detail pages (${saved}/${RESULTS_WANTED} saved)`);
-        } else if (remaining <= 0) {
-            crawlerLog.info(`Target reached, not enqueueing more detail pages`);
-            shouldAbort = true;
-        }
-    } else if (!collectDetails && jobLinks.length > 0) {
-        const remaining = Math.max(0, RESULTS_WANTED - saved);
-        const toPush = jobLinks.slice(0, remaining).map(j => ({
-            title: j.userData.seed.title,
-            company: j.userData.seed.company,
-            location: j.userData.seed.location,
-            salary: j.userData.seed.salary,
-            date_posted: j.userData.seed.date_posted,
-            job_url: j.url,
-            job_type: null,
-            job_category: null,
-            description_html: j.userData.seed.description_html || null,
-            description_text: j.userData.seed.description_text || null,
-        }));
-        
-        if (toPush.length > 0) {
-            await Dataset.pushData(toPush);
-            saved += toPush.length;
-            crawlerLog.info(`📄 Saved ${toPush.length} jobs (total: ${saved}/${RESULTS_WANTED})`);
+                            // Inject dynamic headers for each request
+                            prepared.forEach(req => injectDynamicHeaders(req));
             
-            if (saved >= RESULTS_WANTED) {
-                shouldAbort = true;
-                crawlerLog.info(`✅ Target reached, stopping crawler`);
-            }
-        }
-    }
-
-                if (saved < RESULTS_WANTED && pagesVisited < MAX_PAGES && !shouldAbort) {
-                    if (!nextPageUrl) {
-                        const nextButton = $('a:contains("Next")').first();
-                        if (nextButton.length && nextButton.attr('href')) {
-                            const nextHref = nextButton.attr('href');
-                            nextPageUrl = nextHref.startsWith('http') 
-                                ? nextHref 
-                                : `https://www.totaljobs.com${nextHref.startsWith('/') ? nextHref : '/' + nextHref}`;
-                            nextPageNum = currentPage + 1;
-                            crawlerLog.info(`Found Next button: ${nextPageUrl}`);
+                            await requestQueue.addRequests(prepared);
+                            crawlerLog.info(`✓ [${query.label}] Enqueued ${prepared.length} job detail pages (${query.saved}/${query.resultsWanted} saved)`);
+                        } else if (remaining <= 0) {
+                            crawlerLog.info(`[${query.label}] Target reached, not enqueueing more detail pages`);
                         }
-
-                        if (!nextPageUrl) {
-                            const pageLinks = $('a[href*="page="]');
-                            pageLinks.each((i, el) => {
-                                const href = $(el).attr('href');
-                                if (href) {
-                                    const match = href.match(/page=(\d+)/);
-                                    if (match) {
-                                        const pageNumCandidate = Number(match[1]);
-                                        if (pageNumCandidate === currentPage + 1) {
-                                            nextPageUrl = href.startsWith('http') 
-                                                ? href 
-                                                : `https://www.totaljobs.com${href.startsWith('/') ? href : '/' + href}`;
-                                            nextPageNum = pageNumCandidate;
-                                            return false;
-                                        }
-                                    }
-                                }
+                    } else if (!collectDetails && jobLinks.length > 0) {
+                        const remaining = Math.max(0, query.resultsWanted - query.saved);
+                        const toPush = [];
+                        const toPushJobIds = [];
+                        for (const j of jobLinks) {
+                            if (toPush.length >= remaining) break;
+                            if (pushedJobKeys.has(j.userData.jobKey)) continue;
+                            const listRecord = buildJobRecord({
+                                ...seedRecordFields(j.userData.seed, {
+                                    url: j.url,
+                                    jobId: j.userData.jobId,
+                                    now: runStart,
+                                    description: { ...DESCRIPTION_OPTIONS, baseUrl: query.siteUrl },
+                                    extractionPath: listPage.source,
+                                }),
+                                ...queryTags(query),
                             });
+                            if (await rejectInvalid(listRecord, request.url)) continue;
+                            if (!passesFilters(query, listRecord)) continue;
+                            const record = applyIncremental(query, listRecord, j.userData.seed.job_id);
+                            if (!record) continue;
+                            record.company_profile = await companyProfileFor(record.company_page_url, request.url);
+                            toPush.push(record);
+                            toPushJobIds.push(j.userData.seed.job_id);
                         }
-
-                        if (!nextPageUrl) {
-                            const manualNext = currentPage + 1;
-                            nextPageUrl = buildPageUrl(request.url, manualNext);
-                            nextPageNum = manualNext;
-                            crawlerLog.info(`🔧 Constructed next page URL: ${nextPageUrl}`);
+        
+                        if (toPush.length > 0) {
+                            await Dataset.pushData(toPush);
+                            toPush.forEach((r, i) => commitIncremental(query, r, toPushJobIds[i]));
+                            // Not awaited: deliveries run one at a time in the background and never reject
+                            webhook?.add(toPush);
+                            toPush.forEach((r) => quality.addRecord(r));
+                            toPush.forEach((r) => pushedJobKeys.add(jobIdentity(r.job_url, { id: r.job_id, baseUrl: query.siteUrl, site: query.site.id }).key));
+                            query.saved += toPush.length;
+                            crawlerLog.info(`📄 [${query.label}] Saved ${toPush.length} jobs (total: ${query.saved}/${query.resultsWanted})`);
+            
+                            if (query.saved >= query.resultsWanted) {
+                                crawlerLog.info(`✅ [${query.label}] Target reached`);
+                                await finishQuery(query, 'target', crawlerInstance);
+                            }
                         }
                     }
 
-                    if (nextPageUrl && !shouldAbort) {
-                        const normalizedNext = nextPageUrl.startsWith('http')
-                            ? nextPageUrl
-                            : `https://www.totaljobs.com${nextPageUrl.startsWith('/') ? nextPageUrl : `/${nextPageUrl}`}`;
-                        const derivedNextNum = normalizedNext.includes('page=')
-                            ? Number(new URL(normalizedNext).searchParams.get('page'))
-                            : (nextPageNum ?? (currentPage + 1));
-                        const safePageNum = Number.isFinite(derivedNextNum) ? derivedNextNum : currentPage + 1;
-
-                        if (safePageNum > currentPage && safePageNum <= MAX_PAGES) {
-                            if (!seenPageUrls.has(normalizedNext)) {
-                                seenPageUrls.add(normalizedNext);
+                    if (isLastPage && !isQueryDone(query)) {
+                        crawlerLog.info(`[${query.label}] Last result page reached (${currentPage}/${pagination.pageCount})`);
+                        query.endReason = 'exhausted';
+                    } else if (pageOutsideWindow && !isQueryDone(query)) {
+                        crawlerLog.info(`[${query.label}] Every job on page ${currentPage} was posted before ${query.postedSince}, stopping pagination`);
+                        query.endReason ??= 'posted_window';
+                    } else if (!isQueryDone(query) && (shard ? shard.pagesVisited < pageLimit : query.pagesVisited < query.maxPages)) {
+                        if (nextPageSource !== 'state') {
+                            crawlerLog.info(`Next page via ${nextPageSource}: ${nextPageUrl}`);
+                        }
+
+                        if (nextPageUrl && !isQueryDone(query)) {
+                            if (nextPageNum > currentPage && nextPageNum <= pageLimit) {
+                                if (!seenPageUrls.has(nextPageUrl)) {
+                                    seenPageUrls.add(nextPageUrl);
                                 
-                                const nextPageReq = {
-                                    url: normalizedNext,
-                                    uniqueKey: normalizedNext,
-                                    userData: { 
-                                        referer: request.url, 
-                                        isListPage: true, 
-                                        pageNum: safePageNum 
-                                    },
-                                    headers: { 
-                                        referer: request.url,
-                                        'accept-language': 'en-GB,en-US;q=0.9,en;q=0.8',
-                                    },
-                                };
+                                    const nextPageReq = {
+                                        url: nextPageUrl,
+                                        uniqueKey: nextPageUrl,
+                                        userData: { 
+                                            referer: request.url, 
+                                            isListPage: true, 
+                                            pageNum: nextPageNum,
+                                            queryId: query.id,
+                                            ...(shard ? { shardId: shard.id } : {}),
+                                        },
+                                        headers: { 
+                                            referer: request.url,
+                                            'accept-language': 'en-GB,en-US;q=0.9,en;q=0.8',
+                                        },
+                                    };
                                 
-                                // Inject dynamic headers for pagination request
-                                injectDynamicHeaders(nextPageReq);
+                                    // Inject dynamic headers for pagination request
+                                    injectDynamicHeaders(nextPageReq);
                                 
-                                await requestQueue.addRequest(nextPageReq);
-                                crawlerLog.info(`➡️ Enqueued next page ${safePageNum}/${MAX_PAGES} (${saved}/${RESULTS_WANTED} jobs saved)`);
+                                    await requestQueue.addRequest(nextPageReq);
+                                    crawlerLog.info(`➡️ [${query.label}] Enqueued next page ${nextPageNum}/${pageLimit} (${query.saved}/${query.resultsWanted} jobs saved)`);
+                                } else {
+                                    crawlerLog.debug(`⚠️ Page already queued: ${nextPageUrl}`);
+                                }
                             } else {
-                                crawlerLog.debug(`⚠️ Page already queued: ${normalizedNext}`);
+                                crawlerLog.info(`⚠️ [${query.label}] Page ${nextPageNum} exceeds limits (max: ${pageLimit})`);
+                                if (!shard?.split) query.endReason ??= 'max_pages';
                             }
+                        } else if (isQueryDone(query)) {
+                            crawlerLog.info(`✅ [${query.label}] Target reached, not enqueueing more pages`);
                         } else {
-                            crawlerLog.info(`⚠️ Page ${safePageNum} exceeds limits (max: ${MAX_PAGES})`);
+                            crawlerLog.warning(`⚠️ [${query.label}] Could not determine next page URL`);
+                            query.endReason ??= 'exhausted';
                         }
-                    } else if (shouldAbort) {
-                        crawlerLog.info(`✅ Target reached, not enqueueing more pages`);
-                    } else {
-                        crawlerLog.warning('⚠️ Could not determine next page URL');
+                    } else if (query.saved >= query.resultsWanted) {
+                        crawlerLog.info(`✅ [${query.label}] Target reached (${query.saved}/${query.resultsWanted} jobs), stopping pagination`);
+                        await finishQuery(query, 'target', crawlerInstance);
+                    } else if (!isQueryDone(query) && !shard?.split && shard?.pageCount !== 0) {
+                        query.endReason ??= 'max_pages';
                     }
-                } else if (saved >= RESULTS_WANTED) {
-                    crawlerLog.info(`✅ Target reached (${saved}/${RESULTS_WANTED} jobs), stopping pagination`);
-                    shouldAbort = true;
                 }
-            }
 
-            // DETAIL PAGE: extract full job details
+                // DETAIL PAGE: extract full job details
                 if (isDetailPage) {
-                    if (saved >= RESULTS_WANTED || shouldAbort) {
-                        crawlerLog.debug('Reached results limit, skipping detail page');
+                    if (isQueryDone(query)) {
+                        crawlerLog.debug(`[${query.label}] Reached results limit, skipping detail page`);
                         return;
                     }
 
                     const seed = request.userData?.seed || {};
-
-                    // Try JSON-LD structured data first (best quality)
-                    const jsonLd = extractJsonLd($, request.url);
-
-                    // Fallback to HTML parsing
-                    const title = jsonLd?.title || 
-                        seed.title || 
-                        pickText($, ['h1', '.job-title', '[data-automation="job-detail-title"]']) ||
-                        null;
-
-                    const company = jsonLd?.company || 
-                        seed.company || 
-                        pickText($, ['a[href*="/jobs/"]', '.company', '[data-automation="advertiser-name"]']) ||
-                        null;
-
-                    const location = jsonLd?.location || 
-                        seed.location || 
-                        pickText($, ['.location', '[data-automation="job-detail-location"]', 'span:contains(",")']) ||
-                        null;
-
-                    const salary = jsonLd?.salary || 
-                        seed.salary || 
-                        pickText($, ['.salary', '[data-automation="job-detail-salary"]', 'span:contains("£")']) ||
-                        null;
-
-                    const date_posted = jsonLd?.date_posted || 
-                        seed.date_posted || 
-                        pickText($, ['.posted', 'time', 'span:contains("ago")']) ||
-                        null;
-
-                    const job_type = jsonLd?.job_type || 
-                        pickText($, ['.job-type', '[data-automation="job-detail-worktype"]', 'span:contains("Full-time"), span:contains("Part-time")']) ||
-                        null;
-
-                    // Description: prefer JSON-LD, then multiple selectors
-                    let description_html = jsonLd?.description_html || '';
-                    if (!description_html) {
-                        const descNode = $('.job-description').first();
-                        if (!descNode.length) {
-                            const altNodes = $('[class*="description"], [id*="description"], section, article').filter((i, el) => {
-                                const text = $(el).text();
-                                return text.length > 200 && /responsibilities|requirements|skills|experience/i.test(text);
-                            });
-                            if (altNodes.length) {
-                                description_html = $(altNodes.first()).html() || '';
-                            }
-                        } else {
-                            description_html = descNode.html() || '';
+                    const jobKey = request.userData?.jobKey || jobIdentity(request.url, { id: seed.job_id, baseUrl: query.siteUrl, site: query.site.id }).key;
+                    const record = detailRecord({ $, request, response, site: query.site, seed, tags: queryTags(query) });
+
+                    if (pushedJobKeys.has(jobKey)) {
+                        crawlerLog.debug(`Already saved before resume, skipping: ${request.url}`);
+                    } else if (query.saved < query.resultsWanted && !(await rejectInvalid(record, request.url))) {
+                        if (!passesFilters(query, record)) {
+                            crawlerLog.debug(`[${query.label}] Filtered out (${failedFilter(query, record)}): ${request.url}`);
+                            return;
                         }
-                    }
-
-                    const description_text = description_html 
-                        ? cheerioLoad(description_html).text().replace(/\s+/g, ' ').trim()
-                        : '';
-
-                    // Extract job category from breadcrumbs or meta
-                    const job_category = pickText($, ['nav a', '.breadcrumb a', 'meta[name="category"]']) || null;
-
-                    const record = {
-                        title,
-                        company,
-                        location,
-                        salary,
-                        date_posted,
-                        job_type,
-                        job_category,
-                        description_html,
-                        description_text,
-                        job_url: request.loadedUrl || request.url,
-                    };
-
-                    // Validate: must have at least title and URL
-                    if (record.title && record.job_url && saved < RESULTS_WANTED) {
-                        await Dataset.pushData(record);
-                        saved++;
-                        crawlerLog.info(`✓ Saved job #${saved}/${RESULTS_WANTED}: ${record.title}`);
+                        const output = applyIncremental(query, record, seed.job_id);
+                        if (!output) {
+                            crawlerLog.debug(`[${query.label}] Unchanged since last run, skipping: ${request.url}`);
+                            return;
+                        }
+                        output.company_profile = await companyProfileFor(output.company_page_url, request.url);
+                        // Another detail page may have reached the target while the profile loaded
+                        if (query.saved >= query.resultsWanted) return;
+                        // Claim the slot before the push await so concurrent pages can't overshoot the target
+                        query.saved++;
+                        pushedJobKeys.add(jobKey);
+                        await Dataset.pushData(output);
+                        commitIncremental(query, output, seed.job_id);
+                        webhook?.add([output]);
+                        quality.addRecord(output);
+                        crawlerLog.info(`✓ [${query.label}] Saved job #${query.saved}/${query.resultsWanted}: ${record.title}`);
                         
                         // Check if we reached target
-                        if (saved >= RESULTS_WANTED) {
-                            shouldAbort = true;
-                            crawlerLog.info(`✅ Target of ${RESULTS_WANTED} jobs reached, signaling abort`);
-                            await crawlerInstance.autoscaledPool?.abort();
+                        if (query.saved >= query.resultsWanted) {
+                            crawlerLog.info(`✅ [${query.label}] Target of ${query.resultsWanted} jobs reached`);
+                            await finishQuery(query, 'target', crawlerInstance);
                         }
                     } else if (!record.title || !record.job_url) {
                         crawlerLog.warning(`Skipped incomplete job: ${request.url}`);
@@ -830,32 +1312,44 @@ if (isListPage) {
                 }
             },
 
+            // Every failed attempt that will be retried feeds the rate controller
+            errorHandler: (context, error) => {
+                const failure = classifyFailure(error, context.response?.statusCode);
+                if (failure !== 'other') throttle.record(failure);
+            },
+
             // Error handling with smart retry - DON'T STOP CRAWLING
-            failedRequestHandler: async ({ request, session, error, log: crawlerLog }) => {
+            failedRequestHandler: async ({ request, response, session, error, log: crawlerLog, crawler: crawlerInstance }) => {
+                const message = error?.message || 'Unknown error';
+                const failure = classifyFailure(error, response?.statusCode);
+                if (failure !== 'other') throttle.record(failure);
+
+                if (request.userData?.recheckIndex !== undefined) {
+                    const job = RECHECK[request.userData.recheckIndex];
+                    failedUrls.add(request.url);
+                    await saveRecheckRow(job, failedRecheckRow(job, message.substring(0, 200), new Date().toISOString()));
+                    return;
+                }
+
                 // Don't process failures if target already reached
-                if (shouldAbort || saved >= RESULTS_WANTED) {
+                const query = getQuery(request);
+                if (isQueryDone(query)) {
                     crawlerLog.info(`Target reached, skipping failed request handling`);
                     return;
                 }
                 
-                const message = error?.message || 'Unknown error';
-                const is403or429 = message.includes('403') || message.includes('429');
-                const isNetworkError = message.includes('NGHTTP2') || message.includes('HTTP/2') ||
-                                      message.includes('socket') || message.includes('Stream closed') ||
-                                      message.includes('ECONNRESET') || message.includes('ETIMEDOUT') ||
-                                      message.includes('ENOTFOUND') || message.includes('EAI_AGAIN') ||
-                                      message.includes('early terminated');
-                const isListPage = request.userData?.isListPage || LIST_PATH_REGEX.test(new URL(request.url).pathname);
+                const is403or429 = failure === 'blocked';
+                const isNetworkError = failure === 'network';
+                const isListPage = request.userData?.isListPage || query.site.listPath.test(new URL(request.url).pathname);
 
                 if (is403or429) {
                     crawlerLog.warning(`🚫 Blocked (${message.includes('403') ? '403' : '429'}) on ${request.url} - retry ${request.retryCount}/4`);
                     if (session) {
                         session.retire();
                     }
-                    await randomDelay(4000, 7000);
 
                     // For list pages, try to recover with fresh session and longer delay
-                    if (isListPage && request.retryCount >= 3 && !shouldAbort) {
+                    if (isListPage && request.retryCount >= 3 && !isQueryDone(query)) {
                         const pageNum = request.userData?.pageNum || 1;
                         const fallbackUrl = buildPageUrl(request.url, pageNum);
                         const uniqueRetryKey = `${fallbackUrl}#recovery-${Date.now()}`;
@@ -866,12 +1360,14 @@ if (isListPage) {
                                 url: fallbackUrl,
                                 uniqueKey: uniqueRetryKey,
                                 userData: {
-                                    referer: 'https://www.totaljobs.com/',
+                                    referer: `${query.siteUrl}/`,
                                     isListPage: true,
                                     pageNum: pageNum,
+                                    queryId: query.id,
+                                    shardId: request.userData?.shardId,
                                 },
                                 headers: {
-                                    referer: 'https://www.totaljobs.com/',
+                                    referer: `${query.siteUrl}/`,
                                     'accept-language': 'en-GB,en-US;q=0.9,en;q=0.8',
                                 },
                             };
@@ -885,10 +1381,9 @@ if (isListPage) {
                     if (session) {
                         session.retire();
                     }
-                    await randomDelay(3000, 6000);
                     
                     // CRITICAL: Always retry list pages - don't let pagination stop
-                    if (isListPage && !shouldAbort && saved < RESULTS_WANTED) {
+                    if (isListPage && !isQueryDone(query)) {
                         const fallbackPageNum = request.userData?.pageNum
                             || (request.url.includes('page=')
                                 ? Number(new URL(request.url).searchParams.get('page'))
@@ -902,18 +1397,22 @@ if (isListPage) {
                             const skipUrl = buildPageUrl(request.url, nextPageNum);
                             const skipKey = `${skipUrl}#skip-failed-${fallbackPageNum}`;
                             
-                            if (!seenPageUrls.has(skipKey) && nextPageNum <= MAX_PAGES) {
+                            const failedShard = SHARDING ? shards.get(request.userData?.shardId) : null;
+                            const pageLimit = failedShard ? shardPageLimit(failedShard) : query.maxPages;
+                            if (!seenPageUrls.has(skipKey) && nextPageNum <= pageLimit) {
                                 seenPageUrls.add(skipKey);
                                 const skipReq = {
                                     url: skipUrl,
                                     uniqueKey: skipKey,
                                     userData: {
-                                        referer: 'https://www.totaljobs.com/',
+                                        referer: `${query.siteUrl}/`,
                                         isListPage: true,
                                         pageNum: nextPageNum,
+                                        queryId: query.id,
+                                        shardId: request.userData?.shardId,
                                     },
                                     headers: { 
-                                        referer: 'https://www.totaljobs.com/',
+                                        referer: `${query.siteUrl}/`,
                                         'accept-language': 'en-GB,en-US;q=0.9,en;q=0.8',
                                     },
                                 };
@@ -932,12 +1431,14 @@ if (isListPage) {
                                     url: manualUrl,
                                     uniqueKey: retryKey,
                                     userData: {
-                                        referer: request.userData?.referer || 'https://www.totaljobs.com/',
+                                        referer: request.userData?.referer || `${query.siteUrl}/`,
                                         isListPage: true,
                                         pageNum: fallbackPageNum,
+                                        queryId: query.id,
+                                        shardId: request.userData?.shardId,
                                     },
                                     headers: { 
-                                        referer: request.userData?.referer || 'https://www.totaljobs.com/',
+                                        referer: request.userData?.referer || `${query.siteUrl}/`,
                                         'accept-language': 'en-GB,en-US;q=0.9,en;q=0.8',
                                     },
                                 };
@@ -952,57 +1453,229 @@ if (isListPage) {
                 }
 
                 // Save seed data as fallback for failed detail pages
-                if (!isListPage && !shouldAbort) {
+                if (!isListPage && !isQueryDone(query)) {
                     failedUrls.add(request.url);
-                    if (request.userData?.seed && saved < RESULTS_WANTED) {
+                    const jobKey = request.userData?.jobKey
+                        || jobIdentity(request.url, { id: request.userData?.seed?.job_id, baseUrl: query.siteUrl, site: query.site.id }).key;
+                    if (request.userData?.seed && query.saved < query.resultsWanted && !pushedJobKeys.has(jobKey)) {
                         const seed = request.userData.seed;
-                        const fallbackRecord = {
-                            title: seed.title || null,
-                            company: seed.company || null,
-                            location: seed.location || null,
-                            salary: seed.salary || null,
-                            date_posted: seed.date_posted || null,
-                            job_type: null,
-                            job_category: null,
-                            description_html: seed.description_html || null,
-                            description_text: seed.description_text || null,
-                            job_url: request.loadedUrl || request.url,
-                        };
-                        if (fallbackRecord.title && fallbackRecord.job_url) {
-                            await Dataset.pushData(fallbackRecord);
-                            saved++;
-                            crawlerLog.info(`📄 Saved fallback seed #${saved}: ${fallbackRecord.title}`);
+                        const fallbackRecord = buildJobRecord({
+                            ...seedRecordFields(seed, {
+                                url: request.url,
+                                now: runStart,
+                                description: { ...DESCRIPTION_OPTIONS, baseUrl: query.siteUrl },
+                                extractionPath: 'seed',
+                            }),
+                            ...queryTags(query),
+                        });
+                        const output = !(await rejectInvalid(fallbackRecord, request.url)) && passesFilters(query, fallbackRecord)
+                            ? applyIncremental(query, fallbackRecord, seed.job_id)
+                            : null;
+                        if (output) {
+                            output.company_profile = await companyProfileFor(output.company_page_url, request.url);
+                            if (query.saved >= query.resultsWanted) return;
+                            query.saved++;
+                            pushedJobKeys.add(jobKey);
+                            await Dataset.pushData(output);
+                            commitIncremental(query, output, seed.job_id);
+                            webhook?.add([output]);
+                            quality.addRecord(output);
+                            crawlerLog.info(`📄 [${query.label}] Saved fallback seed #${query.saved}: ${fallbackRecord.title}`);
                             
-                            if (saved >= RESULTS_WANTED) {
-                                shouldAbort = true;
-                                crawlerLog.info(`✅ Target reached via fallback data`);
+                            if (query.saved >= query.resultsWanted) {
+                                crawlerLog.info(`✅ [${query.label}] Target reached via fallback data`);
+                                await finishQuery(query, 'target', crawlerInstance);
                             }
                         }
                     }
                 }
                 
-                crawlerLog.info(`📊 Progress: ${saved}/${RESULTS_WANTED} jobs saved, ${pagesVisited}/${MAX_PAGES} pages visited`);
+                crawlerLog.info(`📊 [${query.label}] Progress: ${query.saved}/${query.resultsWanted} jobs saved, ${query.pagesVisited}/${query.maxPages} pages visited`);
             },
         });
 
         await crawler.run();
+        throttle.stop();
+        await persistCheckpoint();
+
+        // Incremental mode: report jobs that vanished from fully paginated queries, then persist registries
+        if (registryStore) {
+            const removedDataset = await Actor.openDataset(removedDatasetName);
+            for (const q of queryList) {
+                if (q.endReason === 'exhausted') {
+                    const removed = Object.entries(q.registry.jobs).filter(([id]) => !q.observedJobIds.has(id));
+                    if (removed.length) {
+                        await removedDataset.pushData(removed.map(([id, entry]) => ({
+                            job_id: id,
+                            job_url: entry.job_url,
+                            title: entry.title,
+                            company: entry.company,
+                            first_seen: entry.first_seen,
+                            last_seen: entry.last_seen,
+                            removed_detected_at: runStartedAt,
+                            ...queryTags(q),
+                        })));
+                        for (const [id] of removed) delete q.registry.jobs[id];
+                    }
+                    q.removedJobs = removed.length;
+                    log.info(`[${q.label}] ${removed.length} jobs no longer listed`);
+                } else {
+                    log.info(`[${q.label}] Not all result pages were visited, skipping removed-job detection`);
+                }
+                q.registry.label = q.label;
+                q.registry.updatedAt = new Date().toISOString();
+                await registryStore.setValue(q.registryKey, q.registry);
+            }
+        }
+
+        // Deliver the last partial batch before the stats are taken
+        if (webhook) await webhook.flush();
+
+        // Export files cover the whole default dataset, so a resumed run also exports jobs saved before the restart
+        let exportFiles = [];
+        if (EXPORTS.length) {
+            const { items } = await Dataset.getData();
+            exportFiles = buildExports(items, EXPORTS, {
+                title: `${[...new Set(queryList.map((q) => q.site.name))].join(' + ')}: ${queryList.map((q) => q.label).join(', ')}`,
+                link: queryList[0]?.startUrl || `${SITE_LIST[0].baseUrl}/`,
+                generatedAt: new Date().toISOString(),
+            });
+            for (const file of exportFiles) {
+                await Actor.setValue(file.key, file.body, { contentType: file.contentType });
+            }
+            log.info(`📁 Exported ${items.length} jobs as ${EXPORTS.join(', ')}`);
+        }
+
+        // Why the run ended: time budget wins, then targets, page caps and finally exhausted searches
+        const queryEndReason = (q) => (q.saved >= q.resultsWanted ? 'target' : (q.endReason || 'exhausted'));
+        const endReason = timeBudgetHit
+            ? 'time_budget'
+            : queryList.every((q) => queryEndReason(q) === 'target')
+                ? 'target'
+                : queryList.some((q) => queryEndReason(q) === 'max_pages') ? 'max_pages' : 'exhausted';
+
+        // Quality report: saved in full, summarised in OUTPUT
+        const qualityReport = { generatedAt: new Date().toISOString(), ...quality.report(QUALITY_THRESHOLDS) };
+        await Actor.setValue(QUALITY_REPORT_KEY, qualityReport);
+        for (const warning of qualityReport.warnings) log.warning(`⚠️ Data quality: ${warning.message}`);
+
+        // Throttle decisions and the per-minute timeline: saved in full, counted in OUTPUT
+        await Actor.setValue(THROTTLE_REPORT_KEY, { generatedAt: new Date().toISOString(), ...throttle.report() });
+
+        // Exhaustive mode: the search's reported total, how much of it was listed, every shard
+        // and how many results the shards left out (regions or categories outside the shard lists)
+        const queryShardStats = (q) => {
+            const reportedTotal = shards.get(q.id)?.total ?? null;
+            const rows = shardReport([...shards.values()].filter((sh) => sh.queryId === q.id), SHARDING.pageLimit);
+            const notInShards = rows.reduce((sum, row) => sum + (row.notInShards || 0), 0);
+            if (notInShards) log.warning(`[${q.label}] ${notInShards} results are in no shard; only the unsplit searches' first ${SHARDING.pageLimit} pages reach them`);
+            return {
+                reportedTotal,
+                jobsListed: q.observedJobIds.size,
+                coverage: reportedTotal ? Math.min(1, Math.round((q.observedJobIds.size / reportedTotal) * 1000) / 1000) : null,
+                notInShards,
+                shards: rows,
+            };
+        };
 
         // Final stats for QA and monitoring
         const stats = {
-            jobsSaved: saved,
-            pagesVisited: pagesVisited,
-            targetJobs: RESULTS_WANTED,
-            maxPages: MAX_PAGES,
-            uniqueJobUrls: seenJobUrls.size,
+            endReason,
+            runTimeSecs: Math.round((Date.now() - runStart) / 1000),
+            maxRunTimeSecs: Number.isFinite(MAX_RUNTIME_MS) ? MAX_RUNTIME_MS / 1000 : 'unlimited',
+            resumedFromCheckpoint: Boolean(checkpoint),
+            jobsSaved: totalSaved(),
+            pagesVisited: totalPagesVisited(),
+            targetJobs: queryList.reduce((sum, q) => sum + q.resultsWanted, 0),
+            maxPages: queryList.reduce((sum, q) => sum + q.maxPages, 0),
+            uniqueJobs: seenJobKeys.size,
+            duplicatesCollapsed: duplicateJobs,
+            ...(multiSite ? { crossSiteDuplicates } : {}),
+            sites: [...new Set(queryList.map((q) => q.site.id))],
             uniquePageUrls: seenPageUrls.size,
             failedUrls: failedUrls.size,
+            rejectedRecords,
+            searchFilters: {
+                ...SEARCH_FILTERS,
+                workMode: WORK_MODE_FILTER.length ? WORK_MODE_FILTER : 'any',
+                postedWithin: postedWithin || null,
+            },
+            ...(START_URLS.invalid.length ? { invalidStartUrls: START_URLS.invalid } : {}),
+            ...(hasFilterRules(FILTER_RULES) ? { filterRules: describeFilterRules(FILTER_RULES) } : {}),
+            ...(RECHECK.length ? {
+                recheck: { jobs: RECHECK.length, checked: recheckedKeys.size, ...recheckCounts, dataset: recheckDatasetName },
+            } : {}),
+            ...(companiesDataset ? { companyProfiles: companyProfiles.size } : {}),
+            ...(exportFiles.length ? { exports: Object.fromEntries(exportFiles.map((f) => [f.format, f.key])) } : {}),
+            ...(webhook ? { webhook: { ...webhook.stats } } : {}),
+            throttling: { ...throttle.stats(), report: THROTTLE_REPORT_KEY },
+            quality: {
+                status: qualityReport.status,
+                warnings: qualityReport.warnings.map((w) => w.message),
+                extractionPaths: qualityReport.extractionPaths,
+                zeroJobPages: qualityReport.listPages.empty,
+                report: QUALITY_REPORT_KEY,
+            },
+            ...(SHARDING ? {
+                sharding: {
+                    dimensions: SHARDING.dimensions,
+                    sitePageLimit: SHARDING.pageLimit,
+                    shards: shards.size,
+                    splitShards: [...shards.values()].filter((sh) => sh.split).length,
+                },
+            } : {}),
+            filtered: Object.fromEntries(Object.keys(queryList[0]?.filtered || {})
+                .map((name) => [name, queryList.reduce((sum, q) => sum + q.filtered[name], 0)])),
+            filteredBeforeDetail: queryList.reduce((sum, q) => sum + q.filteredBeforeDetail, 0),
+            queries: RECHECK.length ? [] : queryList.map((q) => ({
+                label: q.label,
+                type: q.type,
+                site: q.site.id,
+                keyword: q.keyword,
+                location: q.location,
+                category: q.category,
+                startUrl: q.startUrl,
+                jobsSaved: q.saved,
+                pagesVisited: q.pagesVisited,
+                targetJobs: q.resultsWanted,
+                maxPages: q.maxPages,
+                endReason: timeBudgetHit && queryEndReason(q) !== 'target' ? 'time_budget' : queryEndReason(q),
+                postedSince: q.postedSince,
+                filtered: q.filtered,
+                filteredBeforeDetail: q.filteredBeforeDetail,
+                ...(SHARDING && q.type === 'search' ? queryShardStats(q) : {}),
+                ...(registryStore ? {
+                    newJobs: q.newJobs,
+                    updatedJobs: q.updatedJobs,
+                    unchangedJobs: q.unchangedJobs,
+                    removedJobs: q.removedJobs,
+                } : {}),
+            })),
         };
         
         log.info(`✅ TotalJobs scraper finished successfully!`);
         log.info(`📊 Final Stats: ${JSON.stringify(stats, null, 2)}`);
         
+        // The run-complete call carries the same stats as OUTPUT; undelivered payloads are kept for replay
+        if (webhook) {
+            await webhook.complete(stats);
+            if (webhook.failures.length) {
+                await Actor.setValue(WEBHOOK_FAILURES_KEY, webhook.failures);
+                log.warning(`⚠️ ${webhook.failures.length} webhook deliveries failed, saved to ${WEBHOOK_FAILURES_KEY} for replay`);
+            }
+        }
+
         // Set output for Apify platform
         await Actor.setValue('OUTPUT', stats);
+
+        if (qualityReport.status === 'warning') {
+            const summary = `Data quality warning: ${qualityReport.warnings.map((w) => w.message).join('; ')}`;
+            if (failOnQualityWarning) {
+                await Actor.fail(summary);
+                return;
+            }
+            await Actor.setStatusMessage(`⚠️ ${summary}`, { isStatusMessageTerminal: true });
+        }
         
     } catch (error) {
         log.error(`Fatal error in main: ${error.message}`, { stack: error.stack });
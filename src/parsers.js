@@ -0,0 +1,573 @@
+// Page parsers - pure functions that turn Totaljobs HTML into records and pagination info
+import { log } from 'apify';
+import { load as cheerioLoad } from 'cheerio';
+import { applyFromState, classifyApply, mergeApplyDetails, parseApplyPanel } from './apply-details.js';
+import { postingDates } from './dates.js';
+import { descriptionFields } from './description.js';
+import { detectEmployerType } from './employer-type.js';
+import { parseSalary } from './salary.js';
+import { SITES } from './sites.js';
+import { detectWorkMode } from './work-mode.js';
+import {
+  BASE_URL,
+  buildPageUrl,
+  canonicalJobUrl,
+  extractJobId,
+  htmlToText,
+  jobIdentity,
+  pickAttr,
+  pickText,
+  toAbsoluteUrl,
+} from './utils.js';
+
+// Selector documentation based on actual Totaljobs.com structure (Nov 2025)
+// LISTING PAGE: Job links found as: <a href="/job/[title]/[company]-job[id]">
+// Pattern: Links start with /job/ and contain job title, company slug, and job ID
+// Pagination: <a href="/jobs/admin?page=2"> (numbered pages 1-285+)
+// Job cards: Each job is a heading with company/location/salary below
+// DETAIL PAGE: May require authentication; JSON-LD structured data preferred
+// Fallback selectors for title, company, location, salary, description
+
+const toCheerio = (input) => (typeof input === 'string' ? cheerioLoad(input) : input);
+
+const asArray = (value) => (value === undefined || value === null ? [] : [].concat(value));
+
+// Reads the human-readable value of a schema.org node (Text, Thing, PropertyValue, credential, ...)
+function schemaText(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'string') return value.trim() || null;
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  if (value.monthsOfExperience) return `${value.monthsOfExperience} months`;
+  return schemaText(value.name ?? value.value ?? value.credentialCategory ?? value.description ?? value.url ?? null);
+}
+
+function schemaList(value) {
+  const parts = asArray(value).map(schemaText).filter(Boolean);
+  return parts.length ? parts.join(', ') : null;
+}
+
+function mapAddress(place) {
+  const address = place?.address ?? place;
+  if (!address) return null;
+  if (typeof address === 'string') {
+    return { street: null, locality: address.trim() || null, region: null, postcode: null, country: null };
+  }
+  return {
+    street: address.streetAddress || null,
+    locality: address.addressLocality || null,
+    region: address.addressRegion || null,
+    postcode: address.postalCode || null,
+    country: schemaText(address.addressCountry),
+  };
+}
+
+const hasSchemaType = (item, types) => asArray(item?.['@type'] || item?.type).some((type) => types.includes(type));
+
+const isJobPosting = (item) => hasSchemaType(item, ['JobPosting']);
+
+function mapJobPosting(item, url) {
+  const locations = asArray(item.jobLocation).map(mapAddress).filter(Boolean);
+  const primary = locations[0] || {};
+  const organisation = item.hiringOrganization || {};
+  const logo = organisation.logo;
+  const contact = asArray(item.applicationContact).find((c) => typeof c === 'object') || {};
+  const applyAction = asArray(item.potentialAction).find((action) => hasSchemaType(action, ['ApplyAction']));
+  const applyHref = schemaText(contact.url) || schemaText(applyAction?.target?.urlTemplate ?? applyAction?.target);
+  const applyUrl = applyHref ? new URL(applyHref, url).href : null;
+  const job_identifier = schemaText(item.identifier?.value ?? item.identifier);
+
+  return {
+    title: item.title || item.name || null,
+    company: schemaText(organisation.name ?? (typeof organisation === 'string' ? organisation : null)),
+    location: primary.locality || primary.region || null,
+    date_posted: item.datePosted || null,
+    description_html: item.description || null,
+    salary: item.baseSalary ?? null,
+    job_type: schemaList(item.employmentType),
+    valid_through: item.validThrough || null,
+    job_identifier,
+    address_street: primary.street || null,
+    address_locality: primary.locality || null,
+    address_region: primary.region || null,
+    address_postcode: primary.postcode || null,
+    address_country: primary.country || null,
+    job_locations: locations,
+    job_location_type: schemaList(item.jobLocationType),
+    applicant_location_requirements: asArray(item.applicantLocationRequirements).map(schemaText).filter(Boolean),
+    industry: schemaList(item.industry),
+    occupational_category: schemaList(item.occupationalCategory),
+    qualifications: schemaList(item.qualifications),
+    experience_requirements: schemaList(item.experienceRequirements),
+    education_requirements: schemaList(item.educationRequirements),
+    direct_apply: typeof item.directApply === 'boolean' ? item.directApply : null,
+    company_url: asArray(organisation.sameAs).map(schemaText).find(Boolean) || organisation.url || null,
+    company_logo: (typeof logo === 'string' ? logo : logo?.url || logo?.contentUrl) || null,
+    // Merged with the apply panel and the search state in parseDetailPage
+    apply: {
+      apply_url: applyUrl,
+      apply_type: classifyApply({ directApply: item.directApply, applyUrl, pageUrl: url }),
+      job_identifier,
+      recruiter_name: schemaText(contact.name),
+      contact_phone: schemaText(contact.telephone),
+      contact_email: schemaText(contact.email),
+      employer_type: hasSchemaType(organisation, ['EmploymentAgency']) ? 'agency' : null,
+    },
+  };
+}
+
+// Utility: first JSON-LD node matching `predicate` (plain, array or @graph documents)
+function findJsonLdNode($, url, predicate) {
+  const scripts = $('script[type="application/ld+json"]');
+  for (let i = 0; i < scripts.length; i++) {
+    try {
+      const rawJson = $(scripts[i]).html();
+      if (!rawJson) continue;
+      const parsed = JSON.parse(rawJson);
+      const items = asArray(parsed).flatMap((node) => (Array.isArray(node?.['@graph']) ? node['@graph'] : [node]));
+      const match = items.find(predicate);
+      if (match) return match;
+    } catch (e) {
+      log.debug(`JSON-LD parse error on ${url}: ${e.message}`);
+    }
+  }
+  return null;
+}
+
+// Utility: extract JSON-LD structured data for JobPosting
+export function extractJsonLd($, url) {
+  const posting = findJsonLdNode($, url, isJobPosting);
+  return posting ? mapJobPosting(posting, url) : null;
+}
+
+// JobPosting-only fields, empty when the page has no JSON-LD (also used for list-only records)
+export function emptyJobPostingFields() {
+  return {
+    valid_through: null,
+    job_identifier: null,
+    address_street: null,
+    address_locality: null,
+    address_region: null,
+    address_postcode: null,
+    address_country: null,
+    job_locations: [],
+    job_location_type: null,
+    applicant_location_requirements: [],
+    industry: null,
+    occupational_category: null,
+    qualifications: null,
+    experience_requirements: null,
+    education_requirements: null,
+    direct_apply: null,
+    company_url: null,
+    company_logo: null,
+  };
+}
+
+export function extractResultListState($) {
+  const scripts = $('script');
+  for (let i = 0; i < scripts.length; i++) {
+    const content = $(scripts[i]).html();
+    if (!content) continue;
+    const match = content.match(/window\.__PRELOADED_STATE__\["app-unifiedResultlist"\]\s*=\s*(\{[\s\S]*?\});/);
+    if (match) {
+      try {
+        return JSON.parse(match[1]);
+      } catch (err) {
+        log.debug(`Result list state parse error: ${err.message}`);
+      }
+    }
+  }
+  return null;
+}
+
+function currentPageFromUrl(url, perPage) {
+  const urlObj = new URL(url);
+  if (urlObj.searchParams.has('page')) {
+    const val = Number(urlObj.searchParams.get('page'));
+    return Number.isFinite(val) ? val : null;
+  }
+  if (urlObj.searchParams.has('of')) {
+    const ofVal = Number(urlObj.searchParams.get('of'));
+    if (Number.isFinite(ofVal)) {
+      return Math.floor(ofVal / perPage) + 1;
+    }
+  }
+  return null;
+}
+
+function jobsFromState(items, { baseUrl, site }) {
+  const jobs = [];
+  for (const item of items) {
+    const href = item.url;
+    if (!href) continue;
+    const { jobId, url, key } = jobIdentity(toAbsoluteUrl(href, baseUrl), { id: item.id, baseUrl, site: site.id });
+    const snippetHtml = item.textSnippet || '';
+    jobs.push({
+      url,
+      jobId,
+      key,
+      seed: {
+        title: item.title || null,
+        company: item.companyName || null,
+        location: item.location || null,
+        salary: item.salary || null,
+        date_posted: item.datePosted || null,
+        description_html: snippetHtml || null,
+        description_text: htmlToText(snippetHtml) || null,
+        job_id: jobId,
+        company_page_url: item.companyUrl ? toAbsoluteUrl(item.companyUrl, baseUrl) : null,
+        work_mode: detectWorkMode({
+          siteFlag: item.workFromHome ?? item.isRemote ?? item.homeOffice,
+          location: item.location,
+          description: htmlToText(snippetHtml),
+        }),
+        employer_type: detectEmployerType({
+          siteValue: item.isAgency ?? item.advertiserType,
+          company: item.companyName,
+          description: htmlToText(snippetHtml),
+        }),
+        ...applyFromState(item, { url, baseUrl }),
+      },
+    });
+  }
+  return jobs;
+}
+
+function jobsFromDom($, { baseUrl, site }) {
+  const jobs = [];
+  const seen = new Set();
+  $('a[href*="/job/"]').each((i, el) => {
+    const href = $(el).attr('href');
+    if (!href || !site.jobPath.test(href)) return;
+    const { jobId, url, key } = jobIdentity(toAbsoluteUrl(href, baseUrl), { baseUrl, site: site.id });
+    if (seen.has(key)) return;
+    seen.add(key);
+
+    const $link = $(el);
+    const title = $link.text().trim() || null;
+    const $container = $link.closest('article, li, div').length
+      ? $link.closest('article, li, div')
+      : $link.parent();
+
+    const company = pickText($container, [
+      'a[href*="/jobs/"]',
+      '.company',
+      'span:contains("Ltd")',
+    ]) || null;
+
+    const location = pickText($container, [
+      'span:contains(","), span:contains("London"), span:contains("Manchester")',
+      '.location',
+    ]) || null;
+
+    const salary = pickText($container, [
+      'span:contains("£"), span:contains("per")',
+      '.salary',
+    ]) || null;
+
+    const companyHref = pickAttr($container, ['a[href*="/company/"]', 'a[href*="/recruiters/"]'], 'href');
+
+    const date_posted = pickText($container, [
+      'span:contains("ago"), span:contains("hours"), span:contains("days")',
+      '.posted',
+    ]) || null;
+
+    jobs.push({
+      url,
+      jobId,
+      key,
+      seed: {
+        job_id: jobId,
+        title,
+        company,
+        location,
+        salary,
+        date_posted,
+        work_mode: detectWorkMode({ location }),
+        employer_type: detectEmployerType({ company }),
+        company_page_url: companyHref ? toAbsoluteUrl(companyHref, baseUrl) : null,
+      },
+    });
+  });
+  return jobs;
+}
+
+// Finds the next results page: state pagination, then "Next" link, then page= links, then a constructed URL
+function findNextPage($, { url, state, pagination, currentPage, baseUrl }) {
+  let nextPageUrl = null;
+  let nextPageNum = null;
+  let source = null;
+
+  if (state?.searchResults?.items?.length) {
+    nextPageUrl = pagination?.links?.next || null;
+    if (pagination?.pageCount && pagination.page < pagination.pageCount) {
+      nextPageNum = pagination.page + 1;
+      nextPageUrl = buildPageUrl(url, nextPageNum);
+    }
+    if (nextPageUrl) source = 'state';
+  }
+
+  if (!nextPageUrl) {
+    const nextHref = $('a:contains("Next")').first().attr('href');
+    if (nextHref) {
+      nextPageUrl = toAbsoluteUrl(nextHref, baseUrl);
+      nextPageNum = currentPage + 1;
+      source = 'next-link';
+    }
+  }
+
+  if (!nextPageUrl) {
+    $('a[href*="page="]').each((i, el) => {
+      const href = $(el).attr('href');
+      const match = href?.match(/page=(\d+)/);
+      if (match && Number(match[1]) === currentPage + 1) {
+        nextPageUrl = toAbsoluteUrl(href, baseUrl);
+        nextPageNum = Number(match[1]);
+        source = 'page-link';
+        return false;
+      }
+      return undefined;
+    });
+  }
+
+  if (!nextPageUrl) {
+    nextPageNum = currentPage + 1;
+    nextPageUrl = buildPageUrl(url, nextPageNum);
+    source = 'constructed';
+  }
+
+  const normalizedNext = toAbsoluteUrl(nextPageUrl, baseUrl);
+  const derivedNextNum = normalizedNext.includes('page=')
+    ? Number(new URL(normalizedNext).searchParams.get('page'))
+    : (nextPageNum ?? (currentPage + 1));
+
+  return {
+    nextPageUrl: normalizedNext,
+    nextPageNum: Number.isFinite(derivedNextNum) ? derivedNextNum : currentPage + 1,
+    nextPageSource: source,
+  };
+}
+
+/**
+ * Parses a search results page.
+ * @param {string|import('cheerio').CheerioAPI} html Page HTML or a loaded Cheerio instance
+ * @param {{ url: string, pageNum?: number, baseUrl?: string, site?: object }} options `site` is the board's
+ *   adapter from sites.js (defaults to Totaljobs); `baseUrl` its origin, which may be overridden for testing
+ * @returns {{ source: 'state'|'dom'|null, jobs: Array<{ url: string, jobId: string|null, key: string, seed: object }>,
+ *   pagination: object|null, totalCount: number|null, currentPage: number, isLastPage: boolean,
+ *   nextPageUrl: string, nextPageNum: number, nextPageSource: string }}
+ */
+export function parseListPage(html, { url, pageNum, baseUrl = BASE_URL, site = SITES.totaljobs } = {}) {
+  const $ = toCheerio(html);
+  const state = extractResultListState($);
+  const pagination = state?.searchResults?.pagination || null;
+  const currentPage = pageNum
+    || pagination?.page
+    || currentPageFromUrl(url, pagination?.perPage || 25)
+    || 1;
+
+  let jobs = state?.searchResults?.items?.length ? jobsFromState(state.searchResults.items, { baseUrl, site }) : [];
+  let source = jobs.length ? 'state' : null;
+  if (!jobs.length) {
+    jobs = jobsFromDom($, { baseUrl, site });
+    source = jobs.length ? 'dom' : null;
+  }
+
+  return {
+    source,
+    jobs,
+    pagination,
+    totalCount: Number.isFinite(state?.searchResults?.totalCount) ? state.searchResults.totalCount : null,
+    currentPage,
+    isLastPage: Boolean(pagination?.pageCount && currentPage >= pagination.pageCount),
+    ...findNextPage($, { url, state, pagination, currentPage, baseUrl }),
+  };
+}
+
+function extractDescriptionHtml($, selectors = []) {
+  const descNode = $([...selectors, '.job-description'].join(', ')).first();
+  if (descNode.length) return descNode.html() || '';
+  const altNodes = $('[class*="description"], [id*="description"], section, article').filter((i, el) => {
+    const text = $(el).text();
+    return text.length > 200 && /responsibilities|requirements|skills|experience/i.test(text);
+  });
+  return altNodes.length ? ($(altNodes.first()).html() || '') : '';
+}
+
+/**
+ * Parses a job detail page into a dataset record. JSON-LD wins, then the list-page seed, then page markup.
+ * @param {string|import('cheerio').CheerioAPI} html Page HTML or a loaded Cheerio instance
+ * @param {{ url: string, seed?: object, now?: number, skills?: object[], maxDescriptionLength?: number,
+ *   site?: object }} options
+ *   `url` is the loaded URL of the page, `now` the reference time for relative posting dates (defaults to
+ *   the current time), `skills` a dictionary compiled with compileSkills (defaults to the built-in one),
+ *   `maxDescriptionLength` the description size cap (0 = none) and `site` the board's adapter
+ */
+export function parseDetailPage(html, {
+  url,
+  seed = {},
+  now = Date.now(),
+  skills,
+  maxDescriptionLength = 0,
+  site = SITES.totaljobs,
+} = {}) {
+  const $ = toCheerio(html);
+  const $root = $.root();
+
+  // Try JSON-LD structured data first (best quality)
+  const jsonLd = extractJsonLd($, url);
+
+  const title = jsonLd?.title
+    || seed.title
+    || pickText($root, ['h1', '.job-title', '[data-automation="job-detail-title"]'])
+    || null;
+
+  const company = jsonLd?.company
+    || seed.company
+    || pickText($root, ['[data-automation="advertiser-name"]', '.company', 'a[href*="/jobs/"]'])
+    || null;
+
+  const location = jsonLd?.location
+    || seed.location
+    || pickText($root, ['[data-automation="job-detail-location"]', '.location', 'span:contains(",")'])
+    || null;
+
+  const salary = jsonLd?.salary
+    || seed.salary
+    || pickText($root, ['[data-automation="job-detail-salary"]', '.salary', 'span:contains("£")'])
+    || null;
+
+  const date_posted = jsonLd?.date_posted
+    || seed.date_posted
+    || pickText($root, ['.posted', 'time', 'span:contains("ago")'])
+    || null;
+
+  const job_type = jsonLd?.job_type
+    || pickText($root, ['[data-automation="job-detail-worktype"]', '.job-type', 'span:contains("Full-time"), span:contains("Part-time")'])
+    || null;
+
+  // Description: prefer JSON-LD, then multiple selectors. Detection reads the full text; the record
+  // gets the sanitised and (optionally) size-capped fields
+  const rawDescriptionHtml = jsonLd?.description_html || extractDescriptionHtml($, site.selectors?.description);
+  const description_text = htmlToText(rawDescriptionHtml);
+  const description = descriptionFields(
+    { title, description_html: rawDescriptionHtml },
+    { skills, baseUrl: new URL(url).origin, maxLength: maxDescriptionLength },
+  );
+
+  const detectedWorkMode = detectWorkMode({
+    locationType: jsonLd?.job_location_type,
+    location,
+    description: description_text,
+  });
+  const work_mode = detectedWorkMode === 'unknown' && seed.work_mode ? seed.work_mode : detectedWorkMode;
+
+  // How to apply and who to contact: JSON-LD, then the apply panel, then the search state
+  const { employer_type: advertiserType, ...apply } = mergeApplyDetails([jsonLd?.apply, parseApplyPanel($, { url }), seed]);
+
+  // An advertiser type the page or search state states is more reliable than guessing from the ad
+  const employer_type = advertiserType || detectEmployerType({ company, description: description_text });
+
+  // Employer's Totaljobs company / recruiter page, followed when company enrichment is on
+  const companyHref = pickAttr($root, [
+    'a[data-at="metadata-company-name"]',
+    'a[href*="/company/"]',
+    'a[href*="/companies/"]',
+    'a[href*="/recruiters/"]',
+  ], 'href');
+  const company_page_url = companyHref ? toAbsoluteUrl(companyHref, new URL(url).origin) : seed.company_page_url || null;
+
+  // Extract job category from breadcrumbs or meta
+  const job_category = pickText($root, ['.breadcrumb a', 'nav[aria-label="breadcrumb"] a'])
+    || pickAttr($root, ['meta[name="category"]'], 'content')
+    || null;
+
+  return {
+    title,
+    company,
+    location,
+    ...parseSalary(salary),
+    date_posted,
+    ...postingDates(date_posted, { validThrough: jsonLd?.valid_through, now }),
+    job_type,
+    job_category,
+    work_mode,
+    employer_type,
+    ...description,
+    ...Object.fromEntries(Object.entries(emptyJobPostingFields()).map(([field, empty]) => [field, jsonLd ? jsonLd[field] : empty])),
+    ...apply,
+    company_page_url,
+    job_id: seed.job_id || extractJobId(url),
+    job_url: canonicalJobUrl(url, new URL(url).origin),
+    extraction_path: jsonLd ? 'json-ld' : 'dom',
+  };
+}
+
+const isOrganization = (item) => hasSchemaType(item, ['Organization', 'Corporation', 'EmploymentAgency', 'LocalBusiness']);
+
+function formatEmployeeCount(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'object') return String(value);
+  const { minValue, maxValue } = value;
+  if (minValue && maxValue) return `${minValue}-${maxValue}`;
+  if (minValue) return `${minValue}+`;
+  return schemaText(value.value ?? maxValue ?? null);
+}
+
+/**
+ * Parses a Totaljobs company or recruiter profile page. JSON-LD Organization data wins over page markup.
+ * @param {string|import('cheerio').CheerioAPI} html Page HTML or a loaded Cheerio instance
+ * @param {{ url: string }} options `url` is the profile page URL
+ * @returns {{ name: string|null, profile_url: string, website: string|null, logo: string|null,
+ *   description: string|null, industry: string|null, size_band: string|null, open_jobs: number|null,
+ *   is_agency: boolean }}
+ */
+export function parseCompanyPage(html, { url } = {}) {
+  const $ = toCheerio(html);
+  const $root = $.root();
+  const org = findJsonLdNode($, url, isOrganization) || {};
+
+  const name = schemaText(org.name)
+    || pickText($root, ['[data-at="company-name"]', 'h1'])
+    || null;
+
+  const logo = (typeof org.logo === 'string' ? org.logo : org.logo?.url)
+    || pickAttr($root, ['[data-at="company-logo"] img', 'img.company-logo'], 'src')
+    || pickAttr($root, ['meta[property="og:image"]'], 'content')
+    || null;
+
+  const description = htmlToText(org.description || '')
+    || pickText($root, ['[data-at="company-description"]', '.company-description', 'section.about'])
+    || pickAttr($root, ['meta[name="description"]'], 'content')
+    || null;
+
+  const industry = schemaList(org.industry)
+    || pickText($root, ['[data-at="company-industry"]', '.company-industry'])
+    || null;
+
+  const size_band = formatEmployeeCount(org.numberOfEmployees)
+    || pickText($root, ['[data-at="company-size"]', '.company-size'])
+    || null;
+
+  const jobsText = pickText($root, ['[data-at="company-job-count"]', '.job-count', 'a:contains("jobs")']) || '';
+  const jobsMatch = jobsText.replace(/,/g, '').match(/(\d+)/);
+
+  // Agency when the page says so in its schema type or industry, otherwise by name and description
+  const is_agency = hasSchemaType(org, ['EmploymentAgency'])
+    || /\brecruitment (?:agency|consultancy)\b|\bstaffing\b/i.test(industry || '')
+    || detectEmployerType({ company: name, description }) === 'agency';
+
+  return {
+    name,
+    profile_url: url,
+    website: asArray(org.sameAs).map(schemaText).find(Boolean) || (org.url && org.url !== url ? org.url : null)
+      || pickAttr($root, ['a[data-at="company-website"]', 'a.company-website'], 'href')
+      || null,
+    logo,
+    description,
+    industry,
+    size_band,
+    open_jobs: jobsMatch ? Number(jobsMatch[1]) : null,
+    is_agency,
+  };
+}
@@ -0,0 +1,54 @@
+// Posting status - whether a loaded job page is still a live posting
+import { load as cheerioLoad } from 'cheerio';
+
+export const POSTING_STATUSES = ['open', 'expired', 'removed'];
+
+// Banners the boards show on closed postings, and the wording they use
+const BANNER_SELECTORS = [
+  '[data-at="expired-job-banner"]',
+  '[data-at*="expired"]',
+  '[class*="expired"]',
+  '[role="alert"]',
+  '[class*="banner"]',
+  '[class*="notification"]',
+  'h1',
+  'h2',
+];
+const EXPIRED_TEXT = [
+  /\bthis job (?:has )?expired\b/i,
+  /\bjob (?:advert |ad )?(?:is )?no longer (?:available|active|advertised)\b/i,
+  /\bno longer accepting applications\b/i,
+  /\b(?:job|vacancy|position|role) has (?:now )?(?:been )?(?:closed|filled|removed|expired)\b/i,
+  /\bapplications? (?:for this (?:job|role|vacancy) )?(?:are|is|have) (?:now )?closed\b/i,
+];
+
+/**
+ * Classifies a fetched job page. Gone responses (404 / 410) and redirects away from the job page mean the
+ * posting was removed; an expired banner or a `validThrough` date before `now` mean it expired.
+ * @param {string|import('cheerio').CheerioAPI} html Page HTML or a loaded Cheerio instance
+ * @param {{ statusCode?: number, loadedUrl?: string, jobPath: RegExp, validThrough?: string|null, now?: number }} page
+ *   `jobPath` matches the board's job page paths
+ * @returns {{ status: 'open'|'expired'|'removed', status_reason: string|null }}
+ */
+export function detectPostingStatus(html, { statusCode = 200, loadedUrl, jobPath, validThrough = null, now = Date.now() }) {
+  if (statusCode === 404 || statusCode === 410) return { status: 'removed', status_reason: `http_${statusCode}` };
+  if (loadedUrl) {
+    let pathname = null;
+    try {
+      pathname = new URL(loadedUrl).pathname;
+    } catch {
+      // Unparseable loaded URL: judge the page by its content
+    }
+    if (pathname !== null && !jobPath.test(pathname)) return { status: 'removed', status_reason: 'redirected' };
+  }
+  const $ = typeof html === 'string' ? cheerioLoad(html) : html;
+  const banner = $(BANNER_SELECTORS.join(', ')).toArray()
+    .some((el) => EXPIRED_TEXT.some((pattern) => pattern.test($(el).text())));
+  if (banner) return { status: 'expired', status_reason: 'expired_banner' };
+  // A bare date closes at the end of that day
+  const closes = !validThrough ? NaN : /^\d{4}-\d{2}-\d{2}$/.test(validThrough)
+    ? Date.parse(validThrough) + 24 * 60 * 60 * 1000
+    : Date.parse(validThrough);
+  if (Number.isFinite(closes) && closes < now) return { status: 'expired', status_reason: 'valid_through_past' };
+  return { status: 'open', status_reason: null };
+}
@@ -0,0 +1,115 @@
+// Data quality - extraction paths, field fill rates and empty result pages, checked against thresholds
+export const EXTRACTION_PATHS = ['state', 'json-ld', 'dom', 'seed'];
+
+// Minimum rates (0-1) checked when the input doesn't override them: the share of list pages read from
+// the preloaded state, and fill rates of the fields the DOM fallback is most likely to lose
+export const DEFAULT_QUALITY_THRESHOLDS = { statePath: 0.8, title: 0.95, company: 0.9, location: 0.9 };
+
+// Zero-job pages listed in the report; the count covers all of them
+const MAX_LISTED_PAGES = 100;
+
+// "unknown" is what work_mode / employer_type hold when nothing was detected
+const isFilled = (value) => !(value === null || value === undefined || value === '' || value === 'unknown'
+  || (Array.isArray(value) && value.length === 0));
+
+const rate = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 1000 : null);
+
+/**
+ * Validates the qualityThresholds input and merges it over the defaults; `null` turns a default check off.
+ * @param {Record<string, number|null>|null} value `statePath` and/or field names mapped to minimum rates
+ * @returns {Record<string, number>}
+ */
+export function parseQualityThresholds(value) {
+  if (value === undefined || value === null || value === '') return { ...DEFAULT_QUALITY_THRESHOLDS };
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`Invalid qualityThresholds ${JSON.stringify(value)}: expected an object such as {"company": 0.9}`);
+  }
+  const thresholds = { ...DEFAULT_QUALITY_THRESHOLDS };
+  for (const [name, min] of Object.entries(value)) {
+    if (min === null) {
+      delete thresholds[name];
+      continue;
+    }
+    const num = Number(min);
+    if (typeof min === 'boolean' || !Number.isFinite(num) || num < 0 || num > 1) {
+      throw new Error(`Invalid qualityThresholds.${name} ${JSON.stringify(min)}: expected a rate from 0 to 1`);
+    }
+    thresholds[name] = num;
+  }
+  return thresholds;
+}
+
+/**
+ * Collects quality counters while the crawl runs.
+ * @param {object} [state] A previous `snapshot()`, restored after a resume
+ */
+export function createQualityTracker(state = null) {
+  const records = { total: 0, ...Object.fromEntries(EXTRACTION_PATHS.map((p) => [p, 0])), ...state?.records };
+  const filled = { ...state?.filled };
+  const listPages = { total: 0, state: 0, dom: 0, empty: 0, ...state?.listPages };
+  const zeroJobPages = [...(state?.zeroJobPages || [])];
+
+  return {
+    /** Counts a search results page by where its jobs came from (`null` when it had none). */
+    addListPage({ url, source, jobs }) {
+      listPages.total++;
+      if (!jobs) {
+        listPages.empty++;
+        if (zeroJobPages.length < MAX_LISTED_PAGES) zeroJobPages.push(url);
+      } else if (source === 'state') listPages.state++;
+      else listPages.dom++;
+    },
+
+    /** Counts a saved record's extraction path and every field it has a value for. */
+    addRecord(record) {
+      records.total++;
+      if (EXTRACTION_PATHS.includes(record.extraction_path)) records[record.extraction_path]++;
+      for (const [field, value] of Object.entries(record)) {
+        filled[field] = (filled[field] || 0) + (isFilled(value) ? 1 : 0);
+      }
+    },
+
+    /** Checkpoint state. */
+    snapshot() {
+      return { records: { ...records }, filled: { ...filled }, listPages: { ...listPages }, zeroJobPages: [...zeroJobPages] };
+    },
+
+    /**
+     * The quality report. Every threshold a measured rate falls below adds a warning; rates with nothing
+     * to measure (no records, no list pages with jobs) are not checked.
+     * @param {Record<string, number>} thresholds
+     */
+    report(thresholds) {
+      const fillRates = Object.fromEntries(Object.keys(filled).sort().map((field) => [field, rate(filled[field], records.total)]));
+      const pagesWithJobs = listPages.state + listPages.dom;
+      const statePathRate = rate(listPages.state, pagesWithJobs);
+      const warnings = [];
+      for (const [name, min] of Object.entries(thresholds)) {
+        const value = name === 'statePath' ? statePathRate : (records.total ? fillRates[name] ?? 0 : null);
+        if (value === null || value >= min) continue;
+        warnings.push({
+          check: name,
+          value,
+          threshold: min,
+          message: name === 'statePath'
+            ? `Only ${Math.round(value * 100)}% of result pages were read from the preloaded state (minimum ${Math.round(min * 100)}%)`
+            : `${name} is filled in ${Math.round(value * 100)}% of records (minimum ${Math.round(min * 100)}%)`,
+        });
+      }
+      if (listPages.total && !pagesWithJobs) {
+        warnings.push({ check: 'listPages', value: 0, threshold: null, message: `None of the ${listPages.total} result pages yielded jobs` });
+      }
+
+      return {
+        status: warnings.length ? 'warning' : 'ok',
+        warnings,
+        records: records.total,
+        extractionPaths: Object.fromEntries(EXTRACTION_PATHS.map((p) => [p, records[p]])),
+        listPages: { ...listPages, statePathRate },
+        zeroJobPages,
+        fillRates,
+        thresholds,
+      };
+    },
+  };
+}
@@ -0,0 +1,98 @@
+// Recheck mode - reloads previously scraped jobs and reports whether each is still open, changed or closed
+import { siteForUrl } from './sites.js';
+import { jobIdentity } from './utils.js';
+
+export const RECHECK_RESULTS = ['open', 'changed', 'closed', 'failed'];
+
+// Fields compared with the previous record when one is given
+export const RECHECK_FIELDS = ['title', 'company', 'location', 'salary', 'job_type', 'work_mode', 'valid_through', 'description_text'];
+
+function invalid(name, value, expected) {
+  return new Error(`Invalid ${name} ${JSON.stringify(value)}: expected ${expected}`);
+}
+
+const EXPECTED_ENTRY = 'a job page URL or a saved record with job_url (job IDs alone are not supported)';
+
+/**
+ * Validates the recheckJobs input. Entries are job page URLs or records saved by an earlier run, which
+ * are then compared field by field with the reloaded page. A bare job ID is rejected: the boards have no
+ * confirmed URL that opens a posting from its ID alone. Duplicate jobs are checked once.
+ * @param {Array<string|object>} value
+ * @param {Array<{ id: string, baseUrl: string }>} sites The run's boards
+ * @returns {Array<{ key: string, jobId: string|null, url: string, site: object, previous: object|null }>}
+ */
+export function parseRecheckJobs(value, sites) {
+  const list = (Array.isArray(value) ? value : [value]).filter((v) => v !== undefined && v !== null && v !== '');
+  const jobs = new Map();
+  for (const entry of list) {
+    const previous = typeof entry === 'object' && !Array.isArray(entry) ? entry : null;
+    const url = String(previous ? (previous.job_url || '') : entry).trim();
+    if (!/^https?:\/\//i.test(url)) throw invalid('recheckJobs entry', entry, EXPECTED_ENTRY);
+    const site = siteForUrl(url, sites);
+    if (!site) throw invalid('recheckJobs entry', url, `a job URL on ${sites.map((s) => new URL(s.baseUrl).host).join(', ')}`);
+    const jobId = previous?.job_id ? String(previous.job_id) : null;
+    const identity = jobIdentity(url, { id: jobId, baseUrl: site.baseUrl, site: site.id });
+    if (!jobs.has(identity.key)) jobs.set(identity.key, { key: identity.key, jobId: identity.jobId, url, site, previous });
+  }
+  return [...jobs.values()];
+}
+
+const comparable = (field, value) => (field === 'description_text' && typeof value === 'string'
+  ? value.replace(/\s+/g, ' ').trim()
+  : value);
+
+/**
+ * Fields that differ between a previous record and the reloaded one. Fields the previous record doesn't
+ * have, or the reloaded page didn't yield, are not compared.
+ * @returns {Record<string, { from: any, to: any }>}
+ */
+export function compareRecords(previous, current) {
+  const changes = {};
+  for (const field of RECHECK_FIELDS) {
+    if (previous?.[field] === undefined || current[field] === null || current[field] === undefined) continue;
+    if (comparable(field, previous[field]) !== comparable(field, current[field])) {
+      changes[field] = { from: previous[field], to: current[field] };
+    }
+  }
+  return changes;
+}
+
+/**
+ * The recheck dataset row for a job: `closed` when the posting expired or was removed, `changed` when
+ * a compared field differs from the previous record, `open` otherwise. `record` is the reloaded job
+ * (null once removed).
+ * @param {{ jobId: string|null, url: string, previous: object|null }} job
+ * @param {object} record Dataset record built from the reloaded page
+ */
+export function recheckRow(job, record, checkedAt) {
+  const changes = record.status === 'open' ? compareRecords(job.previous, record) : {};
+  const changedFields = Object.keys(changes);
+  return {
+    job_id: record.job_id || job.jobId,
+    job_url: record.status === 'removed' ? job.previous?.job_url || job.url : record.job_url,
+    result: record.status !== 'open' ? 'closed' : changedFields.length ? 'changed' : 'open',
+    status: record.status,
+    status_reason: record.status_reason,
+    changed_fields: changedFields,
+    changes,
+    checked_at: checkedAt,
+    // A removed posting's page is an error page or search results, not the job
+    record: record.status === 'removed' ? null : record,
+  };
+}
+
+/** The row for a job whose page could not be loaded. */
+export function failedRecheckRow(job, error, checkedAt) {
+  return {
+    job_id: job.jobId,
+    job_url: job.previous?.job_url || job.url,
+    result: 'failed',
+    status: null,
+    status_reason: null,
+    changed_fields: [],
+    changes: {},
+    checked_at: checkedAt,
+    error,
+    record: null,
+  };
+}
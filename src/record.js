@@ -0,0 +1,241 @@
+// Job records - the one builder every save path uses, the declared schema and validation against it
+import { APPLY_TYPES } from './apply-details.js';
+import { descriptionFields } from './description.js';
+import { postingDates } from './dates.js';
+import { POSTING_STATUSES } from './posting-status.js';
+import { EXTRACTION_PATHS } from './quality.js';
+import { parseSalary } from './salary.js';
+import { canonicalJobUrl, extractJobId } from './utils.js';
+import { WORK_MODES } from './work-mode.js';
+
+// Bump when a field is added, removed, renamed or changes type
+export const SCHEMA_VERSION = 3;
+
+const text = (extra = {}) => ({ type: ['string', 'null'], ...extra });
+const number = (extra = {}) => ({ type: ['number', 'null'], ...extra });
+const flag = (extra = {}) => ({ type: 'boolean', default: false, ...extra });
+const list = (items, extra = {}) => ({ type: 'array', items, default: [], ...extra });
+const object = (extra = {}) => ({ type: ['object', 'null'], ...extra });
+
+/**
+ * Every dataset field in output order: its JSON Schema plus `default` (the value when a save path has
+ * none, null unless given), and for fields shown in the platform's dataset views a `label` and `format`.
+ */
+export const RECORD_FIELDS = {
+  schema_version: { type: 'integer', const: SCHEMA_VERSION },
+  title: { type: 'string', minLength: 1, label: 'Job Title', format: 'text' },
+  company: text({ label: 'Company', format: 'text' }),
+  location: text({ label: 'Location', format: 'text' }),
+  salary: text({ label: 'Salary', format: 'text' }),
+  salary_min: number(),
+  salary_max: number(),
+  salary_currency: text(),
+  salary_period: text(),
+  salary_annual_gbp_min: number(),
+  salary_annual_gbp_max: number(),
+  salary_is_competitive: flag(),
+  salary_is_negotiable: flag(),
+  salary_has_benefits: flag(),
+  date_posted: text({ label: 'Posted', format: 'text' }),
+  date_posted_raw: text(),
+  date_posted_iso: text(),
+  expires_at: text(),
+  job_type: text({ label: 'Job Type', format: 'text' }),
+  job_category: text(),
+  work_mode: { type: 'string', enum: [...WORK_MODES, 'unknown'], default: 'unknown' },
+  employer_type: { type: 'string', enum: ['direct', 'agency', 'unknown'], default: 'unknown', label: 'Advertiser', format: 'text' },
+  description_html: text(),
+  description_text: text(),
+  description_markdown: text(),
+  description_truncated: flag(),
+  description_sections: object(),
+  skills: list({ type: 'string' }),
+  valid_through: text({ label: 'Closes', format: 'text' }),
+  status: { type: 'string', enum: POSTING_STATUSES, default: 'open', label: 'Status', format: 'text' },
+  status_reason: text(),
+  job_identifier: text({ label: 'Reference', format: 'text' }),
+  address_street: text(),
+  address_locality: text(),
+  address_region: text(),
+  address_postcode: text({ label: 'Postcode', format: 'text' }),
+  address_country: text(),
+  job_locations: list({ type: 'object' }),
+  job_location_type: text({ label: 'Location Type', format: 'text' }),
+  applicant_location_requirements: list({ type: 'string' }),
+  industry: text({ label: 'Industry', format: 'text' }),
+  occupational_category: text({ label: 'Occupation', format: 'text' }),
+  qualifications: text({ label: 'Qualifications', format: 'text' }),
+  experience_requirements: text({ label: 'Experience', format: 'text' }),
+  education_requirements: text({ label: 'Education', format: 'text' }),
+  direct_apply: { type: ['boolean', 'null'], label: 'Direct Apply', format: 'boolean' },
+  apply_url: text({ label: 'Apply URL', format: 'link' }),
+  apply_type: { type: 'string', enum: APPLY_TYPES, default: 'unknown', label: 'Apply Type', format: 'text' },
+  recruiter_name: text({ label: 'Recruiter', format: 'text' }),
+  contact_phone: text({ label: 'Phone', format: 'text' }),
+  contact_email: text({ label: 'Email', format: 'text' }),
+  company_url: text({ label: 'Company Website', format: 'link' }),
+  company_logo: text({ label: 'Logo', format: 'image' }),
+  company_page_url: text(),
+  company_profile: object(),
+  job_id: text(),
+  job_url: { type: 'string', pattern: '^https?://', label: 'URL', format: 'link' },
+  extraction_path: { type: 'string', enum: EXTRACTION_PATHS },
+  source_site: text(),
+  query_label: text(),
+  query_keyword: text(),
+  query_location: text(),
+  query_category: text(),
+  change_type: { type: ['string', 'null'], enum: ['new', 'updated', null] },
+  changed_fields: { type: ['array', 'null'], items: { type: 'string' } },
+};
+
+// Platform dataset views: fields shown in each table, labelled from RECORD_FIELDS
+const DATASET_VIEWS = {
+  overview: {
+    title: 'Overview',
+    fields: ['title', 'company', 'location', 'salary', 'job_type', 'date_posted', 'status', 'job_url'],
+  },
+  jobPosting: {
+    title: 'JobPosting details',
+    fields: [
+      'title', 'company', 'location', 'address_postcode', 'job_location_type', 'industry', 'occupational_category',
+      'experience_requirements', 'education_requirements', 'qualifications', 'valid_through', 'direct_apply',
+      'company_url', 'company_logo', 'job_url',
+    ],
+  },
+  apply: {
+    title: 'Apply & contact',
+    fields: [
+      'title', 'company', 'employer_type', 'apply_type', 'apply_url', 'job_identifier', 'recruiter_name',
+      'contact_phone', 'contact_email', 'job_url',
+    ],
+  },
+};
+
+const SCHEMA_ONLY = new Set(['label', 'format', 'default']);
+
+/** JSON Schema of a dataset item. */
+export function jobRecordSchema() {
+  return {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    type: 'object',
+    properties: Object.fromEntries(Object.entries(RECORD_FIELDS).map(([name, spec]) => [
+      name,
+      Object.fromEntries(Object.entries(spec).filter(([key]) => !SCHEMA_ONLY.has(key))),
+    ])),
+    required: Object.keys(RECORD_FIELDS),
+    additionalProperties: false,
+  };
+}
+
+/** Contents of .actor/dataset_schema.json: the item schema and the dataset views. */
+export function datasetSchema() {
+  return {
+    actorSpecification: 1,
+    fields: jobRecordSchema(),
+    views: Object.fromEntries(Object.entries(DATASET_VIEWS).map(([id, view]) => [id, {
+      title: view.title,
+      transformation: { fields: view.fields },
+      display: {
+        component: 'table',
+        properties: Object.fromEntries(view.fields.map((name) => [
+          name,
+          { label: RECORD_FIELDS[name].label, format: RECORD_FIELDS[name].format },
+        ])),
+      },
+    }])),
+  };
+}
+
+/**
+ * Builds a dataset record: every declared field in schema order, missing ones at their default, and the
+ * schema version. Undeclared fields are kept after the declared ones, so validation rejects the record
+ * instead of the dataset changing shape on one save path.
+ * @param {object} fields
+ */
+export function buildJobRecord(fields) {
+  const record = {};
+  for (const [name, spec] of Object.entries(RECORD_FIELDS)) {
+    const value = fields[name];
+    record[name] = value === undefined
+      ? (Array.isArray(spec.default) ? [] : spec.default ?? null)
+      : value;
+  }
+  record.schema_version = SCHEMA_VERSION;
+  for (const [name, value] of Object.entries(fields)) {
+    if (!(name in record)) record[name] = value;
+  }
+  return record;
+}
+
+/**
+ * Record fields from a search-results seed, for jobs saved without (or after failing to load) their page.
+ * @param {object} seed
+ * @param {{ url: string, jobId?: string|null, now: number, description: object, extractionPath: string }} options
+ *   `description` holds the descriptionFields options, including the board's `baseUrl`
+ */
+export function seedRecordFields(seed, { url, jobId = null, now, description, extractionPath }) {
+  return {
+    title: seed.title || null,
+    company: seed.company || null,
+    location: seed.location || null,
+    ...parseSalary(seed.salary),
+    date_posted: seed.date_posted || null,
+    ...postingDates(seed.date_posted || null, { now }),
+    work_mode: seed.work_mode || 'unknown',
+    employer_type: seed.employer_type || 'unknown',
+    ...descriptionFields(seed, description),
+    apply_url: seed.apply_url || null,
+    apply_type: seed.apply_type || 'unknown',
+    job_identifier: seed.job_identifier || null,
+    recruiter_name: seed.recruiter_name || null,
+    contact_phone: seed.contact_phone || null,
+    contact_email: seed.contact_email || null,
+    company_page_url: seed.company_page_url || null,
+    job_id: jobId || seed.job_id || extractJobId(url),
+    job_url: canonicalJobUrl(url, description.baseUrl),
+    extraction_path: extractionPath,
+  };
+}
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => [].concat(type).some((t) => t === typeOf(value) || (t === 'number' && typeOf(value) === 'integer'));
+
+/**
+ * Checks a record against the schema (the keywords RECORD_FIELDS uses).
+ * @returns {string[]} Validation errors, empty when the record is valid
+ */
+export function validateJobRecord(record) {
+  const errors = [];
+  for (const [name, spec] of Object.entries(RECORD_FIELDS)) {
+    if (!(name in record)) {
+      errors.push(`${name}: is missing`);
+      continue;
+    }
+    const value = record[name];
+    if (!matchesType(value, spec.type)) {
+      errors.push(`${name}: must be ${[].concat(spec.type).join(' or ')}, got ${typeOf(value)}`);
+      continue;
+    }
+    if ('const' in spec && value !== spec.const) errors.push(`${name}: must be ${JSON.stringify(spec.const)}`);
+    if (spec.enum && !spec.enum.includes(value)) errors.push(`${name}: must be one of ${spec.enum.map((v) => JSON.stringify(v)).join(', ')}`);
+    if (typeof value === 'string') {
+      if (spec.minLength && value.length < spec.minLength) errors.push(`${name}: must not be empty`);
+      if (spec.pattern && !new RegExp(spec.pattern).test(value)) errors.push(`${name}: must match ${spec.pattern}`);
+    }
+    if (Array.isArray(value) && spec.items) {
+      const bad = value.findIndex((item) => !matchesType(item, spec.items.type));
+      if (bad !== -1) errors.push(`${name}[${bad}]: must be ${spec.items.type}`);
+    }
+  }
+  for (const name of Object.keys(record)) {
+    if (!(name in RECORD_FIELDS)) errors.push(`${name}: is not a declared field`);
+  }
+  return errors;
+}
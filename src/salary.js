@@ -0,0 +1,139 @@
+// Salary normalisation: turn free text or schema.org MonetaryAmount into structured fields
+
+const SALARY_CURRENCIES = [
+  { code: 'GBP', pattern: /£|\bgbp\b/i },
+  { code: 'EUR', pattern: /€|\beur\b/i },
+  { code: 'USD', pattern: /\$|\busd\b/i },
+];
+
+const SALARY_PERIODS = [
+  { period: 'hour', pattern: /per\s*hour|\bhourly\b|\bp\/?h(?:r)?\b|\/\s*h(?:ou)?r\b|\bph\b/i },
+  { period: 'day', pattern: /per\s*day|\bdaily\b|\bp\/?d\b|\/\s*day\b|day\s*rate/i },
+  { period: 'week', pattern: /per\s*week|\bweekly\b|\bp\/?w\b|\/\s*week\b/i },
+  { period: 'month', pattern: /per\s*month|\bmonthly\b|\bpcm\b|\bp\/?m\b|\/\s*month\b/i },
+  { period: 'year', pattern: /per\s*(?:annum|year)|\bannual(?:ly)?\b|\bp\.?\s?a\.?(?=\W|$)|\/\s*(?:year|yr|annum)\b/i },
+];
+
+// Multipliers used for the annualised estimate (37.5h week, 5-day week)
+const SALARY_ANNUAL_MULTIPLIERS = { hour: 1950, day: 260, week: 52, month: 12, year: 1 };
+
+// "£30k - £35k", "£35-40k", "30,000 to 40,000": [, symbol, amount, k, symbol, amount, k]
+const SALARY_RANGE = /([£€$])?\s*(\d[\d,]*(?:\.\d+)?)\s*(k)?\s*(?:-|–|—|\bto\b)\s*([£€$])?\s*(\d[\d,]*(?:\.\d+)?)\s*(k)?\b/i;
+
+const SCHEMA_UNIT_PERIODS = { HOUR: 'hour', DAY: 'day', WEEK: 'week', MONTH: 'month', YEAR: 'year' };
+
+function toSalaryNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const match = String(value).replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*(k)?/i);
+  if (!match) return null;
+  const num = Number(match[1]) * (match[2] ? 1000 : 1);
+  return Number.isFinite(num) ? num : null;
+}
+
+function inferSalaryPeriod(amount) {
+  if (!amount) return null;
+  if (amount < 100) return 'hour';
+  if (amount < 1000) return 'day';
+  if (amount < 10000) return 'month';
+  return 'year';
+}
+
+function formatSalaryText({ min, max, currency, period }) {
+  if (min === null && max === null) return null;
+  const symbol = { GBP: '£', EUR: '€', USD: '$' }[currency] || '';
+  const fmt = (n) => `${symbol}${n.toLocaleString('en-GB', { maximumFractionDigits: 2 })}`;
+  const range = min !== null && max !== null && min !== max
+    ? `${fmt(min)} - ${fmt(max)}`
+    : fmt(min ?? max);
+  const suffix = { hour: 'per hour', day: 'per day', week: 'per week', month: 'per month', year: 'per annum' }[period];
+  return suffix ? `${range} ${suffix}` : range;
+}
+
+// Reads amounts, currency and period out of free-text salary strings
+function parseSalaryText(source) {
+  const currency = SALARY_CURRENCIES.find((c) => c.pattern.test(source))?.code || null;
+  const period = SALARY_PERIODS.find((p) => p.pattern.test(source))?.period || null;
+
+  // A range is read as a pair, so "£35-40k" or "£30,000 - 40,000" keeps its bare upper bound
+  const range = source.match(SALARY_RANGE);
+  if (range && (range[1] || range[4] || !/[£€$]\s*\d/.test(source))) {
+    let min = toSalaryNumber(range[2]);
+    let max = toSalaryNumber(range[5]);
+    // A k on either end applies to both: "£35-40k", "£30k - 35"
+    if (range[3] || range[6]) {
+      if (range[3] || min < 1000) min *= 1000;
+      if (range[6] || max < 1000) max *= 1000;
+    }
+    if (min > 0 && max > 0) return { min: Math.min(min, max), max: Math.max(min, max), currency, period };
+  }
+
+  // Otherwise prefer amounts attached to a currency symbol so "25 days holiday" is ignored
+  const priced = [...source.matchAll(/[£€$]\s*(\d[\d,]*(?:\.\d+)?)\s*(k)?\b/gi)];
+  const matches = priced.length ? priced : [...source.matchAll(/(\d[\d,]*(?:\.\d+)?)\s*(k)?\b/gi)];
+  const amounts = matches
+    .map((m) => toSalaryNumber(`${m[1]}${m[2] || ''}`))
+    .filter((n) => n !== null && n > 0);
+
+  return {
+    min: amounts.length ? Math.min(...amounts) : null,
+    max: amounts.length ? Math.max(...amounts) : null,
+    currency,
+    period,
+  };
+}
+
+// Accepts a salary string ("£25,000 - £30,000 per annum"), a bare number, or a
+// schema.org MonetaryAmount/QuantitativeValue and returns the record's salary_* fields.
+export function parseSalary(raw) {
+  let text = null;
+  let parts = { min: null, max: null, currency: null, period: null };
+
+  if (raw !== null && typeof raw === 'object') {
+    const value = raw.value ?? raw;
+    const isQuantity = value !== null && typeof value === 'object';
+    const schemaCurrency = String(raw.currency || (isQuantity && value.currency) || '').toUpperCase() || null;
+    const unit = String((isQuantity && value.unitText) || raw.unitText || '').toUpperCase();
+    const schemaPeriod = SCHEMA_UNIT_PERIODS[unit] || null;
+    const scalar = isQuantity ? value.value : value;
+
+    if (isQuantity && (value.minValue !== undefined || value.maxValue !== undefined)) {
+      parts.min = toSalaryNumber(value.minValue ?? value.maxValue);
+      parts.max = toSalaryNumber(value.maxValue ?? value.minValue);
+    } else if (typeof scalar === 'string') {
+      text = scalar.replace(/\s+/g, ' ').trim() || null;
+      parts = parseSalaryText(scalar);
+    } else {
+      parts.min = parts.max = toSalaryNumber(scalar);
+    }
+    parts.currency = parts.currency || schemaCurrency;
+    parts.period = schemaPeriod || parts.period;
+  } else if (typeof raw === 'number') {
+    parts.min = parts.max = toSalaryNumber(raw);
+  } else if (typeof raw === 'string') {
+    text = raw.replace(/\s+/g, ' ').trim() || null;
+    parts = parseSalaryText(raw);
+  }
+
+  let { min, max, currency, period } = parts;
+  if (min !== null && max !== null && min > max) [min, max] = [max, min];
+  if (!currency && (min !== null || max !== null)) currency = 'GBP';
+  if (!period) period = inferSalaryPeriod(max ?? min);
+
+  const multiplier = currency === 'GBP' ? SALARY_ANNUAL_MULTIPLIERS[period] : undefined;
+  const annualise = (n) => (n !== null && multiplier ? Math.round(n * multiplier) : null);
+  const flagSource = text || '';
+
+  return {
+    salary: text || formatSalaryText({ min, max, currency, period }),
+    salary_min: min,
+    salary_max: max,
+    salary_currency: currency,
+    salary_period: period,
+    salary_annual_gbp_min: annualise(min),
+    salary_annual_gbp_max: annualise(max),
+    salary_is_competitive: /competitive/i.test(flagSource),
+    salary_is_negotiable: /negotiable|\bneg\b|\bd\.?o\.?e\b|depend(?:s|ing|ent)? on experience/i.test(flagSource),
+    salary_has_benefits: /benefit|bonus|pension|\bplus\b|\+\s*[a-z]/i.test(flagSource),
+  };
+}
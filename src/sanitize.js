@@ -0,0 +1,167 @@
+// HTML sanitising and Markdown rendering for job descriptions
+import { load as cheerioLoad } from 'cheerio';
+
+// Tags kept as they are; everything else is unwrapped (its text stays) unless it is dropped outright
+const ALLOWED_TAGS = new Set([
+  'p', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'dl', 'dt', 'dd',
+  'strong', 'b', 'em', 'i', 'u', 'a', 'blockquote', 'table', 'thead', 'tbody', 'tr', 'th', 'td',
+]);
+
+// Tags removed together with their content: scripts, embeds, tracking pixels, forms and page chrome
+const DROPPED_TAGS = [
+  'script', 'style', 'noscript', 'template', 'iframe', 'frame', 'object', 'embed', 'svg', 'canvas', 'img',
+  'picture', 'video', 'audio', 'source', 'link', 'meta', 'form', 'input', 'button', 'select', 'textarea',
+  'nav', 'header', 'footer', 'aside',
+];
+
+const ALLOWED_ATTRIBUTES = { a: ['href'], td: ['colspan', 'rowspan'], th: ['colspan', 'rowspan'] };
+
+function safeHref(href, baseUrl) {
+  if (!href) return null;
+  const value = href.trim();
+  if (/^(?:mailto|tel):/i.test(value)) return value;
+  try {
+    const absolute = new URL(value, baseUrl);
+    return /^https?:$/.test(absolute.protocol) ? absolute.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Reduces description HTML to an allow-list of formatting tags. Scripts, styles, images and page chrome
+ * are removed, other tags are unwrapped, attributes are stripped except link targets, which are made
+ * absolute against `baseUrl` (links that aren't http(s), mailto or tel lose their href).
+ * @param {string|null} html
+ * @param {{ baseUrl?: string }} [options]
+ * @returns {string} Sanitised HTML, '' when nothing is left
+ */
+export function sanitizeHtml(html, { baseUrl } = {}) {
+  if (!html) return '';
+  const $ = cheerioLoad(`<body>${html}</body>`);
+  const $body = $('body');
+
+  $body.find(DROPPED_TAGS.join(', ')).remove();
+  $body.find('*').addBack().contents().filter((i, node) => node.type === 'comment').remove();
+
+  // Deepest elements first, so unwrapping a parent never revisits removed children
+  for (const el of $body.find('*').toArray().reverse()) {
+    const tag = el.tagName.toLowerCase();
+    const $el = $(el);
+    if (!ALLOWED_TAGS.has(tag)) {
+      $el.replaceWith($el.contents());
+      continue;
+    }
+    const keep = ALLOWED_ATTRIBUTES[tag] || [];
+    for (const name of Object.keys(el.attribs || {})) {
+      if (!keep.includes(name)) $el.removeAttr(name);
+    }
+    if (tag === 'a') {
+      const href = safeHref($el.attr('href'), baseUrl);
+      if (href) $el.attr('href', href);
+      else $el.removeAttr('href');
+    }
+    if (['p', 'li', 'strong', 'b', 'em', 'i', 'u', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'].includes(tag) && !$el.text().trim()) {
+      $el.remove();
+    }
+  }
+
+  return ($body.html() || '').replace(/[ \t]*\n\s*/g, '\n').trim();
+}
+
+const escapeMarkdown = (text) => text.replace(/([\\`*_])/g, '\\$1');
+
+function inlineMarkdown($, nodes) {
+  let out = '';
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      out += escapeMarkdown(node.data.replace(/\s+/g, ' '));
+      continue;
+    }
+    if (node.type !== 'tag') continue;
+    const tag = node.tagName.toLowerCase();
+    const inner = inlineMarkdown($, node.children || []);
+    const trimmed = inner.trim();
+    if (tag === 'br') out += '\n';
+    else if (!trimmed) out += inner;
+    else if (tag === 'strong' || tag === 'b') out += `**${trimmed}**`;
+    else if (tag === 'em' || tag === 'i') out += `_${trimmed}_`;
+    else if (tag === 'a' && node.attribs?.href) out += `[${trimmed}](${node.attribs.href})`;
+    else out += inner;
+  }
+  return out;
+}
+
+const cleanLine = (text) => text.split('\n').map((line) => line.replace(/[ \t]+/g, ' ').trim()).join('\n').trim();
+
+function blockMarkdown($, nodes, depth = 0) {
+  const blocks = [];
+  let inline = [];
+  const flush = () => {
+    const text = cleanLine(inlineMarkdown($, inline));
+    if (text) blocks.push(text);
+    inline = [];
+  };
+
+  for (const node of nodes) {
+    const tag = node.type === 'tag' ? node.tagName.toLowerCase() : null;
+    if (!tag || !['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'blockquote', 'hr', 'table', 'dl'].includes(tag)) {
+      inline.push(node);
+      continue;
+    }
+    flush();
+    const children = node.children || [];
+    if (/^h[1-6]$/.test(tag)) {
+      const text = cleanLine(inlineMarkdown($, children)).replace(/\n/g, ' ');
+      if (text) blocks.push(`${'#'.repeat(Number(tag[1]))} ${text}`);
+    } else if (tag === 'p') {
+      const text = cleanLine(inlineMarkdown($, children));
+      if (text) blocks.push(text);
+    } else if (tag === 'ul' || tag === 'ol') {
+      const items = children.filter((c) => c.type === 'tag' && c.tagName.toLowerCase() === 'li');
+      const lines = items.map((li, index) => {
+        const marker = tag === 'ol' ? `${index + 1}.` : '-';
+        const nested = (li.children || []).filter((c) => c.type === 'tag' && ['ul', 'ol'].includes(c.tagName.toLowerCase()));
+        const own = (li.children || []).filter((c) => !nested.includes(c));
+        const text = cleanLine(blockMarkdown($, own, depth + 1).replace(/\n\n/g, ' '));
+        const sub = nested.map((list) => blockMarkdown($, [list], depth + 1)).join('\n');
+        return `${'  '.repeat(depth)}${marker} ${text}${sub ? `\n${sub}` : ''}`;
+      });
+      if (lines.length) blocks.push(lines.join('\n'));
+    } else if (tag === 'blockquote') {
+      const text = blockMarkdown($, children, depth);
+      if (text) blocks.push(text.split('\n').map((line) => `> ${line}`).join('\n'));
+    } else if (tag === 'hr') {
+      blocks.push('---');
+    } else if (tag === 'table') {
+      const rows = $(node).find('tr').toArray().map((tr) => $(tr).children('th, td').toArray()
+        .map((cell) => cleanLine(inlineMarkdown($, cell.children || [])).replace(/\n/g, ' ').replace(/\|/g, '\\|')));
+      if (rows.length) {
+        const width = Math.max(...rows.map((row) => row.length));
+        const pad = (row) => [...row, ...Array(width - row.length).fill('')];
+        blocks.push([pad(rows[0]), Array(width).fill('---'), ...rows.slice(1).map(pad)]
+          .map((row) => `| ${row.join(' | ')} |`).join('\n'));
+      }
+    } else if (tag === 'dl') {
+      const lines = children.filter((c) => c.type === 'tag').map((c) => {
+        const text = cleanLine(inlineMarkdown($, c.children || []));
+        return c.tagName.toLowerCase() === 'dt' ? `**${text}**` : text;
+      }).filter(Boolean);
+      if (lines.length) blocks.push(lines.join('\n'));
+    }
+  }
+  flush();
+  return blocks.join(depth ? '\n' : '\n\n');
+}
+
+/**
+ * Renders (sanitised) description HTML as Markdown: headings, paragraphs, nested lists, bold, italics,
+ * links, quotes and simple tables.
+ * @param {string|null} html
+ * @returns {string}
+ */
+export function htmlToMarkdown(html) {
+  if (!html) return '';
+  const $ = cheerioLoad(`<body>${html}</body>`);
+  return blockMarkdown($, $('body').get(0).children).trim();
+}
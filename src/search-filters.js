@@ -0,0 +1,106 @@
+// Search filters - validated inputs, their Totaljobs URL parameters and the client-side fallback checks
+export const JOB_TYPES = ['permanent', 'contract', 'temporary', 'part-time'];
+export const SORT_ORDERS = ['relevance', 'date'];
+export const EMPLOYER_TYPES = ['any', 'direct', 'agency'];
+
+// Totaljobs search URL parameters and their values
+const SITE_PARAMS = {
+  salaryMin: 'Salary',
+  salaryType: 'SalaryType',
+  jobType: 'WorkType',
+  radius: 'Radius',
+  sort: 'Sort',
+  employerType: 'RecruiterType',
+};
+const SITE_ANNUAL_SALARY_TYPE = '1';
+const SITE_SORT_VALUES = { relevance: null, date: '2' };
+const SITE_EMPLOYER_TYPE_VALUES = { direct: '1', agency: '2' };
+
+// Matches both free-text job types ("Permanent, Full-time") and JSON-LD employmentType values;
+// FULL_TIME alone says nothing about permanent vs contract, so it matches no type
+const JOB_TYPE_PATTERNS = {
+  permanent: /\bpermanent\b/i,
+  contract: /\bcontract(?:or)?\b/i,
+  temporary: /\btemp(?:orary)?\b|\bseasonal\b/i,
+  'part-time': /\bpart[-_ ]?time\b/i,
+};
+
+function invalid(name, value, expected) {
+  return new Error(`Invalid ${name} ${JSON.stringify(value)}: expected ${expected}`);
+}
+
+function optionalInt(name, value, { min, max }) {
+  if (value === undefined || value === null || value === '') return null;
+  const num = Number(value);
+  if (!Number.isInteger(num) || num < min || num > max) throw invalid(name, value, `a whole number from ${min} to ${max}`);
+  return num;
+}
+
+/**
+ * Validates the search filter inputs. Throws on values the actor can't honour so a typo doesn't
+ * silently widen the search.
+ * @returns {{ salaryMin: number|null, jobTypes: string[], radius: number|null, sortBy: string, employerType: string }}
+ */
+export function parseSearchFilters({ salaryMin, jobTypes, radius, sortBy, employerType } = {}) {
+  const types = (Array.isArray(jobTypes) ? jobTypes : [jobTypes])
+    .filter((t) => t !== undefined && t !== null && t !== '')
+    .map((t) => String(t).trim().toLowerCase());
+  const unknownType = types.find((t) => !JOB_TYPES.includes(t));
+  if (unknownType) throw invalid('jobTypes entry', unknownType, JOB_TYPES.join(', '));
+
+  const sort = sortBy ? String(sortBy).trim().toLowerCase() : 'relevance';
+  if (!SORT_ORDERS.includes(sort)) throw invalid('sortBy', sortBy, SORT_ORDERS.join(' or '));
+
+  const employer = employerType ? String(employerType).trim().toLowerCase() : 'any';
+  if (!EMPLOYER_TYPES.includes(employer)) throw invalid('employerType', employerType, EMPLOYER_TYPES.join(', '));
+
+  return {
+    salaryMin: optionalInt('salaryMin', salaryMin, { min: 0, max: 1000000 }),
+    jobTypes: [...new Set(types)],
+    radius: optionalInt('radius', radius, { min: 0, max: 100 }),
+    sortBy: sort,
+    employerType: employer,
+  };
+}
+
+/** Adds the site's own filter parameters to a search URL. */
+export function applySiteFilters(urlObj, filters) {
+  if (filters.salaryMin) {
+    urlObj.searchParams.set(SITE_PARAMS.salaryMin, String(filters.salaryMin));
+    urlObj.searchParams.set(SITE_PARAMS.salaryType, SITE_ANNUAL_SALARY_TYPE);
+  }
+  if (filters.jobTypes.length) urlObj.searchParams.set(SITE_PARAMS.jobType, filters.jobTypes.join(','));
+  if (filters.radius !== null) urlObj.searchParams.set(SITE_PARAMS.radius, String(filters.radius));
+  if (SITE_SORT_VALUES[filters.sortBy]) urlObj.searchParams.set(SITE_PARAMS.sort, SITE_SORT_VALUES[filters.sortBy]);
+  if (SITE_EMPLOYER_TYPE_VALUES[filters.employerType]) {
+    urlObj.searchParams.set(SITE_PARAMS.employerType, SITE_EMPLOYER_TYPE_VALUES[filters.employerType]);
+  }
+  return urlObj;
+}
+
+/** Whether a search URL asks the site for the newest jobs first. */
+export function isSortedByDate(url) {
+  const params = new URL(url).searchParams;
+  const key = [...params.keys()].find((k) => k.toLowerCase() === SITE_PARAMS.sort.toLowerCase());
+  return Boolean(key) && params.get(key) === SITE_SORT_VALUES.date;
+}
+
+/**
+ * Client-side check for the filters the site may ignore (radius and sort order can only be applied
+ * by the site). Values a record doesn't carry never fail a filter.
+ * @returns {'salaryMin'|'jobType'|'employerType'|null} the first filter the record fails
+ */
+export function failedSearchFilter(record, filters) {
+  if (filters.salaryMin) {
+    const top = record.salary_annual_gbp_max ?? record.salary_annual_gbp_min;
+    if (top !== null && top !== undefined && top < filters.salaryMin) return 'salaryMin';
+  }
+  if (filters.jobTypes.length && record.job_type) {
+    const recordTypes = JOB_TYPES.filter((type) => JOB_TYPE_PATTERNS[type].test(record.job_type));
+    if (recordTypes.length && !recordTypes.some((type) => filters.jobTypes.includes(type))) return 'jobType';
+  }
+  if (filters.employerType !== 'any' && record.employer_type && record.employer_type !== 'unknown') {
+    if (record.employer_type !== filters.employerType) return 'employerType';
+  }
+  return null;
+}
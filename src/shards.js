@@ -0,0 +1,122 @@
+// Query sharding - splits searches the site can't paginate to the end into narrower searches
+export const SHARD_DIMENSIONS = ['location', 'category'];
+
+const DEFAULT_PAGE_LIMIT = 40;
+const DEFAULT_MAX_SHARDS = 200;
+
+// Search URL parameter and values per dimension. A job is in one region and one category, so shards never
+// overlap; the lists don't name every region or category the site has though, so a split can leave jobs
+// out and `shardReport` counts them. The site's recency and minimum-salary filters are cumulative
+// thresholds with no upper bound, so they can't split a search into separate groups and aren't offered.
+const DIMENSIONS = {
+  location: {
+    param: 'Location',
+    values: [
+      'London', 'South East', 'South West', 'East of England', 'East Midlands', 'West Midlands',
+      'North West', 'North East', 'Yorkshire', 'Scotland', 'Wales', 'Northern Ireland',
+    ],
+  },
+  category: {
+    param: 'Category',
+    values: [
+      'Accountancy', 'Admin', 'Construction', 'Customer Service', 'Education', 'Engineering', 'Finance',
+      'Healthcare', 'Hospitality', 'IT', 'Legal', 'Logistics', 'Marketing', 'Retail', 'Sales', 'Social Care',
+    ],
+  },
+};
+
+function invalid(name, value, expected) {
+  return new Error(`Invalid ${name} ${JSON.stringify(value)}: expected ${expected}`);
+}
+
+function intOption(name, value, fallback, { min, max }) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const num = Number(value);
+  if (!Number.isInteger(num) || num < min || num > max) throw invalid(name, value, `a whole number from ${min} to ${max}`);
+  return num;
+}
+
+/**
+ * Validates the sharding inputs.
+ * @returns {{ dimensions: string[], pageLimit: number, maxShards: number }|null} null unless `exhaustive` is on
+ */
+export function parseShardOptions({ exhaustive, shardBy, sitePageLimit, maxShards } = {}) {
+  if (!exhaustive) return null;
+  const dimensions = (Array.isArray(shardBy) ? shardBy : [shardBy])
+    .filter((d) => d !== undefined && d !== null && d !== '')
+    .map((d) => String(d).trim().toLowerCase());
+  const unknown = dimensions.find((d) => !SHARD_DIMENSIONS.includes(d));
+  if (unknown) throw invalid('shardBy entry', unknown, SHARD_DIMENSIONS.join(', '));
+  return {
+    dimensions: dimensions.length ? [...new Set(dimensions)] : SHARD_DIMENSIONS,
+    pageLimit: intOption('sitePageLimit', sitePageLimit, DEFAULT_PAGE_LIMIT, { min: 1, max: 1000 }),
+    maxShards: intOption('maxShards', maxShards, DEFAULT_MAX_SHARDS, { min: 1, max: 5000 }),
+  };
+}
+
+/** Whether a search reporting `total` results has more than the site serves in `pageLimit` pages. */
+export function exceedsPageLimit(total, perPage, pageLimit) {
+  return Number.isFinite(total) && perPage > 0 && total > perPage * pageLimit;
+}
+
+// A dimension is taken once its parameter is on the URL (any case); "/in-london" paths are a location too
+const usesDimension = (urlObj, dimension) => {
+  const param = DIMENSIONS[dimension].param.toLowerCase();
+  return [...urlObj.searchParams.keys()].some((key) => key.toLowerCase() === param)
+    || (dimension === 'location' && /\/in-[^/]+/i.test(urlObj.pathname));
+};
+
+/**
+ * Narrower searches covering `url`, split along the first of `dimensions` the URL doesn't filter on yet.
+ * @param {string} url A search URL (page 1)
+ * @param {string[]} dimensions Dimensions in the order they are tried
+ * @returns {{ dimension: string, shards: Array<{ value: string, url: string }> }|null} null when every
+ *   dimension is already in use
+ */
+export function splitSearch(url, dimensions) {
+  const base = new URL(url);
+  base.searchParams.delete('page');
+  const dimension = dimensions.find((d) => DIMENSIONS[d] && !usesDimension(base, d));
+  if (!dimension) return null;
+  const { param, values } = DIMENSIONS[dimension];
+  return {
+    dimension,
+    shards: values.map((value) => {
+      const shardUrl = new URL(base);
+      shardUrl.searchParams.set(param, value);
+      return { value, url: shardUrl.href };
+    }),
+  };
+}
+
+/**
+ * Run report rows for a query's shards. `notInShards` is how many of a split shard's results its child
+ * shards don't cover (reported total minus the children's totals), null until every child has a total.
+ * @param {Array<{ id: string, parentId: string|null, filters: object, url: string, total: number|null,
+ *   perPage: number|null, pagesVisited: number, listed: number, split: string|null }>} shards
+ * @param {number} pageLimit
+ */
+export function shardReport(shards, pageLimit) {
+  return shards.map((shard) => {
+    const children = shard.split ? shards.filter((child) => child.parentId === shard.id) : [];
+    const notInShards = children.length && shard.total !== null && children.every((child) => child.total !== null)
+      ? Math.max(0, shard.total - children.reduce((sum, child) => sum + child.total, 0))
+      : null;
+    const reachable = shard.total === null || !shard.perPage
+      ? null
+      : Math.min(shard.total, shard.perPage * pageLimit);
+    return {
+      id: shard.id,
+      parentId: shard.parentId,
+      filters: shard.filters,
+      url: shard.url,
+      total: shard.total,
+      reachable,
+      pagesVisited: shard.pagesVisited,
+      jobsListed: shard.listed,
+      splitBy: shard.split,
+      notInShards,
+      coverage: shard.total ? Math.min(1, Math.round((shard.listed / shard.total) * 1000) / 1000) : null,
+    };
+  });
+}
@@ -0,0 +1,78 @@
+// Site adapters - the StepStone UK boards that share Totaljobs' platform, URL scheme and search state
+import { BASE_URL } from './utils.js';
+
+// Defaults every adapter starts from: job pages are /job/<title>/<company>-job<id>, searches live under /jobs/
+const PLATFORM_DEFAULTS = {
+  jobPath: /\/job\/[^/?#]+\/[^/?#]+-job\d+/i,
+  listPath: /\/jobs\//i,
+  // Selector overrides for the detail page; empty lists use the shared selectors in parsers.js
+  selectors: { description: [] },
+};
+
+/**
+ * Known boards by id. An adapter may override any platform default, e.g. `selectors.description`
+ * for a board whose job ad body sits in different markup.
+ * @type {Record<string, { id: string, name: string, baseUrl: string, jobPath: RegExp, listPath: RegExp,
+ *   selectors: { description: string[] } }>}
+ */
+export const SITES = Object.fromEntries([
+  { id: 'totaljobs', name: 'Totaljobs', baseUrl: BASE_URL },
+  { id: 'cwjobs', name: 'CWJobs', baseUrl: 'https://www.cwjobs.co.uk' },
+  { id: 'jobsite', name: 'Jobsite', baseUrl: 'https://www.jobsite.co.uk' },
+  { id: 'caterer', name: 'Caterer.com', baseUrl: 'https://www.caterer.com' },
+  { id: 'cityjobs', name: 'CityJobs', baseUrl: 'https://www.cityjobs.com' },
+  { id: 'milkround', name: 'Milkround', baseUrl: 'https://www.milkround.com' },
+].map((site) => [site.id, { ...PLATFORM_DEFAULTS, ...site }]));
+
+export const SITE_IDS = Object.keys(SITES);
+
+const bareHost = (host) => host.toLowerCase().replace(/^www\./, '');
+
+/**
+ * Validates the site input (one id or a list) and applies origin overrides.
+ * @param {string|string[]|null} value Board ids; empty means Totaljobs
+ * @param {Record<string, string>} [baseUrls] Origin per board id (local mock servers)
+ * @returns {Array<(typeof SITES)[string]>}
+ */
+export function resolveSites(value, baseUrls = {}) {
+  const ids = (Array.isArray(value) ? value : [value])
+    .filter((v) => v !== undefined && v !== null && v !== '')
+    .map((v) => String(v).trim().toLowerCase());
+  const unknown = ids.find((id) => !SITES[id]);
+  if (unknown) throw new Error(`Invalid site ${JSON.stringify(unknown)}: expected ${SITE_IDS.join(', ')}`);
+
+  return [...new Set(ids.length ? ids : ['totaljobs'])].map((id) => {
+    const override = baseUrls?.[id];
+    if (!override) return SITES[id];
+    const baseUrl = String(override).replace(/\/+$/, '');
+    if (!/^https?:\/\/[^/]+$/i.test(baseUrl)) {
+      throw new Error(`Invalid base URL for ${id} "${override}": expected an origin such as ${SITES[id].baseUrl}`);
+    }
+    return { ...SITES[id], baseUrl };
+  });
+}
+
+/**
+ * The adapter whose host serves `url` (www. and http/https variants included), or null.
+ * @param {string} url
+ * @param {Array<(typeof SITES)[string]>} [sites] Candidates, e.g. the run's resolved sites
+ */
+export function siteForUrl(url, sites = Object.values(SITES)) {
+  let host;
+  try {
+    host = bareHost(new URL(url).host);
+  } catch {
+    return null;
+  }
+  return sites.find((site) => bareHost(new URL(site.baseUrl).host) === host) || null;
+}
+
+/**
+ * Fingerprint of a posting for cross-board de-duplication: normalised title, company and location.
+ * @returns {string|null} null when title or company is missing
+ */
+export function postingFingerprint({ title, company, location } = {}) {
+  if (!title || !company) return null;
+  const norm = (value) => String(value || '').toLowerCase().replace(/&/g, 'and').replace(/[^a-z0-9]+/g, ' ').trim();
+  return [norm(title), norm(company), norm(location)].join('|');
+}
@@ -0,0 +1,78 @@
+// Skills extraction - dictionary matching over description text
+// Entries are "Canonical name" or "Canonical name|alias|alias". Matching is case-insensitive, except for
+// terms of two characters or fewer and names that double as ordinary words ("Excel", "Swift", ...).
+export const DEFAULT_SKILLS = {
+  technologies: [
+    'JavaScript|JS', 'TypeScript', 'Node.js|NodeJS', 'React|React.js|ReactJS', 'Angular', 'Vue.js|Vue',
+    'Python', 'Java', 'C#', 'C++', '.NET|dotnet|ASP.NET', 'PHP', 'Ruby', 'Golang', 'Rust', 'Kotlin', 'Swift',
+    'SQL', 'PostgreSQL|Postgres', 'MySQL', 'SQL Server|MSSQL', 'Oracle', 'MongoDB', 'Redis',
+    'AWS|Amazon Web Services', 'Azure', 'GCP|Google Cloud', 'Docker', 'Kubernetes|K8s', 'Terraform', 'Linux',
+    'Git', 'CI/CD', 'Jenkins', 'Power BI|PowerBI', 'Tableau', 'Excel|Microsoft Excel', 'SAP', 'Salesforce',
+    'Sage', 'Xero', 'QuickBooks', 'AutoCAD', 'Revit', 'SharePoint', 'Microsoft Office|MS Office|Office 365',
+  ],
+  certifications: [
+    'ACCA', 'CIMA', 'ACA', 'AAT', 'CIPD', 'CIPP', 'CIPS', 'PRINCE2', 'PMP', 'ITIL', 'CISSP', 'CompTIA',
+    'AWS Certified', 'Scrum Master|CSM', 'NEBOSH', 'IOSH', 'CSCS', 'SMSTS', 'SIA Licence|SIA License',
+    'First Aid', 'HGV|Class 1|Class 2|C+E', 'Forklift|FLT', 'DBS', 'NMC PIN|NMC registration',
+  ],
+  languages: [
+    'English', 'Welsh', 'French', 'German', 'Spanish', 'Italian', 'Portuguese', 'Dutch', 'Polish', 'Arabic',
+    'Mandarin', 'Cantonese', 'Japanese', 'Hindi', 'Urdu', 'Punjabi', 'British Sign Language|BSL',
+  ],
+};
+
+const EVERYDAY_WORDS = new Set(['excel', 'sage', 'swift', 'rust', 'ruby', 'react', 'oracle', 'git', 'java', 'english']);
+
+const isCaseSensitive = (term) => term.length <= 2 || EVERYDAY_WORDS.has(term.toLowerCase());
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+function termPattern(terms, caseSensitive) {
+  // Word boundaries that also work for names such as C#, C++, .NET and Node.js
+  const alternatives = terms.map(escapeRegExp).sort((a, b) => b.length - a.length).join('|');
+  return new RegExp(`(?<![A-Za-z0-9+#.])(?:${alternatives})(?![A-Za-z0-9+#]|\\.[A-Za-z0-9])`, caseSensitive ? '' : 'i');
+}
+
+/**
+ * Compiles a skills dictionary: an array of entries or an object of category -> entries.
+ * An empty dictionary falls back to the default one.
+ * @param {string[]|Record<string, string[]>} [dictionary=DEFAULT_SKILLS]
+ * @returns {{ name: string, patterns: RegExp[] }[]}
+ */
+export function compileSkills(dictionary = DEFAULT_SKILLS) {
+  let entries = Array.isArray(dictionary) ? dictionary : Object.values(dictionary || {}).flat();
+  if (!entries.length) entries = Object.values(DEFAULT_SKILLS).flat();
+  const compiled = [];
+  const names = new Set();
+  for (const entry of entries) {
+    if (typeof entry !== 'string') continue;
+    const terms = entry.split('|').map((t) => t.trim()).filter(Boolean);
+    if (!terms.length || names.has(terms[0].toLowerCase())) continue;
+    names.add(terms[0].toLowerCase());
+    const strict = terms.filter(isCaseSensitive);
+    const loose = terms.filter((t) => !isCaseSensitive(t));
+    compiled.push({
+      name: terms[0],
+      patterns: [strict.length && termPattern(strict, true), loose.length && termPattern(loose, false)].filter(Boolean),
+    });
+  }
+  return compiled;
+}
+
+const DEFAULT_COMPILED = compileSkills();
+
+/**
+ * Skills named in `text`, de-duplicated and in order of first mention.
+ * @param {string|null} text
+ * @param {{ name: string, patterns: RegExp[] }[]} [skills] Compiled dictionary
+ * @returns {string[]}
+ */
+export function extractSkills(text, skills = DEFAULT_COMPILED) {
+  if (!text) return [];
+  const found = [];
+  for (const { name, patterns } of skills) {
+    const index = Math.min(...patterns.map((pattern) => text.search(pattern)).filter((i) => i >= 0));
+    if (Number.isFinite(index)) found.push({ name, index });
+  }
+  return found.sort((a, b) => a.index - b.index).map(({ name }) => name);
+}
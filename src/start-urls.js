@@ -0,0 +1,53 @@
+// Start URLs - search and job page URLs crawled instead of built searches, each with an optional label
+import { siteForUrl } from './sites.js';
+import { jobIdentity } from './utils.js';
+
+/**
+ * Sorts the startUrls input into searches and job pages, in input order. Entries are URLs or
+ * `{ url, label }` objects (the platform's request list format, where the label may also sit in
+ * `userData.label`). A URL must be on a known board - a selected one, or any other at its usual
+ * origin. Paths matching the board's job page path are job pages; anything else is crawled as a search.
+ * Entries that are not URLs or not on a board are returned in `invalid` instead of failing the run.
+ * Duplicate job pages are kept once.
+ * @param {Array<string|{ url: string, label?: string }>} value
+ * @param {Array<{ id: string, baseUrl: string, jobPath: RegExp }>} sites The run's boards
+ * @returns {{
+ *   urls: Array<{ type: 'search'|'job', url: string, label: string|null, site: object, jobId: string|null, key: string|null }>,
+ *   invalid: Array<{ url: string, reason: 'not_a_url'|'off_site' }>,
+ * }}
+ */
+export function parseStartUrls(value, sites) {
+  const list = (Array.isArray(value) ? value : [value]).filter((v) => v !== undefined && v !== null && v !== '');
+  const urls = [];
+  const invalid = [];
+  const jobKeys = new Set();
+  for (const entry of list) {
+    const isObject = typeof entry === 'object';
+    const ref = String(isObject ? entry.url ?? '' : entry).trim();
+    const label = isObject ? String(entry.label ?? entry.userData?.label ?? '').trim() || null : null;
+    let parsed = null;
+    try {
+      parsed = new URL(ref);
+    } catch {
+      // Reported below
+    }
+    if (!parsed || !/^https?:$/.test(parsed.protocol)) {
+      invalid.push({ url: isObject && !ref ? JSON.stringify(entry) : ref, reason: 'not_a_url' });
+      continue;
+    }
+    const site = siteForUrl(ref, sites) || siteForUrl(ref);
+    if (!site) {
+      invalid.push({ url: ref, reason: 'off_site' });
+      continue;
+    }
+    if (!site.jobPath.test(parsed.pathname)) {
+      urls.push({ type: 'search', url: ref, label, site, jobId: null, key: null });
+      continue;
+    }
+    const identity = jobIdentity(ref, { baseUrl: site.baseUrl, site: site.id });
+    if (jobKeys.has(identity.key)) continue;
+    jobKeys.add(identity.key);
+    urls.push({ type: 'job', url: ref, label, site, jobId: identity.jobId, key: identity.key });
+  }
+  return { urls, invalid };
+}
@@ -0,0 +1,303 @@
+// Adaptive throttling - request rate and concurrency driven by the rolling block rate, with a circuit breaker
+export const FAILURE_KINDS = ['blocked', 'network'];
+
+const DEFAULT_MAX_RATE = 120;
+const DEFAULT_MIN_RATE = 10;
+const DEFAULT_SLOW_DOWN_AT = 0.1;
+const DEFAULT_OPEN_AT = 0.5;
+const DEFAULT_COOLDOWN_SECS = 60;
+
+// The block rate is measured over the last WINDOW outcomes; MIN_SAMPLES outcomes must come in before the
+// first decision and between two rate changes
+const WINDOW = 20;
+const MIN_SAMPLES = 10;
+// Consecutive successful probes that close the circuit again
+const PROBES_TO_CLOSE = 3;
+// Each reopening without a successful close doubles the pause, up to this many times the cooldown
+const MAX_COOLDOWN_FACTOR = 8;
+// Latest decisions and per-minute timeline entries kept for the throttle report, and decisions in the run stats
+const MAX_DECISIONS = 200;
+const MAX_TIMELINE = 360;
+const RECENT_DECISIONS = 5;
+
+function invalid(name, value, expected) {
+  return new Error(`Invalid ${name} ${JSON.stringify(value)}: expected ${expected}`);
+}
+
+function intOption(name, value, fallback, { min, max }) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const num = Number(value);
+  if (!Number.isInteger(num) || num < min || num > max) throw invalid(name, value, `a whole number from ${min} to ${max}`);
+  return num;
+}
+
+function rateOption(name, value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const num = Number(value);
+  if (typeof value === 'boolean' || !Number.isFinite(num) || num <= 0 || num > 1) throw invalid(name, value, 'a rate above 0 and up to 1');
+  return num;
+}
+
+const pct = (value) => `${Math.round(value * 100)}%`;
+
+// "Request blocked - received 403 status code.", "status code 429"; not digits in a URL or job ID
+const STATUS_TEXT = /\b(\d{3}) status code\b|\bstatus(?: code)?:? (\d{3})\b/i;
+
+/**
+ * What a failed request says about the site: `blocked` for 403 / 429 responses, `network` for dropped
+ * connections and timeouts, `other` for everything else (parse errors and the like). The status comes from
+ * the response or the error's `statusCode`, and only then from a status code named in the message.
+ * @param {Error|string} error The error, or its message
+ * @param {number} [statusCode] Status of the response, when there was one
+ */
+export function classifyFailure(error, statusCode) {
+  const message = (typeof error === 'string' ? error : error?.message) || '';
+  const textStatus = message.match(STATUS_TEXT);
+  const status = Number(statusCode ?? error?.statusCode ?? error?.response?.statusCode ?? (textStatus?.[1] || textStatus?.[2]));
+  if (status === 403 || status === 429) return 'blocked';
+  if (['NGHTTP2', 'HTTP/2', 'socket', 'Stream closed', 'ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'early terminated']
+    .some((needle) => message.includes(needle))) return 'network';
+  return 'other';
+}
+
+/**
+ * Validates the throttling inputs.
+ * @returns {{ maxRate: number, minRate: number, slowDownAt: number, openAt: number, cooldownSecs: number }}
+ */
+export function parseThrottleOptions({
+  maxRequestsPerMinute,
+  minRequestsPerMinute,
+  blockRateThreshold,
+  circuitBreakerThreshold,
+  circuitCooldownSecs,
+} = {}) {
+  const maxRate = intOption('maxRequestsPerMinute', maxRequestsPerMinute, DEFAULT_MAX_RATE, { min: 1, max: 1000 });
+  const minRate = intOption('minRequestsPerMinute', minRequestsPerMinute, Math.min(DEFAULT_MIN_RATE, maxRate), { min: 1, max: 1000 });
+  if (minRate > maxRate) throw invalid('minRequestsPerMinute', minRequestsPerMinute, `at most maxRequestsPerMinute (${maxRate})`);
+  const slowDownAt = rateOption('blockRateThreshold', blockRateThreshold, DEFAULT_SLOW_DOWN_AT);
+  const openAt = rateOption('circuitBreakerThreshold', circuitBreakerThreshold, DEFAULT_OPEN_AT);
+  if (openAt <= slowDownAt) throw invalid('circuitBreakerThreshold', circuitBreakerThreshold, `above blockRateThreshold (${slowDownAt})`);
+  return {
+    maxRate,
+    minRate,
+    slowDownAt,
+    openAt,
+    cooldownSecs: intOption('circuitCooldownSecs', circuitCooldownSecs, DEFAULT_COOLDOWN_SECS, { min: 1, max: 3600 }),
+  };
+}
+
+/**
+ * Feedback-driven rate controller. Every request outcome goes into a rolling window; when the share of
+ * blocked / network failures reaches `slowDownAt` the rate and concurrency are halved, while a clean window
+ * raises them step by step back to the maximum. At `openAt` the circuit opens: the crawl is paused for the
+ * cooldown, then requests go out one at a time at the minimum rate until PROBES_TO_CLOSE succeed in a row.
+ * When less of the time budget is left than the pause would take, the crawl is stopped instead.
+ * @param {ReturnType<typeof parseThrottleOptions>} options
+ * @param {object} context
+ * @param {number} context.maxConcurrency Concurrency ceiling
+ * @param {number} context.cooldownMs Pause after the circuit opens
+ * @param {() => number} [context.remainingMs] Time budget left; unlimited by default
+ * @param {{ setLimits?: Function, pause?: Function, resume?: Function, stop?: Function }} [context.pool] Applies
+ *   decisions to the crawler: `setLimits({ rate, concurrency })`, `pause()`, `resume()` and `stop()`
+ * @param {object} [context.state] A previous `snapshot()`, restored after a resume
+ * @param {object} [context.log]
+ */
+export function createRateController(options, {
+  maxConcurrency,
+  cooldownMs,
+  remainingMs = () => Infinity,
+  pool = {},
+  state = null,
+  log = console,
+}) {
+  const { maxRate, minRate, slowDownAt, openAt } = options;
+  let rate = Math.min(maxRate, Math.max(minRate, state?.rate ?? maxRate));
+  let concurrency = Math.min(maxConcurrency, Math.max(1, state?.concurrency ?? maxConcurrency));
+  let circuit = 'closed';
+  let window = [];
+  let sinceChange = 0;
+  let probeSuccesses = 0;
+  let cooldown = cooldownMs;
+  let openedAt = null;
+  let timer = null;
+  const totals = { requests: 0, ok: 0, blocked: 0, network: 0, circuitOpened: 0, pausedMs: 0, decisions: 0, ...state?.totals };
+  const decisions = [...(state?.decisions || [])];
+  const timeline = [...(state?.timeline || [])];
+
+  const blockRate = () => (window.length ? window.filter(Boolean).length / window.length : 0);
+
+  const decide = (action, reason) => {
+    const decision = { at: new Date().toISOString(), action, reason, blockRate: Math.round(blockRate() * 1000) / 1000, rate, concurrency };
+    totals.decisions++;
+    decisions.push(decision);
+    if (decisions.length > MAX_DECISIONS) decisions.shift();
+    const line = `🚦 Throttle ${action.replace('_', ' ')}: ${reason} - ${rate} requests/min, concurrency ${concurrency}`;
+    if (action === 'circuit_open' || action === 'slow_down') log.warning(line);
+    else log.info(line);
+  };
+
+  const apply = () => pool.setLimits?.({ rate, concurrency });
+
+  // One timeline entry per wall-clock minute with the requests finished in it and the limits at its end
+  const tick = (kind) => {
+    const minute = new Date(Math.floor(Date.now() / 60_000) * 60_000).toISOString();
+    let entry = timeline[timeline.length - 1];
+    if (entry?.minute !== minute) {
+      if (entry) {
+        log.info(`⏱️ Throttle: ${entry.requests} requests in the minute from ${entry.minute} (${entry.blocked} blocked, ${entry.networkErrors} network errors), limit ${entry.rateLimit}/min, concurrency ${entry.concurrency}`);
+      }
+      entry = { minute, requests: 0, blocked: 0, networkErrors: 0, rateLimit: rate, concurrency };
+      timeline.push(entry);
+      if (timeline.length > MAX_TIMELINE) timeline.shift();
+    }
+    entry.requests++;
+    if (kind === 'blocked') entry.blocked++;
+    if (kind === 'network') entry.networkErrors++;
+    entry.rateLimit = rate;
+    entry.concurrency = concurrency;
+  };
+
+  const halfOpen = () => {
+    timer = null;
+    circuit = 'half-open';
+    totals.pausedMs += Date.now() - openedAt;
+    probeSuccesses = 0;
+    decide('half_open', `probing after a ${Math.round((Date.now() - openedAt) / 1000)} s pause`);
+    pool.resume?.();
+  };
+
+  const open = (reason) => {
+    circuit = 'open';
+    totals.circuitOpened++;
+    rate = minRate;
+    concurrency = 1;
+    apply();
+    const left = remainingMs();
+    if (left < cooldown) {
+      decide('circuit_open', `${reason}, stopping: ${Math.round(left / 1000)} s of the time budget left is shorter than the ${Math.round(cooldown / 1000)} s pause`);
+      pool.stop?.();
+      return;
+    }
+    openedAt = Date.now();
+    pool.pause?.();
+    decide('circuit_open', `${reason}, pausing for ${Math.round(cooldown / 1000)} s`);
+    timer = setTimeout(halfOpen, cooldown);
+    timer.unref?.();
+    cooldown = Math.min(cooldown * 2, cooldownMs * MAX_COOLDOWN_FACTOR);
+  };
+
+  const adjust = (failed) => {
+    // Requests already running when the circuit opened finish while it is open; they don't count
+    if (circuit === 'open') return;
+    if (circuit === 'half-open') {
+      if (failed) open('probe failed');
+      else if (++probeSuccesses >= PROBES_TO_CLOSE) close();
+      return;
+    }
+
+    window.push(failed);
+    if (window.length > WINDOW) window.shift();
+    sinceChange++;
+    if (window.length < MIN_SAMPLES) return;
+    const current = blockRate();
+    if (current >= openAt) {
+      open(`block rate ${pct(current)} reached ${pct(openAt)}`);
+      return;
+    }
+    // Let the last change take effect first
+    if (sinceChange < MIN_SAMPLES) return;
+    if (current >= slowDownAt && (rate > minRate || concurrency > 1)) {
+      rate = Math.max(minRate, Math.round(rate / 2));
+      concurrency = Math.max(1, Math.ceil(concurrency / 2));
+      sinceChange = 0;
+      apply();
+      decide('slow_down', `block rate ${pct(current)} reached ${pct(slowDownAt)}`);
+    } else if (current < slowDownAt / 2 && sinceChange >= WINDOW && (rate < maxRate || concurrency < maxConcurrency)) {
+      rate = Math.min(maxRate, rate + Math.ceil(maxRate / 10));
+      concurrency = Math.min(maxConcurrency, concurrency + 1);
+      sinceChange = 0;
+      apply();
+      decide('speed_up', `block rate ${pct(current)} over the last ${window.length} requests`);
+    }
+  };
+
+  const close = () => {
+    circuit = 'closed';
+    window = [];
+    sinceChange = 0;
+    cooldown = cooldownMs;
+    decide('circuit_close', `${PROBES_TO_CLOSE} probes succeeded`);
+  };
+
+  return {
+    /**
+     * Counts one finished request and adjusts the limits.
+     * @param {'ok'|'blocked'|'network'} outcome
+     */
+    record(outcome) {
+      const failed = FAILURE_KINDS.includes(outcome);
+      totals.requests++;
+      totals[failed ? outcome : 'ok']++;
+      adjust(failed);
+      tick(outcome);
+    },
+
+    /** Current requests-per-minute limit. */
+    get rate() {
+      return rate;
+    },
+
+    /** Current concurrency limit. */
+    get concurrency() {
+      return concurrency;
+    },
+
+    /** `closed`, `open` or `half-open`. */
+    get circuit() {
+      return circuit;
+    },
+
+    /** How much longer than at full speed the per-request pacing delays should be. */
+    get delayFactor() {
+      return maxRate / rate;
+    },
+
+    /** Cancels a pending resume; the crawl is over. */
+    stop() {
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+        totals.pausedMs += Date.now() - openedAt;
+      }
+    },
+
+    /** Checkpoint state. A resumed run starts with the circuit closed at the saved limits. */
+    snapshot() {
+      return { rate, concurrency, totals: { ...totals }, decisions: [...decisions], timeline: timeline.map((e) => ({ ...e })) };
+    },
+
+    /** Run stats: the limits, totals and the latest decisions. */
+    stats() {
+      return {
+        maxRequestsPerMinute: maxRate,
+        minRequestsPerMinute: minRate,
+        requestsPerMinute: rate,
+        concurrency,
+        circuit,
+        requests: totals.requests,
+        blocked: totals.blocked,
+        networkErrors: totals.network,
+        blockRate: totals.requests ? Math.round(((totals.blocked + totals.network) / totals.requests) * 1000) / 1000 : 0,
+        circuitOpened: totals.circuitOpened,
+        pausedSecs: Math.round(totals.pausedMs / 1000),
+        decisions: totals.decisions,
+        recentDecisions: decisions.slice(-RECENT_DECISIONS),
+      };
+    },
+
+    /** Throttle report: the latest MAX_DECISIONS decisions and MAX_TIMELINE minutes of the per-minute timeline. */
+    report() {
+      return { decisions: [...decisions], timeline: timeline.map((e) => ({ ...e })) };
+    },
+  };
+}
@@ -0,0 +1,102 @@
+// Shared helpers for the Totaljobs parsers and crawler
+import { createHash } from 'crypto';
+import { load as cheerioLoad } from 'cheerio';
+
+export const BASE_URL = 'https://www.totaljobs.com';
+
+// Utility: pick first non-empty text from multiple selectors
+export function pickText($el, selectors) {
+  for (const sel of selectors) {
+    try {
+      const node = typeof sel === 'string' ? $el.find(sel) : sel;
+      if (node && node.length) {
+        const t = node.text().trim();
+        if (t) return t;
+      }
+    } catch (e) { /* skip */ }
+  }
+  return null;
+}
+
+// Utility: pick first non-empty attribute from multiple selectors
+export function pickAttr($el, selectors, attr) {
+  for (const sel of selectors) {
+    try {
+      const node = typeof sel === 'string' ? $el.find(sel) : sel;
+      if (node && node.length) {
+        const a = node.attr(attr);
+        if (a) return a.trim();
+      }
+    } catch (e) { /* skip */ }
+  }
+  return null;
+}
+
+export function htmlToText(html) {
+  if (!html) return '';
+  return cheerioLoad(`<body>${html}</body>`).text().replace(/\s+/g, ' ').trim();
+}
+
+// Utility: resolve a site-relative href against the board's base URL
+export function toAbsoluteUrl(href, baseUrl = BASE_URL) {
+  if (!href) return null;
+  if (/^https?:\/\//i.test(href)) return href;
+  return `${baseUrl}${href.startsWith('/') ? href : `/${href}`}`;
+}
+
+export function buildPageUrl(currentUrl, targetPage) {
+  const urlObj = new URL(currentUrl);
+  urlObj.searchParams.delete('of');
+  urlObj.searchParams.delete('Of');
+  urlObj.searchParams.delete('action');
+  if (targetPage <= 1) {
+    urlObj.searchParams.delete('page');
+  } else {
+    urlObj.searchParams.set('page', targetPage.toString());
+  }
+  return urlObj.href;
+}
+
+// Utility: Totaljobs job ID from the "-job12345" suffix of a job URL
+export function extractJobId(url) {
+  const match = String(url || '').match(/-job(\d+)(?:[/?#]|$)/i);
+  return match ? match[1] : null;
+}
+
+// Utility: canonical job URL - no query string, fragment or trailing slash; http/https and www variants of
+// the board's own host collapse onto its origin
+export function canonicalJobUrl(url, baseUrl = BASE_URL) {
+  try {
+    const urlObj = new URL(url, baseUrl);
+    const base = new URL(baseUrl);
+    const bareHost = (host) => host.toLowerCase().replace(/^www\./, '');
+    const origin = bareHost(urlObj.hostname) === bareHost(base.hostname) ? base.origin : `https://${urlObj.host.toLowerCase()}`;
+    return `${origin}${urlObj.pathname.replace(/\/+$/, '')}`;
+  } catch {
+    return null;
+  }
+}
+
+// Utility: identity of a listed job - its job ID (search state id or "-job12345" suffix), canonical URL and
+// the key used for de-duplication and request unique keys (the ID when there is one, scoped by board id)
+export function jobIdentity(url, { id = null, baseUrl = BASE_URL, site = null } = {}) {
+  const canonical = canonicalJobUrl(url, baseUrl);
+  const jobId = id !== null && id !== undefined && id !== '' ? String(id) : extractJobId(url);
+  const key = jobId ? `job-${jobId}` : canonical;
+  return { jobId, url: canonical, key: site && key ? `${site}:${key}` : key };
+}
+
+// Utility: cache key for a company / recruiter profile URL ("/company/acme-ltd" -> "acme-ltd")
+export function companySlug(url) {
+  try {
+    const segments = new URL(url).pathname.split('/').filter(Boolean);
+    return (segments.pop() || '').toLowerCase() || null;
+  } catch {
+    return null;
+  }
+}
+
+// Utility: short stable hash used for registry keys and change fingerprints
+export function shortHash(value) {
+  return createHash('sha1').update(String(value ?? '')).digest('hex').slice(0, 16);
+}
@@ -0,0 +1,255 @@
+// Webhook delivery - batched job POSTs, Slack-compatible messages, retries and a run-complete call
+import { randomUUID } from 'crypto';
+import { SITES } from './sites.js';
+
+export const WEBHOOK_FORMATS = ['json', 'slack'];
+
+const DEFAULT_BATCH_SIZE = 25;
+const DEFAULT_MAX_RETRIES = 3;
+const REQUEST_TIMEOUT_MS = 30_000;
+
+// Placeholders a payload template may use; each is replaced by the JSON encoding of its value
+const TEMPLATE_VARIABLES = ['event', 'batch', 'batchId', 'count', 'jobs', 'stats', 'text'];
+
+function invalid(name, value, expected) {
+  return new Error(`Invalid ${name} ${JSON.stringify(value)}: expected ${expected}`);
+}
+
+function intOption(name, value, fallback, { min, max }) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const num = Number(value);
+  if (!Number.isInteger(num) || num < min || num > max) throw invalid(name, value, `a whole number from ${min} to ${max}`);
+  return num;
+}
+
+/**
+ * Fills `{{name}}` placeholders with JSON values, so `{"items": {{jobs}}, "n": {{count}}}` stays valid JSON.
+ * @param {string} template
+ * @param {Record<string, any>} variables
+ */
+export function renderTemplate(template, variables) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (
+    TEMPLATE_VARIABLES.includes(name) ? JSON.stringify(variables[name] ?? null) : match
+  ));
+}
+
+/**
+ * Validates the webhook inputs.
+ * @returns {{ url: string, headers: Record<string, string>, format: string, batchSize: number,
+ *   maxRetries: number, template: string|null }|null} null when no webhookUrl is set
+ */
+export function parseWebhookOptions({
+  webhookUrl,
+  webhookAuthHeader,
+  webhookFormat,
+  webhookBatchSize,
+  webhookMaxRetries,
+  webhookPayloadTemplate,
+} = {}) {
+  if (!webhookUrl) return null;
+  let url;
+  try {
+    url = new URL(String(webhookUrl).trim());
+  } catch {
+    throw invalid('webhookUrl', webhookUrl, 'an http(s) URL');
+  }
+  if (!/^https?:$/.test(url.protocol)) throw invalid('webhookUrl', webhookUrl, 'an http(s) URL');
+
+  // "Bearer abc" goes into Authorization; "X-Api-Key: abc" names its own header
+  const headers = {};
+  const auth = webhookAuthHeader ? String(webhookAuthHeader).trim() : '';
+  if (auth) {
+    const named = auth.match(/^([A-Za-z0-9-]+):\s*(.+)$/);
+    if (named) headers[named[1]] = named[2];
+    else headers.Authorization = auth;
+  }
+
+  const format = webhookFormat ? String(webhookFormat).trim().toLowerCase() : 'json';
+  if (!WEBHOOK_FORMATS.includes(format)) throw invalid('webhookFormat', webhookFormat, WEBHOOK_FORMATS.join(' or '));
+
+  const template = webhookPayloadTemplate
+    ? (typeof webhookPayloadTemplate === 'string' ? webhookPayloadTemplate : JSON.stringify(webhookPayloadTemplate))
+    : null;
+  if (template) {
+    try {
+      JSON.parse(renderTemplate(template, { event: 'jobs', batch: 1, batchId: 'run-1', count: 0, jobs: [], stats: {}, text: '' }));
+    } catch (err) {
+      throw new Error(`Invalid webhookPayloadTemplate: it must render to JSON (${err.message})`);
+    }
+  }
+
+  return {
+    url: url.href,
+    headers,
+    format,
+    batchSize: intOption('webhookBatchSize', webhookBatchSize, DEFAULT_BATCH_SIZE, { min: 1, max: 1000 }),
+    maxRetries: intOption('webhookMaxRetries', webhookMaxRetries, DEFAULT_MAX_RETRIES, { min: 0, max: 10 }),
+    template,
+  };
+}
+
+// Slack mrkdwn needs &, < and > escaped outside of links
+const slackEscape = (value) => String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// "Totaljobs", "Totaljobs and CWJobs" for the boards' ids; null when none is known
+const boardNames = (ids = []) => {
+  const names = [...new Set(ids.filter(Boolean).map((id) => SITES[id]?.name || id))];
+  return names.length ? names.join(', ').replace(/, ([^,]+)$/, ' and $1') : null;
+};
+
+function slackText(event, { jobs = [], stats = {} }) {
+  if (event === 'run_complete') {
+    const boards = boardNames(stats.sites);
+    return `${boards ? `${boards} run` : 'Run'} finished (${stats.endReason || 'unknown'}): ${stats.jobsSaved ?? 0} jobs saved from `
+      + `${stats.pagesVisited ?? 0} pages in ${stats.runTimeSecs ?? 0}s`;
+  }
+  const boards = boardNames(jobs.map((job) => job.source_site));
+  const lines = jobs.map((job) => {
+    const details = [job.company, job.location, job.salary].filter(Boolean).map(slackEscape).join(' · ');
+    return `• <${job.job_url}|${slackEscape(job.title || job.job_url)}>${details ? ` — ${details}` : ''}`;
+  });
+  const heading = `${jobs.length} new ${jobs.length === 1 ? 'job' : 'jobs'}${boards ? ` on ${boards}` : ''}`;
+  return [heading, ...lines].join('\n');
+}
+
+/**
+ * Request body for one delivery. A template wins over the format; Slack messages are a single `text`.
+ * @param {'jobs'|'run_complete'} event
+ * @param {{ jobs?: object[], batch?: number, batchId?: string, stats?: object }} data
+ * @param {{ format: string, template: string|null }} options
+ * @returns {string}
+ */
+export function webhookPayload(event, { jobs = [], batch = null, batchId = null, stats = null }, { format, template }) {
+  const text = slackText(event, { jobs, stats: stats || {} });
+  if (template) return renderTemplate(template, { event, batch, batchId, count: jobs.length, jobs, stats, text });
+  if (format === 'slack') return JSON.stringify({ text });
+  return JSON.stringify(event === 'run_complete' ? { event, stats } : { event, batch, batchId, count: jobs.length, jobs });
+}
+
+/** POSTs a JSON body; rejects on network errors and non-2xx responses (with `statusCode` set). */
+export async function postJson(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    body,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    const error = new Error(`Webhook responded ${response.status}`);
+    error.statusCode = response.status;
+    throw error;
+  }
+}
+
+// Client errors other than timeouts and rate limits won't succeed on a retry
+const isRetryable = (error) => !error.statusCode || error.statusCode === 408 || error.statusCode === 429 || error.statusCode >= 500;
+
+/**
+ * Batching webhook sender. Jobs are buffered and POSTed in `batchSize` batches, one delivery at a time
+ * and in order; failed deliveries are retried with exponential backoff and then kept in `failures`
+ * with their exact request body, ready to be replayed. Every batch carries a `batchId` (run id and batch
+ * number) that stays the same when a resumed run sends a batch again, so receivers can drop duplicates.
+ * @param {ReturnType<typeof parseWebhookOptions>} options
+ * @param {object} [deps]
+ * @param {Function} [deps.post=postJson] `(url, body, headers) => Promise`
+ * @param {number} [deps.retryDelayMs=1000] Delay before the first retry; doubles on every retry
+ * @param {string|null} [deps.runId] Prefix of the batch ids; a random one when not given
+ * @param {object} [deps.state] A previous `snapshot()`, restored after a resume; batches that were being
+ *   delivered are sent again straight away under their own ids
+ * @param {{ warning: Function }} [deps.log]
+ */
+export function createWebhookSender(options, { post = postJson, retryDelayMs = 1000, runId = null, state = null, log = null } = {}) {
+  const idPrefix = state?.runId || runId || randomUUID();
+  const pending = [...(state?.pending || [])];
+  // Batches handed to the delivery chain and not settled yet
+  const inFlight = new Set();
+  const failures = [...(state?.failures || [])];
+  const stats = { batchesSent: 0, jobsSent: 0, failedDeliveries: 0, ...state?.stats };
+  let batchNumber = state?.batchNumber || 0;
+  let chain = Promise.resolve();
+
+  const deliver = async (event, body, jobCount, batch) => {
+    let attempts = 0;
+    for (;;) {
+      attempts++;
+      try {
+        await post(options.url, body, options.headers);
+        if (event === 'jobs') {
+          stats.batchesSent++;
+          stats.jobsSent += jobCount;
+        }
+        return true;
+      } catch (error) {
+        if (attempts > options.maxRetries || !isRetryable(error)) {
+          stats.failedDeliveries++;
+          failures.push({
+            event,
+            batch,
+            url: options.url,
+            body,
+            status: error.statusCode || null,
+            error: error.message,
+            attempts,
+            failed_at: new Date().toISOString(),
+          });
+          log?.warning(`Webhook ${event} delivery failed after ${attempts} attempts: ${error.message}`);
+          return false;
+        }
+        await new Promise((resolve) => setTimeout(resolve, retryDelayMs * 2 ** (attempts - 1)));
+      }
+    }
+  };
+
+  const enqueue = (event, data) => {
+    const jobs = data.jobs || [];
+    const batchId = data.batch ? `${idPrefix}-${data.batch}` : null;
+    const entry = { batch: data.batch ?? null, jobs };
+    if (event === 'jobs') inFlight.add(entry);
+    const body = webhookPayload(event, { ...data, batchId }, options);
+    chain = chain.then(() => deliver(event, body, jobs.length, entry.batch)).finally(() => inFlight.delete(entry));
+    return chain;
+  };
+
+  const sendBatch = () => {
+    batchNumber++;
+    return enqueue('jobs', { jobs: pending.splice(0, options.batchSize), batch: batchNumber });
+  };
+
+  for (const { batch, jobs } of state?.inFlight || []) enqueue('jobs', { jobs, batch });
+
+  return {
+    stats,
+    failures,
+
+    /** Buffers saved jobs and starts a delivery for every full batch. Never rejects. */
+    add(records) {
+      pending.push(...records);
+      while (pending.length >= options.batchSize) sendBatch();
+      return chain;
+    },
+
+    /** Sends the remaining jobs and waits for every delivery to settle. */
+    async flush() {
+      if (pending.length) sendBatch();
+      await chain;
+    },
+
+    /** Flushes, then sends the run-complete call with the final stats. */
+    async complete(runStats) {
+      await this.flush();
+      await enqueue('run_complete', { stats: runStats });
+    },
+
+    /** Checkpoint state: batches being delivered, buffered jobs, counters and failures. */
+    snapshot() {
+      return {
+        inFlight: [...inFlight].map(({ batch, jobs }) => ({ batch, jobs })),
+        pending: [...pending],
+        stats: { ...stats },
+        failures,
+        batchNumber,
+        runId: idPrefix,
+      };
+    },
+  };
+}
@@ -0,0 +1,65 @@
+// Work mode normalisation - remote / hybrid / on-site from structured data and free text
+export const WORK_MODES = ['remote', 'hybrid', 'on-site'];
+
+const WORK_MODE_ALIASES = {
+  remote: 'remote',
+  'fully remote': 'remote',
+  'work from home': 'remote',
+  wfh: 'remote',
+  telecommute: 'remote',
+  hybrid: 'hybrid',
+  partial: 'hybrid',
+  'partially remote': 'hybrid',
+  'on-site': 'on-site',
+  onsite: 'on-site',
+  on_site: 'on-site',
+  'on site': 'on-site',
+  office: 'on-site',
+};
+
+const HYBRID_TEXT = /\bhybrid\b|\b\d\s*days?\s*(?:a|per)\s*week\s*(?:in|at)\s*(?:the\s*)?office\b|\bsplit between home and (?:the )?office\b/i;
+const REMOTE_TEXT = /\b(?:fully|100%|completely|full[- ]time)\s*remote\b|\bremote[- ](?:working|first|based|role|position)\b|\bwork(?:ing)? from home\b|\bhome[- ]based\b/i;
+const REMOTE_LOCATION = /^\s*(?:fully\s+)?remote\b|\bremote\s*$|\bwork from home\b|\bhome[- ]based\b/i;
+const ON_SITE_TEXT = /\bon[- ]?site\b|\boffice[- ]based\b|\bfully office\b|\bin[- ]office\b/i;
+
+/**
+ * Normalises a user or site supplied work mode ("Hybrid", "onsite", "TELECOMMUTE", ...).
+ * @returns {'remote'|'hybrid'|'on-site'|null}
+ */
+export function normaliseWorkMode(value) {
+  if (value === true) return 'remote';
+  if (typeof value !== 'string') return null;
+  return WORK_MODE_ALIASES[value.trim().toLowerCase()] || null;
+}
+
+/** Work modes from the `workMode` input (string or array); an empty list means "any". */
+export function parseWorkModeInput(value) {
+  const modes = (Array.isArray(value) ? value : [value]).map(normaliseWorkMode).filter(Boolean);
+  return [...new Set(modes)];
+}
+
+/**
+ * Classifies a job as remote, hybrid or on-site. Structured signals win over the location
+ * string, which wins over phrases in the description.
+ * @param {object} signals
+ * @param {string|null} [signals.locationType] JSON-LD jobLocationType (TELECOMMUTE)
+ * @param {*} [signals.siteFlag] Work-from-home flag from the search results state
+ * @param {string|null} [signals.location] Location string, e.g. "Hybrid - London"
+ * @param {string|null} [signals.description] Plain-text description or snippet
+ * @returns {'remote'|'hybrid'|'on-site'|'unknown'}
+ */
+export function detectWorkMode({ locationType, siteFlag, location, description } = {}) {
+  const fromSite = normaliseWorkMode(siteFlag);
+  if (fromSite) return fromSite;
+
+  const loc = location || '';
+  if (HYBRID_TEXT.test(loc)) return 'hybrid';
+  if (/TELECOMMUTE/i.test(locationType || '')) return 'remote';
+  if (REMOTE_LOCATION.test(loc)) return 'remote';
+
+  const text = description || '';
+  if (HYBRID_TEXT.test(text)) return 'hybrid';
+  if (REMOTE_TEXT.test(text)) return 'remote';
+  if (ON_SITE_TEXT.test(text)) return 'on-site';
+  return 'unknown';
+}
@@ -0,0 +1,76 @@
+import { load as cheerioLoad } from 'cheerio';
+import { describe, expect, it } from 'vitest';
+import { applyFromState, classifyApply, mergeApplyDetails, parseApplyPanel } from '../src/apply-details.js';
+
+const JOB_URL = 'https://www.totaljobs.com/job/data-engineer/acme-job12345678';
+const panel = (html) => parseApplyPanel(cheerioLoad(`<html><body>${html}</body></html>`), { url: JOB_URL });
+
+describe('classifyApply', () => {
+  it('prefers an explicit flag, then compares the apply URL host with the job page', () => {
+    expect(classifyApply({ directApply: false, applyUrl: `${JOB_URL}/apply`, pageUrl: JOB_URL })).toBe('external');
+    expect(classifyApply({ applyUrl: 'https://totaljobs.com/apply/1', pageUrl: JOB_URL })).toBe('easy_apply');
+    expect(classifyApply({ applyUrl: 'https://jobs.acme.example/1', pageUrl: JOB_URL })).toBe('external');
+    expect(classifyApply({ pageUrl: JOB_URL })).toBeNull();
+  });
+});
+
+describe('parseApplyPanel', () => {
+  it('reads contact details from panel text when there are no links', () => {
+    expect(panel(`<div class="contact-details">
+      <button data-at="apply-button">Quick apply</button>
+      <p>Ref. no: 4471/B</p><p>Consultant: Amy Lee</p>
+      <p>Tel +44 (0)20 7946 0000, amy.lee@agency.example</p>
+    </div>`)).toEqual({
+      apply_url: null,
+      apply_type: 'easy_apply',
+      job_identifier: '4471/B',
+      recruiter_name: 'Amy Lee',
+      contact_phone: '+44 (0)20 7946 0000',
+      contact_email: 'amy.lee@agency.example',
+      employer_type: null,
+    });
+  });
+
+  it('ignores text that only looks like a reference and script apply links', () => {
+    const details = panel('<a data-at="apply-button" href="#apply">Apply</a><p>References available on request.</p>');
+    expect(details.apply_url).toBeNull();
+    expect(details.job_identifier).toBeNull();
+  });
+});
+
+describe('applyFromState', () => {
+  it('reads the apply flag, reference and contact of a state item', () => {
+    expect(applyFromState(
+      { isExternalApplication: true, reference: 77, contactName: ' Jo  Bloggs ' },
+      { url: JOB_URL, baseUrl: 'https://www.totaljobs.com' },
+    )).toEqual({
+      apply_url: null,
+      apply_type: 'external',
+      job_identifier: '77',
+      recruiter_name: 'Jo Bloggs',
+      contact_phone: null,
+      contact_email: null,
+    });
+  });
+});
+
+describe('mergeApplyDetails', () => {
+  it('takes each field from the first source that has it', () => {
+    const merged = mergeApplyDetails([
+      { apply_type: 'unknown', recruiter_name: 'From JSON-LD', employer_type: null },
+      { apply_type: 'external', recruiter_name: 'From panel', contact_email: 'a@b.example' },
+      null,
+      { employer_type: 'direct', job_identifier: 'S-1' },
+    ]);
+    expect(merged).toEqual({
+      apply_url: null,
+      apply_type: 'external',
+      job_identifier: 'S-1',
+      recruiter_name: 'From JSON-LD',
+      contact_phone: null,
+      contact_email: 'a@b.example',
+      employer_type: 'direct',
+    });
+    expect(mergeApplyDetails([]).apply_type).toBe('unknown');
+  });
+});
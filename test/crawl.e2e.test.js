@@ -0,0 +1,480 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import { startMockServer } from './helpers/mock-server.js';
+import { runActor } from './helpers/run-actor.js';
+import { startWebhookReceiver } from './helpers/webhook-receiver.js';
+
+const TIMEOUT = 120_000;
+
+let server;
+let sister;
+let run;
+let receiver;
+
+afterEach(async () => {
+  await server?.close();
+  await sister?.close();
+  await receiver?.close();
+  await run?.cleanup();
+  server = undefined;
+  sister = undefined;
+  receiver = undefined;
+  run = undefined;
+});
+
+// The mock server and zero delays are harness settings, passed to the actor as environment variables
+const crawl = (input, harness = {}) => runActor({
+  keyword: 'admin',
+  ...input,
+}, { baseUrl: server.url, delayMultiplier: 0, ...harness });
+
+const jobUrls = (items) => items.map((item) => item.job_url);
+
+describe('crawl against the mock site', () => {
+  it('stops at exactly results_wanted unique jobs', async () => {
+    server = await startMockServer({ pages: 5, perPage: 10 });
+    run = await crawl({ results_wanted: 25, max_pages: 5, collectDetails: false });
+
+    expect(run.code, run.logs).toBe(0);
+    expect(run.items).toHaveLength(25);
+    expect(new Set(jobUrls(run.items)).size).toBe(25);
+    expect(server.listPagesServed()).toEqual(['/jobs/admin', '/jobs/admin?page=2', '/jobs/admin?page=3']);
+    expect(run.output.endReason).toBe('target');
+  }, TIMEOUT);
+
+  it('never visits more than max_pages result pages', async () => {
+    server = await startMockServer({ pages: 5, perPage: 10 });
+    run = await crawl({ results_wanted: 100, max_pages: 2, collectDetails: false });
+
+    expect(run.code, run.logs).toBe(0);
+    expect(run.items).toHaveLength(20);
+    expect(server.listPagesServed()).toEqual(['/jobs/admin', '/jobs/admin?page=2']);
+    expect(run.output.endReason).toBe('max_pages');
+  }, TIMEOUT);
+
+  it('follows "Next" links on pages without preloaded state', async () => {
+    server = await startMockServer({ pages: 3, perPage: 5, mode: 'dom' });
+    run = await crawl({ results_wanted: 100, max_pages: 4, collectDetails: false });
+
+    expect(run.code, run.logs).toBe(0);
+    expect(run.items).toHaveLength(15);
+    expect(new Set(jobUrls(run.items)).size).toBe(15);
+    expect(server.listPagesServed().length).toBeLessThanOrEqual(4);
+  }, TIMEOUT);
+
+  it('collects detail pages through blocks, dropped connections and slow responses', async () => {
+    server = await startMockServer({
+      pages: 3,
+      perPage: 5,
+      faults: {
+        '/jobs/admin?page=2': [403, 429],
+        '/job/mock-role-1001/mock-company-0-job1001': ['drop'],
+        '/job/mock-role-1002/mock-company-1-job1002': [429],
+        '/job/mock-role-1003/mock-company-2-job1003': [{ delay: 1500 }],
+      },
+    });
+    run = await crawl({ results_wanted: 12, max_pages: 3, collectDetails: true });
+
+    expect(run.code, run.logs).toBe(0);
+    expect(run.items).toHaveLength(12);
+    expect(new Set(jobUrls(run.items)).size).toBe(12);
+    expect(run.items.every((item) => item.description_text.startsWith('Full description'))).toBe(true);
+  }, TIMEOUT);
+
+  it('opens the circuit when blocks spike and finishes once probes get through', async () => {
+    const details = Array.from({ length: 10 }, (_, i) => 1000 + i)
+      .map((id) => [`/job/mock-role-${id}/mock-company-${id % 7}-job${id}`, [403, 403]]);
+    server = await startMockServer({ pages: 1, perPage: 10, faults: Object.fromEntries(details) });
+    run = await crawl({
+      results_wanted: 10,
+      max_pages: 1,
+      collectDetails: true,
+      minRequestsPerMinute: 600,
+      maxRequestsPerMinute: 1000,
+    });
+
+    expect(run.code, run.logs).toBe(0);
+    expect(run.items).toHaveLength(10);
+    expect(run.logs).toContain('Throttle circuit open');
+    const { throttling } = run.output;
+    expect(throttling.blocked).toBe(20);
+    expect(throttling.circuitOpened).toBeGreaterThanOrEqual(1);
+    expect(throttling.recentDecisions.map((d) => d.action)).toContain('half_open');
+    expect(throttling.report).toBe('THROTTLE_REPORT');
+    const report = await run.readRecord('default', 'THROTTLE_REPORT');
+    expect(report.decisions).toHaveLength(throttling.decisions);
+    expect(report.timeline.reduce((sum, e) => sum + e.requests, 0)).toBe(throttling.requests);
+  }, TIMEOUT);
+
+  it('re-enqueues a list page that stays blocked through every retry', async () => {
+    server = await startMockServer({
+      pages: 3,
+      perPage: 5,
+      faults: { '/jobs/admin?page=2': Array(6).fill(403) },
+    });
+    run = await crawl({ results_wanted: 15, max_pages: 3, collectDetails: false });
+
+    expect(run.code, run.logs).toBe(0);
+    expect(run.logs).toContain('Recovery: Re-enqueued list page 2');
+    expect(run.items).toHaveLength(15);
+    expect(new Set(jobUrls(run.items)).size).toBe(15);
+  }, TIMEOUT);
+
+  it('skips past a list page whose connection keeps dropping', async () => {
+    server = await startMockServer({
+      pages: 3,
+      perPage: 5,
+      faults: { '/jobs/admin?page=2': Array(6).fill('drop') },
+    });
+    run = await crawl({ results_wanted: 100, max_pages: 3, collectDetails: false });
+
+    expect(run.code, run.logs).toBe(0);
+    expect(run.logs).toContain('Skipped failed page, enqueued page 3');
+    expect(server.listPagesServed()).toContain('/jobs/admin?page=3');
+    expect(run.items).toHaveLength(10);
+    expect(new Set(jobUrls(run.items)).size).toBe(10);
+  }, TIMEOUT);
+
+  it('keeps only jobs of the wanted work mode without counting the rest', async () => {
+    server = await startMockServer({ pages: 3, perPage: 10 });
+    // A custom URL skips the site's work-from-home filter, so unclassified jobs are dropped too
+    run = await crawl({
+      startUrl: `${server.url}/jobs/admin`,
+      results_wanted: 5,
+      max_pages: 3,
+      collectDetails: true,
+      workMode: ['remote'],
+    });
+
+    expect(run.code, run.logs).toBe(0);
+    expect(run.items).toHaveLength(5);
+    expect(run.items.every((item) => item.work_mode === 'remote')).toBe(true);
+    expect(run.output.filtered.workMode).toBeGreaterThan(0);
+  }, TIMEOUT);
+
+  it('stops paginating a newest-first search once a whole page is older than postedWithin', async () => {
+    server = await startMockServer({ pages: 5, perPage: 5 });
+    run = await crawl({ results_wanted: 100, max_pages: 5, collectDetails: false, postedWithin: '2025-11-10', sortBy: 'date' });
+
+    expect(run.code, run.logs).toBe(0);
+    expect(run.items).toHaveLength(10);
+    expect(run.items[0].date_posted_iso).toBe('2025-11-18T09:00:00.000Z');
+    expect(server.listPagesServed()).toEqual(['/jobs/admin?Sort=2', '/jobs/admin?Sort=2&page=2', '/jobs/admin?Sort=2&page=3']);
+    expect(run.output.queries[0].endReason).toBe('posted_window');
+    expect(run.output.filtered.postedWithin).toBe(5);
+  }, TIMEOUT);
+
+  it('keeps paginating a relevance-sorted search past pages older than postedWithin', async () => {
+    server = await startMockServer({ pages: 5, perPage: 5 });
+    run = await crawl({ results_wanted: 100, max_pages: 5, collectDetails: false, postedWithin: '2025-11-10' });
+
+    expect(run.code, run.logs).toBe(0);
+    expect(run.items).toHaveLength(10);
+    expect(server.listPagesServed()).toHaveLength(5);
+    expect(run.output.queries[0].endReason).not.toBe('posted_window');
+  }, TIMEOUT);
+
+  it('sends search filters to the site and re-checks them on every record', async () => {
+    server = await startMockServer({ pages: 3, perPage: 10 });
+    run = await crawl({ results_wanted: 8, max_pages: 3, collectDetails: false, salaryMin: 26000 });
+
+    expect(run.code, run.logs).toBe(0);
+    expect(server.listPagesServed()[0]).toBe('/jobs/admin?Salary=26000&SalaryType=1');
+    expect(run.items).toHaveLength(8);
+    expect(run.items.every((item) => item.salary_annual_gbp_max >= 26000)).toBe(true);
+    expect(run.output.searchFilters).toMatchObject({ salaryMin: 26000, sortBy: 'relevance', employerType: 'any' });
+    expect(run.output.filtered.salaryMin).toBe(12);
+  }, TIMEOUT);
+
+  it('drops jobs failing the filter rules before fetching their details', async () => {
+    server = await startMockServer({ pages: 2, perPage: 10 });
+    run = await crawl({
+      results_wanted: 12,
+      max_pages: 2,
+      collectDetails: true,
+      titleExclude: ['role 1019$'],
+      companyBlockList: ['Mock Company 3'],
+      excludeRecruiters: ['mock-company-0'],
+    });
+
+    expect(run.code, run.logs).toBe(0);
+    expect(run.items).toHaveLength(12);
+    expect(run.items.some((item) => ['Mock Company 0', 'Mock Company 3'].includes(item.company))).toBe(false);
+    const detailHits = server.hits.filter((hit) => hit.path.startsWith('/job/')).map((hit) => hit.path);
+    for (const id of [1001, 1004, 1008, 1011, 1015, 1018, 1019]) {
+      expect(detailHits.some((path) => path.endsWith(`-job${id}`))).toBe(false);
+    }
+    expect(run.output.filtered).toMatchObject({ titleExclude: 1, companyBlockList: 3, excludeRecruiters: 3 });
+    expect(run.output.filteredBeforeDetail).toBe(7);
+    expect(run.output.filterRules).toEqual({
+      titleExclude: ['role 1019$'],
+      companyBlockList: ['Mock Company 3'],
+      excludeRecruiters: ['mock-company-0'],
+    });
+  }, TIMEOUT);
+
+  it('loads each company profile once and attaches it to every job', async () => {
+    server = await startMockServer({ pages: 2, perPage: 10 });
+    run = await crawl({ results_wanted: 14, max_pages: 2, collectDetails: true, enrichCompanies: true });
+
+    expect(run.code, run.logs).toBe(0);
+    expect(run.items).toHaveLength(14);
+    expect(run.items.every((item) => item.company_profile?.name === item.company)).toBe(true);
+
+    const companyHits = server.hits.filter((hit) => hit.path.startsWith('/company/')).map((hit) => hit.path);
+    expect(companyHits).toHaveLength(7);
+    expect(new Set(companyHits).size).toBe(7);
+
+    const companies = await run.readDataset('totaljobs-companies');
+    expect(companies).toHaveLength(7);
+    expect(companies.find((c) => c.company_slug === 'mock-company-0')).toMatchObject({ is_agency: true, size_band: '50-249', open_jobs: 10 });
+    expect(run.output.companyProfiles).toBe(7);
+  }, TIMEOUT);
+
+  it('writes the requested export files to the key-value store', async () => {
+    server = await startMockServer({ pages: 2, perPage: 4 });
+    run = await crawl({ results_wanted: 6, max_pages: 2, collectDetails: false, exportFormats: ['csv', 'jsonl', 'atom', 'html'] });
+
+    expect(run.code, run.logs).toBe(0);
+    expect(run.output.exports).toEqual({ csv: 'JOBS_CSV', jsonl: 'JOBS_JSONL', atom: 'JOBS_ATOM', html: 'JOBS_DIGEST' });
+
+    const csv = (await run.readText('default', 'JOBS_CSV')).trim().split('\r\n');
+    expect(csv).toHaveLength(7);
+    expect(csv[0].startsWith('job_id,title,company,location,salary,')).toBe(true);
+
+    const jsonl = (await run.readText('default', 'JOBS_JSONL')).trim().split('\n').map((line) => JSON.parse(line));
+    expect(jsonl.map((job) => job.job_url)).toEqual(jobUrls(run.items));
+
+    const atom = await run.readText('default', 'JOBS_ATOM');
+    expect(atom.match(/<entry>/g)).toHaveLength(6);
+    expect(atom).toContain(`<link href="${run.items[0].job_url}"/>`);
+
+    const digest = await run.readText('default', 'JOBS_DIGEST');
+    expect(digest).toContain('<h2>Mock Company 0 <small>');
+    expect(await run.readText('default', 'JOBS_RSS')).toBeNull();
+  }, TIMEOUT);
+
+  it('posts saved jobs to a webhook in batches and finishes with the run stats', async () => {
+    server = await startMockServer({ pages: 2, perPage: 5 });
+    receiver = await startWebhookReceiver({ statuses: [500] });
+    run = await crawl({ results_wanted: 6, max_pages: 2, collectDetails: false, webhookUrl: receiver.url, webhookBatchSize: 4 });
+
+    expect(run.code, run.logs).toBe(0);
+    const delivered = receiver.delivered();
+    expect(delivered.map((body) => body.event)).toEqual(['jobs', 'jobs', 'run_complete']);
+    expect(delivered.slice(0, 2).map((body) => body.batchId)).toEqual([expect.stringMatching(/-1$/), expect.stringMatching(/-2$/)]);
+    expect(delivered.slice(0, 2).flatMap((body) => body.jobs.map((j) => j.job_url))).toEqual(jobUrls(run.items));
+    expect(delivered[2].stats).toEqual(run.output);
+    expect(run.output.webhook).toEqual({ batchesSent: 2, jobsSent: 6, failedDeliveries: 0 });
+  }, TIMEOUT);
+
+  it('saves undeliverable webhook payloads for replay', async () => {
+    server = await startMockServer({ pages: 1, perPage: 3 });
+    receiver = await startWebhookReceiver({ statuses: Array(10).fill(503) });
+    run = await crawl({ results_wanted: 3, max_pages: 1, collectDetails: false, webhookUrl: receiver.url, webhookMaxRetries: 1 });
+
+    expect(run.code, run.logs).toBe(0);
+    const failed = await run.readRecord('default', 'WEBHOOK_FAILED');
+    expect(failed.map((f) => f.event)).toEqual(['jobs', 'run_complete']);
+    expect(JSON.parse(failed[0].body).jobs).toHaveLength(3);
+    expect(run.output.webhook.failedDeliveries).toBe(1);
+  }, TIMEOUT);
+
+  it('collapses a job listed under several URLs into one record keyed by its job ID', async () => {
+    server = await startMockServer({ pages: 3, perPage: 4, relisted: 2 });
+    run = await crawl({ results_wanted: 100, max_pages: 3, collectDetails: true });
+
+    expect(run.code, run.logs).toBe(0);
+    expect(run.items).toHaveLength(12);
+    expect(new Set(run.items.map((item) => item.job_id)).size).toBe(12);
+    expect(run.items.every((item) => /^\d+$/.test(item.job_id) && !item.job_url.includes('?'))).toBe(true);
+    expect(server.hits.filter((hit) => hit.path.startsWith('/job/'))).toHaveLength(12);
+    expect(run.output.uniqueJobs).toBe(12);
+    expect(run.output.duplicatesCollapsed).toBe(4);
+  }, TIMEOUT);
+
+  it('falls back to the list-page seed when a detail page is always blocked', async () => {
+    server = await startMockServer({
+      pages: 1,
+      perPage: 3,
+      faults: { '/job/mock-role-1000/mock-company-6-job1000': Array(6).fill(403) },
+    });
+    run = await crawl({ results_wanted: 3, max_pages: 1, collectDetails: true });
+
+    expect(run.code, run.logs).toBe(0);
+    expect(run.items).toHaveLength(3);
+    const seeded = run.items.find((item) => item.job_url.endsWith('-job1000'));
+    expect(seeded.description_text).toBe('Snippet for role 1000');
+    expect(seeded.extraction_path).toBe('seed');
+    // Every save path builds the same record shape
+    const shapes = new Set(run.items.map((item) => Object.keys(item).join(',')));
+    expect(shapes.size).toBe(1);
+    expect(run.items.every((item) => item.schema_version === 3)).toBe(true);
+
+    const report = await run.readRecord('default', 'QUALITY_REPORT');
+    expect(report.extractionPaths).toEqual({ state: 0, 'json-ld': 2, dom: 0, seed: 1 });
+    expect(report.listPages).toMatchObject({ total: 1, state: 1, statePathRate: 1 });
+    expect(report.fillRates.title).toBe(1);
+    expect(run.output.quality).toMatchObject({ status: 'ok', warnings: [], report: 'QUALITY_REPORT' });
+  }, TIMEOUT);
+
+  it('fails the run when markup-only result pages fall below the state-path threshold', async () => {
+    server = await startMockServer({ pages: 2, perPage: 5, mode: 'dom' });
+    run = await crawl({ results_wanted: 100, max_pages: 3, collectDetails: false, failOnQualityWarning: true });
+
+    expect(run.code).not.toBe(0);
+    expect(run.items).toHaveLength(10);
+    expect(run.items.every((item) => item.extraction_path === 'dom')).toBe(true);
+    expect(run.output.quality.status).toBe('warning');
+    expect(run.output.quality.warnings[0]).toMatch(/0% of result pages were read from the preloaded state/);
+    const report = await run.readRecord('default', 'QUALITY_REPORT');
+    expect(report.warnings.map((w) => w.check)).toContain('statePath');
+    expect(report.zeroJobPages).toEqual([`${server.url}/jobs/admin?page=3`]);
+  }, TIMEOUT);
+
+  it('searches sister boards and saves a posting listed on both once', async () => {
+    server = await startMockServer({ pages: 1, perPage: 4 });
+    sister = await startMockServer({ pages: 1, perPage: 4 });
+    run = await crawl({
+      site: ['totaljobs', 'cwjobs'],
+      results_wanted: 10,
+      max_pages: 1,
+      collectDetails: false,
+    }, { siteBaseUrls: { cwjobs: sister.url } });
+
+    expect(run.code, run.logs).toBe(0);
+    expect(run.items).toHaveLength(4);
+    expect(new Set(run.items.map((item) => item.source_site)).size).toBe(1);
+    expect(server.listPagesServed()).toEqual(['/jobs/admin']);
+    expect(sister.listPagesServed()).toEqual(['/jobs/admin']);
+    expect(run.output.sites).toEqual(['totaljobs', 'cwjobs']);
+    expect(run.output.crossSiteDuplicates).toBe(4);
+    expect(run.output.queries.map((q) => [q.site, q.label])).toEqual([['totaljobs', 'totaljobs: admin'], ['cwjobs', 'cwjobs: admin']]);
+  }, TIMEOUT);
+
+  it('shards a search the site stops paginating and reports coverage against its total', async () => {
+    server = await startMockServer({ pages: 6, perPage: 5, pageCap: 2, locations: ['London', 'North West', 'Scotland'] });
+    run = await crawl({
+      results_wanted: 100,
+      collectDetails: false,
+      exhaustive: true,
+      shardBy: ['location'],
+      sitePageLimit: 2,
+    });
+
+    expect(run.code, run.logs).toBe(0);
+    expect(run.items).toHaveLength(30);
+    expect(new Set(run.items.map((item) => item.job_id)).size).toBe(30);
+    const [query] = run.output.queries;
+    expect(query.reportedTotal).toBe(30);
+    expect(query.coverage).toBe(1);
+    expect(query.notInShards).toBe(0);
+    expect(query.shards[0]).toMatchObject({ id: 'q1', total: 30, reachable: 10, splitBy: 'location', notInShards: 0 });
+    const london = query.shards.find((shard) => shard.filters.location === 'London');
+    expect(london).toMatchObject({ parentId: 'q1', total: 10, jobsListed: 10, pagesVisited: 2, coverage: 1 });
+    expect(query.shards.filter((shard) => shard.total === 0)).toHaveLength(9);
+    expect(run.output.sharding).toEqual({ dimensions: ['location'], sitePageLimit: 2, shards: 13, splitShards: 1 });
+    expect(server.listPagesServed().filter((path) => path.includes('page=3'))).toEqual([]);
+  }, TIMEOUT);
+
+  it('routes records that fail schema validation to the rejected-records dataset', async () => {
+    server = await startMockServer({ pages: 1, perPage: 3, untitled: [1001] });
+    run = await crawl({ results_wanted: 3, max_pages: 1, collectDetails: true });
+
+    expect(run.code, run.logs).toBe(0);
+    expect(run.items).toHaveLength(2);
+    const rejected = await run.readDataset('totaljobs-rejected-records');
+    expect(rejected).toHaveLength(1);
+    expect(rejected[0].errors).toEqual(['title: must be string, got null']);
+    expect(rejected[0].record.job_id).toBe('1001');
+    expect(run.output.rejectedRecords).toBe(1);
+  }, TIMEOUT);
+
+  it('crawls a mix of labelled search and job page start URLs and reports the invalid ones', async () => {
+    server = await startMockServer({ pages: 3, perPage: 5 });
+    const jobUrl = `${server.url}/job/mock-role-1003/mock-company-2-job1003`;
+    run = await crawl({
+      startUrls: [
+        { url: `${server.url}/jobs/admin`, label: 'Admin' },
+        { url: jobUrl, label: 'Picked' },
+        'not a url',
+        'https://www.example.com/jobs/admin',
+        { url: `${server.url}/jobs/admin?page=2`, label: 'Page two' },
+      ],
+      results_wanted: 5,
+      max_pages: 1,
+      collectDetails: true,
+    });
+
+    expect(run.code, run.logs).toBe(0);
+    expect(run.items).toHaveLength(10);
+    const picked = run.items.filter((item) => item.query_label === 'Picked');
+    expect(picked.map((item) => item.job_url)).toEqual([jobUrl]);
+    expect(run.items.filter((item) => item.query_label === 'Admin')).toHaveLength(4);
+    expect(run.items.filter((item) => item.query_label === 'Page two')).toHaveLength(5);
+    expect(server.listPagesServed()).toEqual(['/jobs/admin', '/jobs/admin?page=2']);
+    expect(run.output.invalidStartUrls).toEqual([
+      { url: 'not a url', reason: 'not_a_url' },
+      { url: 'https://www.example.com/jobs/admin', reason: 'off_site' },
+    ]);
+    expect(run.output.queries.map((q) => [q.label, q.type, q.jobsSaved, q.pagesVisited])).toEqual([
+      ['Admin', 'search', 4, 1],
+      ['Picked', 'job', 1, 0],
+      ['Page two', 'search', 5, 1],
+    ]);
+  }, TIMEOUT);
+
+  it('marks expired and removed postings with their status', async () => {
+    server = await startMockServer({ pages: 1, perPage: 10, closed: { 1002: 'expired', 1005: 410, 1007: 'search' } });
+    run = await crawl({ results_wanted: 10, max_pages: 1, collectDetails: true });
+
+    expect(run.code, run.logs).toBe(0);
+    expect(run.items).toHaveLength(10);
+    const byId = Object.fromEntries(run.items.map((item) => [item.job_id, item]));
+    expect(byId[1002]).toMatchObject({ status: 'expired', status_reason: 'expired_banner' });
+    expect(byId[1005]).toMatchObject({ status: 'removed', status_reason: 'http_410' });
+    expect(byId[1007]).toMatchObject({ status: 'removed', status_reason: 'redirected' });
+    expect(byId[1007].job_url).toBe(`${server.url}/job/mock-role-1007/mock-company-6-job1007`);
+    expect(run.items.filter((item) => item.status === 'open')).toHaveLength(7);
+  }, TIMEOUT);
+
+  it('rechecks saved jobs without searching and reports each as open, changed, closed or failed', async () => {
+    const jobUrl = (id) => `${server.url}/job/mock-role-${id}/mock-company-${id % 7}-job${id}`;
+    server = await startMockServer({
+      pages: 1,
+      perPage: 10,
+      closed: { 1004: 'expired', 1006: 410 },
+      faults: { '/job/mock-role-1008/mock-company-0-job1008': Array(6).fill('drop') },
+    });
+    run = await crawl({
+      recheckJobs: [
+        jobUrl(1000),
+        jobUrl(1001),
+        { job_url: jobUrl(1003), job_id: '1003', title: 'Old title' },
+        jobUrl(1004),
+        jobUrl(1006),
+        jobUrl(1008),
+        jobUrl(1000),
+      ],
+      // Keep the run quick once the dropped connections slow the crawl down
+      minRequestsPerMinute: 600,
+      maxRequestsPerMinute: 1000,
+    });
+
+    expect(run.code, run.logs).toBe(0);
+    expect(server.listPagesServed()).toEqual([]);
+    expect(run.items).toEqual([]);
+    const rows = await run.readDataset('totaljobs-recheck');
+    const byId = Object.fromEntries(rows.map((row) => [row.job_id, row]));
+    expect(rows).toHaveLength(6);
+    expect(byId[1000]).toMatchObject({ result: 'open', status: 'open', changed_fields: [] });
+    expect(byId[1001]).toMatchObject({ result: 'open', job_url: jobUrl(1001) });
+    expect(byId[1001].record.title).toBe('Mock Role 1001');
+    expect(byId[1003]).toMatchObject({ result: 'changed', changes: { title: { from: 'Old title', to: 'Mock Role 1003' } } });
+    expect(byId[1004]).toMatchObject({ result: 'closed', status: 'expired', status_reason: 'expired_banner' });
+    expect(byId[1006]).toMatchObject({ result: 'closed', status: 'removed', status_reason: 'http_410', record: null });
+    expect(byId[1008]).toMatchObject({ result: 'failed', record: null });
+    expect(run.output.recheck).toEqual({
+      jobs: 6, checked: 6, open: 2, changed: 1, closed: 2, failed: 1, dataset: 'totaljobs-recheck',
+    });
+  }, TIMEOUT);
+});
@@ -0,0 +1,61 @@
+import { describe, expect, it } from 'vitest';
+import { parsePostedDate, postingDates, resolvePostedSince, sitePostedWithin } from '../src/dates.js';
+
+const NOW = Date.parse('2025-11-20T12:00:00Z');
+
+describe('parsePostedDate', () => {
+  it.each([
+    ['2025-11-15', '2025-11-15T00:00:00.000Z'],
+    ['2025-11-18T09:00:00Z', '2025-11-18T09:00:00.000Z'],
+    ['15/11/2025', '2025-11-15T00:00:00.000Z'],
+    ['Posted 3rd November 2025', '2025-11-03T00:00:00.000Z'],
+    ['New', '2025-11-20T12:00:00.000Z'],
+    ['Recently', '2025-11-20T12:00:00.000Z'],
+    ['Yesterday', '2025-11-19T12:00:00.000Z'],
+    ['2 days ago', '2025-11-18T12:00:00.000Z'],
+    ['Posted 5 hours ago', '2025-11-20T07:00:00.000Z'],
+    ['a week ago', '2025-11-13T12:00:00.000Z'],
+    ['30+ days ago', '2025-10-21T12:00:00.000Z'],
+  ])('resolves %s', (raw, expected) => {
+    expect(parsePostedDate(raw, NOW)).toBe(expected);
+  });
+
+  it('returns null for missing or unrecognised values', () => {
+    expect(parsePostedDate(null, NOW)).toBeNull();
+    expect(parsePostedDate('Featured', NOW)).toBeNull();
+  });
+});
+
+describe('postingDates', () => {
+  it('keeps the raw value next to the ISO dates', () => {
+    expect(postingDates('2 days ago', { validThrough: '2025-12-15T23:59:59Z', now: NOW })).toEqual({
+      date_posted_raw: '2 days ago',
+      date_posted_iso: '2025-11-18T12:00:00.000Z',
+      expires_at: '2025-12-15T23:59:59.000Z',
+    });
+  });
+});
+
+describe('resolvePostedSince', () => {
+  it('accepts a number of days or an absolute date', () => {
+    expect(resolvePostedSince('14', NOW)).toEqual({ since: '2025-11-06T12:00:00.000Z', days: 14 });
+    expect(resolvePostedSince(2, NOW)).toEqual({ since: '2025-11-18T12:00:00.000Z', days: 2 });
+    expect(resolvePostedSince('2025-11-19', NOW)).toEqual({ since: '2025-11-19T00:00:00.000Z', days: 1.5 });
+  });
+
+  it('ignores empty and invalid values', () => {
+    expect(resolvePostedSince('', NOW)).toBeNull();
+    expect(resolvePostedSince('0', NOW)).toBeNull();
+    expect(resolvePostedSince('last month', NOW)).toBeNull();
+  });
+});
+
+describe('sitePostedWithin', () => {
+  it('picks the narrowest site window covering the request', () => {
+    expect(sitePostedWithin(1)).toBe(1);
+    expect(sitePostedWithin(1.5)).toBe(3);
+    expect(sitePostedWithin(5)).toBe(7);
+    expect(sitePostedWithin(14)).toBeNull();
+    expect(sitePostedWithin(undefined)).toBeNull();
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, expect, it } from 'vitest';
+import { descriptionFields, splitDescriptionSections } from '../src/description.js';
+import { compileSkills, extractSkills } from '../src/skills.js';
+
+describe('splitDescriptionSections', () => {
+  it('splits on headings, bold lines and inline bold labels', () => {
+    const html = `
+      <p>We are a growing logistics business in Bristol.</p>
+      <h3>Key Responsibilities</h3>
+      <ul><li>Plan daily routes</li><li>Manage the driver rota</li></ul>
+      <p><b>What we're looking for</b></p>
+      <ul><li>Two years in transport planning</li></ul>
+      <p><strong>Benefits:</strong> 25 days holiday and a pension.</p>
+      <p>How to apply:</p>
+      <p>Send your CV to the hiring team.</p>`;
+
+    expect(splitDescriptionSections(html)).toEqual({
+      about: 'We are a growing logistics business in Bristol.',
+      responsibilities: '- Plan daily routes\n- Manage the driver rota',
+      requirements: '- Two years in transport planning',
+      benefits: '25 days holiday and a pension.',
+      how_to_apply: 'Send your CV to the hiring team.',
+    });
+  });
+
+  it('handles plain text with line breaks', () => {
+    const html = 'Busy clinic seeking a receptionist.<br>Requirements:<br>Excellent phone manner<br>NHS experience';
+    const sections = splitDescriptionSections(html);
+    expect(sections.about).toBe('Busy clinic seeking a receptionist.');
+    expect(sections.requirements).toBe('Excellent phone manner\nNHS experience');
+  });
+
+  it('returns null when there is too little text', () => {
+    expect(splitDescriptionSections('<p>Great role!</p>')).toBeNull();
+    expect(splitDescriptionSections(null)).toBeNull();
+  });
+});
+
+describe('extractSkills', () => {
+  it('matches dictionary terms and aliases in order of first mention', () => {
+    const text = 'Senior C# developer: .NET 8, ASP.NET, Postgres and K8s. AWS Certified a plus. Fluent Welsh.';
+    expect(extractSkills(text)).toEqual(['C#', '.NET', 'PostgreSQL', 'Kubernetes', 'AWS', 'AWS Certified', 'Welsh']);
+  });
+
+  it('does not match everyday words or substrings', () => {
+    expect(extractSkills('You will excel at sage advice; JavaScript is not Java.')).toEqual(['JavaScript', 'Java']);
+    expect(extractSkills('Pack and react quickly to a fast-moving rust-belt market')).toEqual([]);
+  });
+
+  it('uses a custom dictionary', () => {
+    const skills = compileSkills(['Phlebotomy|venepuncture', 'IV therapy']);
+    expect(extractSkills('Venepuncture and IV therapy experience. Python welcome.', skills)).toEqual(['Phlebotomy', 'IV therapy']);
+  });
+});
+
+describe('descriptionFields', () => {
+  it('reads skills from the title and separate list items', () => {
+    const fields = descriptionFields({
+      title: 'Python Developer',
+      description_html: '<ul><li>Build dashboards in Power BI</li><li>Write SQL</li></ul>',
+      description_text: 'Build dashboards in Power BIWrite SQL',
+    });
+    expect(fields.skills).toEqual(['Python', 'Power BI', 'SQL']);
+  });
+
+  it('sanitises the HTML and adds Markdown', () => {
+    const fields = descriptionFields({
+      description_html: '<div style="x"><h3>Benefits</h3><p>25 days <b>holiday</b></p><script>t()</script></div>',
+    });
+    expect(fields.description_html).toBe('<h3>Benefits</h3><p>25 days <b>holiday</b></p>');
+    expect(fields.description_text).toBe('Benefits25 days holiday');
+    expect(fields.description_markdown).toBe('### Benefits\n\n25 days **holiday**');
+    expect(fields.description_truncated).toBe(false);
+  });
+
+  it('caps long descriptions at whole blocks but reads skills and sections from the full text', () => {
+    const html = '<p>We are hiring a data analyst for our Leeds office.</p><h3>Requirements</h3><ul><li>Advanced SQL</li><li>Tableau</li></ul>';
+    const fields = descriptionFields({ description_html: html }, { maxLength: 60 });
+    expect(fields.description_truncated).toBe(true);
+    expect(fields.description_html).toBe('<p>We are hiring a data analyst for our Leeds office.</p>');
+    expect(fields.description_text.length).toBeLessThanOrEqual(60);
+    expect(fields.description_text.endsWith('…')).toBe(true);
+    expect(fields.description_markdown).toBe('We are hiring a data analyst for our Leeds office.\n\n…');
+    expect(fields.description_sections.requirements).toBe('- Advanced SQL\n- Tableau');
+    expect(fields.skills).toEqual(['SQL', 'Tableau']);
+  });
+});
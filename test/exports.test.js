@@ -0,0 +1,99 @@
+import { describe, expect, it } from 'vitest';
+import { buildExports, csvColumns, parseExportFormats, toAtomFeed, toCsv, toHtmlDigest, toJsonLines, toRssFeed } from '../src/exports.js';
+
+const JOBS = [
+  {
+    title: 'Payroll Officer',
+    company: 'Acme & Sons',
+    location: 'Leeds',
+    salary: '£28,000 - £32,000',
+    date_posted_iso: '2025-11-18T09:00:00.000Z',
+    job_url: 'https://www.totaljobs.com/job/payroll-officer/acme-job1',
+    skills: ['Sage', 'Excel'],
+    description_sections: { about: 'Payroll, "fast"' },
+    zeta: 1,
+  },
+  {
+    title: 'Data Analyst <Remote>',
+    company: null,
+    location: 'Remote',
+    salary: null,
+    date_posted_iso: null,
+    job_url: 'https://www.totaljobs.com/job/data-analyst/beta-job2',
+    skills: [],
+  },
+];
+
+const META = { title: 'Totaljobs: payroll', link: 'https://www.totaljobs.com/jobs/payroll', generatedAt: '2025-11-20T12:00:00.000Z' };
+
+describe('parseExportFormats', () => {
+  it('normalises and de-duplicates formats', () => {
+    expect(parseExportFormats(['CSV', 'atom', 'csv'])).toEqual(['csv', 'atom']);
+    expect(parseExportFormats(undefined)).toEqual([]);
+  });
+
+  it('rejects unknown formats', () => {
+    expect(() => parseExportFormats(['xlsx'])).toThrow(/Invalid exportFormats entry "xlsx"/);
+  });
+});
+
+describe('toCsv', () => {
+  it('uses a stable column order and quotes where needed', () => {
+    const columns = csvColumns(JOBS);
+    expect(columns.slice(0, 3)).toEqual(['job_id', 'title', 'company']);
+    expect(columns.slice(-2)).toEqual(['description_sections', 'zeta']);
+    expect(csvColumns([...JOBS].reverse())).toEqual(columns);
+
+    const [header, first, second] = toCsv(JOBS, ['title', 'company', 'skills', 'description_sections']).split('\r\n');
+    expect(header).toBe('title,company,skills,description_sections');
+    expect(first).toBe('Payroll Officer,Acme & Sons,Sage; Excel,"{""about"":""Payroll, \\""fast\\""""}"');
+    expect(second).toBe('Data Analyst <Remote>,,,');
+  });
+});
+
+describe('toJsonLines', () => {
+  it('writes one object per line', () => {
+    const lines = toJsonLines(JOBS).trim().split('\n');
+    expect(lines.map((line) => JSON.parse(line).job_url)).toEqual(JOBS.map((job) => job.job_url));
+    expect(toJsonLines([])).toBe('');
+  });
+});
+
+describe('feeds', () => {
+  it('builds an Atom feed with one escaped entry per job', () => {
+    const atom = toAtomFeed(JOBS, { ...META, updated: META.generatedAt });
+    expect(atom.match(/<entry>/g)).toHaveLength(2);
+    expect(atom).toContain('<title>Data Analyst &lt;Remote&gt;</title>');
+    expect(atom).toContain('<author><name>Acme &amp; Sons</name></author>');
+    expect(atom).toContain('<summary>Acme &amp; Sons · Leeds · £28,000 - £32,000</summary>');
+    expect(atom).toContain('<updated>2025-11-18T09:00:00.000Z</updated>');
+    // Jobs without a posting date take the feed's update time
+    expect(atom).toContain('<updated>2025-11-20T12:00:00.000Z</updated>');
+  });
+
+  it('builds an RSS feed', () => {
+    const rss = toRssFeed(JOBS, { ...META, updated: META.generatedAt });
+    expect(rss.match(/<item>/g)).toHaveLength(2);
+    expect(rss).toContain('<pubDate>Tue, 18 Nov 2025 09:00:00 GMT</pubDate>');
+    expect(rss).toContain(`<guid isPermaLink="true">${JOBS[0].job_url}</guid>`);
+  });
+});
+
+describe('toHtmlDigest', () => {
+  it('groups jobs by company', () => {
+    const html = toHtmlDigest(JOBS, META);
+    expect(html).toContain('<p>2 jobs from 2 companies, generated 2025-11-20T12:00:00.000Z</p>');
+    expect(html.indexOf('<h2>Acme &amp; Sons <small>(1)</small></h2>')).toBeLessThan(html.indexOf('<h2>Unknown company'));
+    expect(html).toContain('<span>Leeds · £28,000 - £32,000 · 2025-11-18</span>');
+  });
+});
+
+describe('buildExports', () => {
+  it('renders each requested format to its record', () => {
+    const files = buildExports(JOBS, ['jsonl', 'html'], META);
+    expect(files.map(({ format, key, contentType }) => [format, key, contentType])).toEqual([
+      ['jsonl', 'JOBS_JSONL', 'application/x-ndjson; charset=utf-8'],
+      ['html', 'JOBS_DIGEST', 'text/html; charset=utf-8'],
+    ]);
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, expect, it } from 'vitest';
+import { describeFilterRules, failedFilterRule, hasFilterRules, parseFilterRules } from '../src/filter-rules.js';
+
+const job = (overrides = {}) => ({
+  title: 'Senior Data Engineer',
+  company: 'Acme Analytics Ltd',
+  location: 'Leeds, West Yorkshire',
+  employer_type: 'unknown',
+  company_page_url: 'https://www.totaljobs.com/company/acme-analytics',
+  ...overrides,
+});
+
+describe('parseFilterRules', () => {
+  it('returns empty rules by default', () => {
+    const rules = parseFilterRules({});
+    expect(hasFilterRules(rules)).toBe(false);
+    expect(describeFilterRules(rules)).toEqual({});
+  });
+
+  it('drops blank entries, accepts single strings and reports the rules as given', () => {
+    const rules = parseFilterRules({ titleInclude: ['engineer', ' ', null], companyBlockList: 'Hays' });
+    expect(hasFilterRules(rules)).toBe(true);
+    expect(describeFilterRules(rules)).toEqual({ titleInclude: ['engineer'], companyBlockList: ['Hays'] });
+  });
+
+  it('rejects invalid regular expressions', () => {
+    expect(() => parseFilterRules({ titleExclude: ['(senior'] })).toThrow('Invalid titleExclude entry "(senior"');
+  });
+});
+
+describe('failedFilterRule', () => {
+  it('matches title rules as case-insensitive regular expressions', () => {
+    expect(failedFilterRule(job(), parseFilterRules({ titleInclude: ['data (engineer|scientist)'] }))).toBeNull();
+    expect(failedFilterRule(job(), parseFilterRules({ titleInclude: ['^analyst'] }))).toBe('titleInclude');
+    expect(failedFilterRule(job(), parseFilterRules({ titleExclude: ['\\bsenior\\b'] }))).toBe('titleExclude');
+  });
+
+  it('matches company names as whole words', () => {
+    expect(failedFilterRule(job(), parseFilterRules({ companyAllowList: ['acme analytics'] }))).toBeNull();
+    expect(failedFilterRule(job(), parseFilterRules({ companyAllowList: ['Acme Analytic'] }))).toBe('companyAllowList');
+    expect(failedFilterRule(job(), parseFilterRules({ companyBlockList: ['ACME'] }))).toBe('companyBlockList');
+    expect(failedFilterRule(job({ company: 'Acmetric' }), parseFilterRules({ companyBlockList: ['Acme'] }))).toBeNull();
+  });
+
+  it('allows a location through its town, region or address', () => {
+    const rules = parseFilterRules({ locationAllowList: ['West Yorkshire', 'Manchester'] });
+    expect(failedFilterRule(job(), rules)).toBeNull();
+    expect(failedFilterRule(job({ location: 'London' }), rules)).toBe('locationAllowList');
+    expect(failedFilterRule(job({ location: 'Salford', address_region: 'Greater Manchester' }), rules)).toBeNull();
+  });
+
+  it('excludes recruiters by name or company page slug, but not direct employers', () => {
+    const rules = parseFilterRules({ excludeRecruiters: ['acme-analytics', 'Hays'] });
+    expect(failedFilterRule(job(), rules)).toBe('excludeRecruiters');
+    expect(failedFilterRule(job({ company: 'Hays Technology', company_page_url: null }), rules)).toBe('excludeRecruiters');
+    expect(failedFilterRule(job({ employer_type: 'direct' }), rules)).toBeNull();
+  });
+
+  it('keeps seeds that lack the value a rule needs', () => {
+    const rules = parseFilterRules({ titleInclude: ['engineer'], companyAllowList: ['Acme'], locationAllowList: ['Leeds'] });
+    expect(failedFilterRule({ title: null, company: null, location: null }, rules)).toBeNull();
+  });
+
+  it('reports the first failing rule', () => {
+    const rules = parseFilterRules({ titleExclude: ['senior'], companyBlockList: ['Acme'] });
+    expect(failedFilterRule(job(), rules)).toBe('titleExclude');
+  });
+});
@@ -0,0 +1,198 @@
+// Local stand-in for totaljobs.com: search pages with preloaded state (or plain markup), JSON-LD job pages
+// (every third job is remote), company profile pages and scripted faults (403/429 responses, dropped
+// connections, slow responses) per path. Searches can be capped at a page depth and narrowed by Location.
+// Jobs can be closed (expired banner, 404/410, redirect to search).
+import http from 'http';
+
+const jobId = (page, index, perPage) => 1000 + (page - 1) * perPage + index;
+
+function jobPath(id) {
+  return `/job/mock-role-${id}/mock-company-${id % 7}-job${id}`;
+}
+
+// Each result page is five days older than the one before: page 1 is 2025-11-18, page 2 2025-11-13, ...
+function postedOn(page) {
+  return new Date(Date.UTC(2025, 10, 18, 9) - (page - 1) * 5 * 24 * 60 * 60 * 1000).toISOString();
+}
+
+function listPage({ page, pages, perPage, mode, pathname, relisted, locations, location, pageCap, untitled }) {
+  const items = [];
+  // With `locations`, jobs are spread over them round-robin and a Location filter narrows the search
+  const ids = Array.from({ length: pages * perPage }, (_, i) => 1000 + i)
+    .filter((id) => !location || !locations.length || locations[id % locations.length] === location);
+  const total = ids.length;
+  if (locations.length) pages = Math.ceil(total / perPage);
+  // Jobs from the previous page listed again under another slug with a tracking parameter
+  if (page > 1 && page <= pages && !locations.length) {
+    for (let i = 0; i < relisted; i++) {
+      const id = jobId(page - 1, i, perPage);
+      items.push({
+        id,
+        title: `Mock Role ${id}`,
+        url: `/job/promoted-role-${id}/mock-company-${id % 7}-job${id}?src=promoted`,
+        companyName: `Mock Company ${id % 7}`,
+        location: 'London',
+        datePosted: postedOn(page - 1),
+      });
+    }
+  }
+  // Pages deeper than `pageCap` come back empty, like the real site past its result cap
+  if (page <= pages && page <= pageCap) {
+    for (const id of ids.slice((page - 1) * perPage, page * perPage)) {
+      items.push({
+        id,
+        title: untitled.includes(id) ? '' : `Mock Role ${id}`,
+        url: jobPath(id),
+        companyName: `Mock Company ${id % 7}`,
+        companyUrl: `/company/mock-company-${id % 7}`,
+        location: locations.length ? locations[id % locations.length] : (id % 3 === 0 ? 'Remote' : 'London'),
+        salary: `£${20 + (id % 10)},000 per annum`,
+        datePosted: postedOn(page),
+        textSnippet: `<p>Snippet for role ${id}</p>`,
+      });
+    }
+  }
+
+  const cards = items.map((item) => `
+    <article>
+      <h2><a href="${item.url}">${item.title}</a></h2>
+      <span class="company">${item.companyName}</span>
+      <span class="salary">${item.salary}</span>
+    </article>`).join('');
+  const next = page < pages ? `<a href="${pathname}?page=${page + 1}">Next</a>` : '';
+  const state = mode === 'state'
+    ? `<script>window.__PRELOADED_STATE__["app-unifiedResultlist"] = ${JSON.stringify({
+      searchResults: {
+        totalCount: total,
+        items,
+        pagination: { page, pageCount: pages, perPage, links: { next: page < pages ? `${pathname}?page=${page + 1}` : null } },
+      },
+    })};</script>`
+    : '';
+
+  return `<!DOCTYPE html><html><head><title>Mock results page ${page}</title></head>
+    <body><main>${cards}</main><nav>${next}</nav>${state}</body></html>`;
+}
+
+function detailPage(id, untitled, expired) {
+  const title = untitled ? '' : `Mock Role ${id}`;
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'JobPosting',
+    title,
+    datePosted: '2025-11-18',
+    employmentType: 'FULL_TIME',
+    description: `<p>Full description for role ${id}. Responsibilities and requirements follow.</p>`,
+    hiringOrganization: { '@type': 'Organization', name: `Mock Company ${id % 7}` },
+    jobLocation: { '@type': 'Place', address: { addressLocality: 'London' } },
+    ...(id % 3 === 0 ? { jobLocationType: 'TELECOMMUTE' } : {}),
+    baseSalary: { currency: 'GBP', value: { minValue: 30000, maxValue: 35000, unitText: 'YEAR' } },
+  };
+  return `<!DOCTYPE html><html><head><title>${title}</title>
+    <script type="application/ld+json">${JSON.stringify(jsonLd)}</script></head>
+    <body>${title ? `<h1>${title}</h1>` : ''}
+    ${expired ? '<div data-at="expired-job-banner">This job has expired</div>' : ''}
+    <a data-at="metadata-company-name" href="/company/mock-company-${id % 7}">Mock Company ${id % 7}</a></body></html>`;
+}
+
+function companyPage(slug) {
+  const n = Number(slug.split('-').pop());
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': n === 0 ? 'EmploymentAgency' : 'Organization',
+    name: `Mock Company ${n}`,
+    sameAs: `https://mock-company-${n}.example`,
+    description: `Mock Company ${n} builds mock products.`,
+    numberOfEmployees: { '@type': 'QuantitativeValue', minValue: 50, maxValue: 249 },
+  };
+  return `<!DOCTYPE html><html><head><title>Mock Company ${n} jobs</title>
+    <script type="application/ld+json">${JSON.stringify(jsonLd)}</script></head>
+    <body><h1>Mock Company ${n}</h1><span data-at="company-job-count">${10 + n} jobs</span></body></html>`;
+}
+
+/**
+ * Starts the mock site on a random local port.
+ * @param {object} [options]
+ * @param {number} [options.pages=3] Number of result pages the search reports
+ * @param {number} [options.perPage=10] Jobs per result page
+ * @param {'state'|'dom'} [options.mode='state'] Serve the preloaded state or only job links and a "Next" link
+ * @param {number} [options.relisted=0] Jobs of the previous page repeated on each page under another URL
+ * @param {string[]} [options.locations=[]] Locations the jobs are spread over; searches filter on `Location`
+ * @param {number} [options.pageCap=Infinity] Deepest page that still lists jobs
+ * @param {number[]} [options.untitled=[]] Job IDs listed and served without a title
+ * @param {Record<number, 'expired'|404|410|'search'>} [options.closed={}] Job pages served with an expired
+ *   banner, as a 404 / 410, or redirected to the search page
+ * @param {Record<string, Array<number|'drop'|{ delay: number }>>} [options.faults] Actions consumed one per hit,
+ *   keyed by path plus query string (e.g. "/jobs/admin?page=2"); a path serves normally once its list is used up
+ */
+export async function startMockServer({
+  pages = 3,
+  perPage = 10,
+  mode = 'state',
+  relisted = 0,
+  locations = [],
+  pageCap = Infinity,
+  untitled = [],
+  closed = {},
+  faults = {},
+} = {}) {
+  const hits = [];
+  const pending = Object.fromEntries(Object.entries(faults).map(([key, actions]) => [key, [...actions]]));
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const key = `${url.pathname}${url.search}`;
+    const action = pending[key]?.shift();
+
+    if (action === 'drop') {
+      hits.push({ path: key, status: 'drop' });
+      req.socket.destroy();
+      return;
+    }
+    if (action?.delay) await new Promise((resolve) => setTimeout(resolve, action.delay));
+    if (typeof action === 'number') {
+      hits.push({ path: key, status: action });
+      res.writeHead(action, { 'content-type': 'text/html' });
+      res.end('<html><body>Blocked</body></html>');
+      return;
+    }
+
+    const send = (status, body) => {
+      hits.push({ path: key, status });
+      res.writeHead(status, { 'content-type': 'text/html; charset=utf-8', 'set-cookie': 'mock_session=1; Path=/' });
+      res.end(body);
+    };
+
+    const detail = url.pathname.match(/^\/job\/[^/]+\/[^/]+-job(\d+)$/);
+    const company = url.pathname.match(/^\/company\/(mock-company-\d+)$/);
+    const redirect = (status, location) => {
+      hits.push({ path: key, status });
+      res.writeHead(status, { location });
+      res.end();
+    };
+    const closedAs = detail ? closed[Number(detail[1])] : undefined;
+    if (url.pathname === '/') send(200, '<html><body>Home</body></html>');
+    else if (closedAs === 404 || closedAs === 410) send(closedAs, '<html><body><h1>Page not found</h1></body></html>');
+    else if (closedAs === 'search') redirect(302, '/jobs/admin');
+    else if (detail) send(200, detailPage(Number(detail[1]), untitled.includes(Number(detail[1])), closedAs === 'expired'));
+    else if (company) send(200, companyPage(company[1]));
+    else if (url.pathname.startsWith('/jobs')) {
+      const page = Number(url.searchParams.get('page') || 1);
+      const location = url.searchParams.get('Location');
+      send(200, listPage({ page, pages, perPage, mode, pathname: url.pathname, relisted, locations, location, pageCap, untitled }));
+    } else send(404, '<html><body>Not found</body></html>');
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    hits,
+    listPagesServed: () => hits.filter((h) => h.path.startsWith('/jobs') && h.status === 200).map((h) => h.path),
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections?.();
+      server.close(resolve);
+    }),
+  };
+}
@@ -0,0 +1,89 @@
+// Runs src/main.js as a child process against an isolated local storage directory
+import { spawn } from 'child_process';
+import { mkdtemp, mkdir, readdir, readFile, rm, writeFile } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await readFile(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+async function readDataset(dir) {
+  let files = [];
+  try {
+    files = (await readdir(dir)).filter((f) => f.endsWith('.json')).sort();
+  } catch {
+    return [];
+  }
+  return Promise.all(files.map((f) => readJson(path.join(dir, f))));
+}
+
+// Non-JSON key-value store records are saved with an extension matching their content type
+async function readText(dir, key) {
+  try {
+    const file = (await readdir(dir)).find((f) => f === key || f.startsWith(`${key}.`));
+    return file ? await readFile(path.join(dir, file), 'utf8') : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {object} input Actor input
+ * @param {{ timeoutMs?: number, baseUrl?: string, siteBaseUrls?: Record<string, string>, delayMultiplier?: number }} [options]
+ *   `baseUrl` points the first selected board at a mock server and `siteBaseUrls` any board by id;
+ *   `delayMultiplier` scales the actor's pacing delays (0 turns them off)
+ * @returns {Promise<{ code: number, items: object[], output: object|null, logs: string,
+ *   storageDir: string, readDataset: (name: string) => Promise<object[]>, readRecord: (store: string, key: string) => Promise<any>,
+ *   readText: (store: string, key: string) => Promise<string|null> }>}
+ */
+export async function runActor(input, { timeoutMs = 90_000, baseUrl, siteBaseUrls, delayMultiplier } = {}) {
+  const storageDir = await mkdtemp(path.join(os.tmpdir(), 'totaljobs-e2e-'));
+  const inputDir = path.join(storageDir, 'key_value_stores', 'default');
+  await mkdir(inputDir, { recursive: true });
+  await writeFile(path.join(inputDir, 'INPUT.json'), JSON.stringify(input));
+
+  const child = spawn(process.execPath, [path.join(ROOT, 'src', 'main.js')], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      APIFY_LOCAL_STORAGE_DIR: storageDir,
+      CRAWLEE_STORAGE_DIR: storageDir,
+      APIFY_LOG_LEVEL: 'INFO',
+      ...(baseUrl ? { TOTALJOBS_TEST_BASE_URL: baseUrl } : {}),
+      ...(siteBaseUrls ? { TOTALJOBS_TEST_SITE_BASE_URLS: JSON.stringify(siteBaseUrls) } : {}),
+      ...(delayMultiplier !== undefined ? { TOTALJOBS_TEST_DELAY_MULTIPLIER: String(delayMultiplier) } : {}),
+    },
+  });
+
+  let logs = '';
+  child.stdout.on('data', (chunk) => { logs += chunk; });
+  child.stderr.on('data', (chunk) => { logs += chunk; });
+
+  const code = await new Promise((resolve) => {
+    const timer = setTimeout(() => child.kill('SIGKILL'), timeoutMs);
+    child.on('exit', (exitCode) => {
+      clearTimeout(timer);
+      resolve(exitCode);
+    });
+  });
+
+  return {
+    code,
+    logs,
+    storageDir,
+    items: await readDataset(path.join(storageDir, 'datasets', 'default')),
+    output: await readJson(path.join(inputDir, 'OUTPUT.json')),
+    readDataset: (name) => readDataset(path.join(storageDir, 'datasets', name)),
+    readRecord: (store, key) => readJson(path.join(storageDir, 'key_value_stores', store, `${key}.json`)),
+    readText: (store, key) => readText(path.join(storageDir, 'key_value_stores', store), key),
+    cleanup: () => rm(storageDir, { recursive: true, force: true }),
+  };
+}
@@ -0,0 +1,40 @@
+// Local webhook receiver: records every POST and answers with scripted statuses
+import http from 'http';
+
+/**
+ * @param {{ statuses?: Array<number|'drop'> }} [options] Responses consumed one per request; 200 afterwards
+ */
+export async function startWebhookReceiver({ statuses = [] } = {}) {
+  const requests = [];
+  const pending = [...statuses];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const action = pending.shift() ?? 200;
+      requests.push({ method: req.method, path: req.url, headers: req.headers, body, status: action });
+      if (action === 'drop') {
+        req.socket.destroy();
+        return;
+      }
+      res.writeHead(action, { 'content-type': 'application/json' });
+      res.end('{}');
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}/hook`,
+    requests,
+    // Bodies of the requests that were answered with a 2xx
+    delivered: () => requests.filter((r) => typeof r.status === 'number' && r.status < 300).map((r) => JSON.parse(r.body)),
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections?.();
+      server.close(resolve);
+    }),
+  };
+}
@@ -0,0 +1,175 @@
+import { readFileSync } from 'fs';
+import { describe, expect, it } from 'vitest';
+import { parseCompanyPage, parseDetailPage, parseListPage } from '../src/parsers.js';
+
+// Reference time for relative posting dates in the fixtures
+const NOW = Date.parse('2025-11-20T12:00:00Z');
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+describe('parseListPage', () => {
+  it('reads jobs and pagination from the preloaded state', () => {
+    const page = parseListPage(fixture('list-state.html'), {
+      url: 'https://www.totaljobs.com/jobs/admin/in-london',
+    });
+
+    expect(page.source).toBe('state');
+    expect(page.jobs).toHaveLength(3);
+    expect(page.currentPage).toBe(1);
+    expect(page.isLastPage).toBe(false);
+    expect(page.nextPageUrl).toBe('https://www.totaljobs.com/jobs/admin/in-london?page=2');
+    expect(page.nextPageNum).toBe(2);
+    expect(page.jobs[0].seed).toMatchObject({
+      apply_url: 'https://www.totaljobs.com/job/office-administrator/acme-recruitment-job101/apply',
+      apply_type: 'easy_apply',
+      job_identifier: 'AR-101',
+      recruiter_name: 'Tom Reid',
+    });
+    expect(page).toMatchSnapshot();
+  });
+
+  it('falls back to job links in the markup when there is no state', () => {
+    const page = parseListPage(fixture('list-dom.html'), {
+      url: 'https://www.totaljobs.com/jobs/warehouse',
+    });
+
+    expect(page.source).toBe('dom');
+    expect(page.jobs.map((job) => job.jobId)).toEqual(['201', '202']);
+    expect(page.nextPageSource).toBe('page-link');
+    expect(page.nextPageUrl).toBe('https://www.totaljobs.com/jobs/warehouse?page=2');
+    expect(page).toMatchSnapshot();
+  });
+
+  it('uses the page number from the request over the state', () => {
+    const page = parseListPage(fixture('list-state.html'), {
+      url: 'https://www.totaljobs.com/jobs/admin/in-london?page=3',
+      pageNum: 3,
+    });
+
+    expect(page.isLastPage).toBe(true);
+    expect(page.nextPageNum).toBe(2);
+  });
+
+  it('constructs the next page URL when the page has no pagination links', () => {
+    const page = parseListPage('<html><body><p>No results</p></body></html>', {
+      url: 'https://www.totaljobs.com/jobs/zookeeper?page=4',
+    });
+
+    expect(page.source).toBeNull();
+    expect(page.jobs).toEqual([]);
+    expect(page.currentPage).toBe(4);
+    expect(page.nextPageSource).toBe('constructed');
+    expect(page.nextPageUrl).toBe('https://www.totaljobs.com/jobs/zookeeper?page=5');
+  });
+});
+
+describe('parseDetailPage', () => {
+  it('prefers JSON-LD JobPosting data', () => {
+    const url = 'https://www.totaljobs.com/job/senior-data-analyst/westcountry-energy-job301';
+    const record = parseDetailPage(fixture('detail-jsonld.html'), { url, now: NOW });
+
+    expect(record.title).toBe('Senior Data Analyst');
+    expect(record.salary_min).toBe(45000);
+    expect(record.salary_max).toBe(55000);
+    expect(record).toMatchSnapshot();
+  });
+
+  it('maps the full JobPosting from an @graph document', () => {
+    const url = 'https://www.totaljobs.com/job/platform-engineer/northgate-cloud-job304';
+    const record = parseDetailPage(fixture('detail-jsonld-graph.html'), { url, now: NOW });
+
+    expect(record.location).toBe('Leeds');
+    expect(record.job_type).toBe('FULL_TIME, CONTRACTOR');
+    expect(record.job_identifier).toBe('NC-2291');
+    expect(record.job_locations).toHaveLength(2);
+    expect(record.address_country).toBe('GB');
+    expect(record.applicant_location_requirements).toEqual(['United Kingdom', 'Ireland']);
+    expect(record.experience_requirements).toBe('36 months');
+    expect(record.direct_apply).toBe(true);
+    // JSON-LD wins over the apply panel
+    expect(record).toMatchObject({
+      apply_type: 'easy_apply',
+      job_identifier: 'NC-2291',
+      recruiter_name: 'Sam Okafor',
+      contact_phone: '0113 496 0118',
+      contact_email: 'talent@northgate.example',
+    });
+    expect(record.company_logo).toBe('https://www.totaljobs.com/CompanyLogos/northgate.png');
+    expect(record).toMatchSnapshot();
+  });
+
+  it('falls back to page markup without JSON-LD', () => {
+    const url = 'https://www.totaljobs.com/job/payroll-officer/hargreaves-co-job302';
+    const record = parseDetailPage(fixture('detail-no-jsonld.html'), { url, now: NOW });
+
+    expect(record.company).toBe('Hargreaves & Co');
+    expect(record.job_category).toBe('Accountancy');
+    expect(record.salary_has_benefits).toBe(true);
+    expect(record).toMatchObject({
+      apply_url: 'https://careers.hargreaves.example/apply/302',
+      apply_type: 'external',
+      job_identifier: 'HC-PAY-07',
+      recruiter_name: 'Priya Shah',
+      contact_phone: '0161 496 0732',
+      contact_email: 'priya.shah@hargreaves.example',
+      employer_type: 'agency',
+    });
+    expect(record).toMatchSnapshot();
+  });
+
+  it('keeps list-page seed values ahead of markup guesses', () => {
+    const url = 'https://www.totaljobs.com/job/payroll-officer/hargreaves-co-job302';
+    const record = parseDetailPage(fixture('detail-no-jsonld.html'), {
+      url,
+      now: NOW,
+      seed: { company: 'Hargreaves and Company', salary: '£32,000 per annum' },
+    });
+
+    expect(record.company).toBe('Hargreaves and Company');
+    expect(record.salary_min).toBe(32000);
+  });
+
+  it('parses an expired job page', () => {
+    const url = 'https://www.totaljobs.com/job/marketing-executive/brand-house-job303';
+    const record = parseDetailPage(fixture('detail-expired.html'), { url, now: NOW });
+
+    expect(record).toMatchSnapshot();
+  });
+});
+
+describe('parseCompanyPage', () => {
+  it('reads a recruiter profile from page markup', () => {
+    const url = 'https://www.totaljobs.com/company/harbour-staffing';
+    const profile = parseCompanyPage(fixture('company.html'), { url });
+
+    expect(profile).toEqual({
+      name: 'Harbour Staffing',
+      profile_url: url,
+      website: 'https://www.harbour-staffing.example',
+      logo: 'https://www.totaljobs.com/CompanyLogos/harbour-staffing.png',
+      description: 'Harbour Staffing places warehouse and logistics staff with clients across the South West.',
+      industry: 'Recruitment agency',
+      size_band: '11-50 employees',
+      open_jobs: 1204,
+      is_agency: true,
+    });
+  });
+
+  it('prefers JSON-LD Organization data', () => {
+    const html = `<html><head><script type="application/ld+json">${JSON.stringify({
+      '@context': 'https://schema.org',
+      '@type': 'Organization',
+      name: 'Westcountry Energy',
+      url: 'https://www.westcountry.example',
+      logo: { '@type': 'ImageObject', url: 'https://www.totaljobs.com/CompanyLogos/westcountry.png' },
+      numberOfEmployees: { '@type': 'QuantitativeValue', minValue: 1000 },
+    })}</script></head><body><h1>Westcountry</h1></body></html>`;
+    const profile = parseCompanyPage(html, { url: 'https://www.totaljobs.com/company/westcountry-energy' });
+
+    expect(profile.name).toBe('Westcountry Energy');
+    expect(profile.website).toBe('https://www.westcountry.example');
+    expect(profile.logo).toBe('https://www.totaljobs.com/CompanyLogos/westcountry.png');
+    expect(profile.size_band).toBe('1000+');
+    expect(profile.is_agency).toBe(false);
+  });
+});
@@ -0,0 +1,35 @@
+import { describe, expect, it } from 'vitest';
+import { detectPostingStatus } from '../src/posting-status.js';
+import { SITES } from '../src/sites.js';
+
+const NOW = Date.parse('2025-11-20T12:00:00Z');
+const JOB_URL = 'https://www.totaljobs.com/job/data-engineer/acme-job12345678';
+const page = (body) => `<html><body>${body}<div class="description">Applications close when we have enough.</div></body></html>`;
+const check = (html, options = {}) => detectPostingStatus(html, { loadedUrl: JOB_URL, jobPath: SITES.totaljobs.jobPath, now: NOW, ...options });
+
+describe('detectPostingStatus', () => {
+  it('reports a live posting as open', () => {
+    expect(check(page('<h1>Data Engineer</h1>'), { validThrough: '2025-12-31' })).toEqual({ status: 'open', status_reason: null });
+  });
+
+  it('reports gone responses and redirects away from the job as removed', () => {
+    expect(check(page('<h1>Page not found</h1>'), { statusCode: 404 })).toEqual({ status: 'removed', status_reason: 'http_404' });
+    expect(check(page(''), { statusCode: 410 })).toEqual({ status: 'removed', status_reason: 'http_410' });
+    expect(check(page('<h1>Admin jobs</h1>'), { loadedUrl: 'https://www.totaljobs.com/jobs/admin' }))
+      .toEqual({ status: 'removed', status_reason: 'redirected' });
+  });
+
+  it('spots expired banners but not the same words in the description', () => {
+    expect(check(page('<h1>Data Engineer</h1><div data-at="expired-job-banner">This job has expired</div>')))
+      .toEqual({ status: 'expired', status_reason: 'expired_banner' });
+    expect(check(page('<div role="alert">This job is no longer available</div>')).status).toBe('expired');
+    expect(check('<html><body><h1>Data Engineer</h1><p>Your role has been filled? Apply now.</p></body></html>').status).toBe('open');
+  });
+
+  it('treats a validThrough date in the past as expired, counting a bare date to its end', () => {
+    expect(check(page('<h1>Data Engineer</h1>'), { validThrough: '2025-11-19T23:59:00Z' }))
+      .toEqual({ status: 'expired', status_reason: 'valid_through_past' });
+    expect(check(page('<h1>Data Engineer</h1>'), { validThrough: '2025-11-20' }).status).toBe('open');
+    expect(check(page('<h1>Data Engineer</h1>'), { validThrough: 'soon' }).status).toBe('open');
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest';
+import { createQualityTracker, DEFAULT_QUALITY_THRESHOLDS, parseQualityThresholds } from '../src/quality.js';
+
+describe('parseQualityThresholds', () => {
+  it('merges overrides over the defaults and drops checks set to null', () => {
+    expect(parseQualityThresholds(undefined)).toEqual(DEFAULT_QUALITY_THRESHOLDS);
+    expect(parseQualityThresholds({ salary: 0.5, location: null }))
+      .toEqual({ statePath: 0.8, title: 0.95, company: 0.9, salary: 0.5 });
+  });
+
+  it('rejects rates outside 0-1', () => {
+    expect(() => parseQualityThresholds({ company: 90 })).toThrow(/Invalid qualityThresholds.company 90/);
+    expect(() => parseQualityThresholds(['company'])).toThrow(/expected an object/);
+  });
+});
+
+describe('createQualityTracker', () => {
+  const record = (fields) => ({ title: 'Chef', company: 'Acme', location: 'York', work_mode: 'unknown', skills: [], ...fields });
+
+  it('counts extraction paths, fill rates and zero-job pages', () => {
+    const tracker = createQualityTracker();
+    tracker.addListPage({ url: 'https://x/jobs/a', source: 'state', jobs: 2 });
+    tracker.addListPage({ url: 'https://x/jobs/a?page=2', source: null, jobs: 0 });
+    tracker.addRecord(record({ extraction_path: 'json-ld' }));
+    tracker.addRecord(record({ extraction_path: 'seed', company: null }));
+
+    const report = tracker.report(DEFAULT_QUALITY_THRESHOLDS);
+    expect(report.extractionPaths).toEqual({ state: 0, 'json-ld': 1, dom: 0, seed: 1 });
+    expect(report.listPages).toEqual({ total: 2, state: 1, dom: 0, empty: 1, statePathRate: 1 });
+    expect(report.zeroJobPages).toEqual(['https://x/jobs/a?page=2']);
+    expect(report.fillRates).toMatchObject({ title: 1, company: 0.5, work_mode: 0, skills: 0 });
+    expect(report.status).toBe('warning');
+    expect(report.warnings).toEqual([
+      { check: 'company', value: 0.5, threshold: 0.9, message: 'company is filled in 50% of records (minimum 90%)' },
+    ]);
+  });
+
+  it('warns when result pages come from the markup or yield nothing', () => {
+    const dom = createQualityTracker();
+    dom.addListPage({ url: 'a', source: 'dom', jobs: 5 });
+    expect(dom.report({ statePath: 0.8 }).warnings.map((w) => w.check)).toEqual(['statePath']);
+
+    const empty = createQualityTracker();
+    empty.addListPage({ url: 'a', source: null, jobs: 0 });
+    expect(empty.report({ statePath: 0.8 }).warnings.map((w) => w.check)).toEqual(['listPages']);
+  });
+
+  it('resumes from a snapshot', () => {
+    const tracker = createQualityTracker();
+    tracker.addRecord(record({ extraction_path: 'state' }));
+    const resumed = createQualityTracker(tracker.snapshot());
+    resumed.addRecord(record({ extraction_path: 'state' }));
+    expect(resumed.report({}).records).toBe(2);
+    expect(resumed.report({}).status).toBe('ok');
+  });
+});
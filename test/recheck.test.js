@@ -0,0 +1,89 @@
+import { describe, expect, it } from 'vitest';
+import { compareRecords, failedRecheckRow, parseRecheckJobs, recheckRow } from '../src/recheck.js';
+import { resolveSites } from '../src/sites.js';
+
+const SITES = resolveSites(['totaljobs', 'cwjobs']);
+const JOB_URL = 'https://www.totaljobs.com/job/data-engineer/acme-job12345678';
+const CHECKED_AT = '2025-11-20T12:00:00.000Z';
+
+const record = (overrides = {}) => ({
+  title: 'Data Engineer',
+  company: 'Acme',
+  location: 'Leeds',
+  salary: '£50,000',
+  description_text: 'Build pipelines.\n\nWork with data.',
+  job_id: '12345678',
+  job_url: JOB_URL,
+  status: 'open',
+  status_reason: null,
+  ...overrides,
+});
+
+describe('parseRecheckJobs', () => {
+  it('accepts URLs and saved records, and checks each job once', () => {
+    const cwjobsUrl = 'https://www.cwjobs.co.uk/job/analyst/initech-job555';
+    const jobs = parseRecheckJobs([
+      JOB_URL,
+      `${JOB_URL}?src=alert`,
+      { job_url: cwjobsUrl, job_id: '555', title: 'Old' },
+    ], SITES);
+
+    expect(jobs.map((j) => [j.key, j.url, j.site.id])).toEqual([
+      ['totaljobs:job-12345678', JOB_URL, 'totaljobs'],
+      ['cwjobs:job-555', cwjobsUrl, 'cwjobs'],
+    ]);
+    expect(jobs[1].previous).toMatchObject({ title: 'Old' });
+  });
+
+  it('rejects entries it cannot open', () => {
+    expect(() => parseRecheckJobs(['data engineer'], SITES)).toThrow('Invalid recheckJobs entry "data engineer"');
+    expect(() => parseRecheckJobs(['https://example.com/job/1'], SITES)).toThrow('a job URL on www.totaljobs.com, www.cwjobs.co.uk');
+    expect(() => parseRecheckJobs([{ title: 'No link' }], SITES)).toThrow('Invalid recheckJobs entry');
+    // IDs have no URL form confirmed to open the posting
+    expect(() => parseRecheckJobs(['job87654321'], SITES)).toThrow('job IDs alone are not supported');
+    expect(() => parseRecheckJobs([{ job_id: '555', source_site: 'cwjobs' }], SITES)).toThrow('job IDs alone are not supported');
+  });
+
+  it('returns nothing for an empty input', () => {
+    expect(parseRecheckJobs([], SITES)).toEqual([]);
+    expect(parseRecheckJobs(undefined, SITES)).toEqual([]);
+  });
+});
+
+describe('compareRecords', () => {
+  it('compares only fields both records have, ignoring description whitespace', () => {
+    expect(compareRecords({ title: 'Data Engineer', description_text: 'Build pipelines. Work with data.' }, record())).toEqual({});
+    expect(compareRecords({ salary: '£45,000', job_type: 'Permanent' }, record())).toEqual({ salary: { from: '£45,000', to: '£50,000' } });
+  });
+});
+
+describe('recheckRow', () => {
+  const [job] = parseRecheckJobs([{ job_url: JOB_URL, title: 'Junior Data Engineer' }], SITES);
+
+  it('reports open, changed and closed jobs', () => {
+    expect(recheckRow({ ...job, previous: null }, record(), CHECKED_AT)).toMatchObject({ result: 'open', changed_fields: [] });
+    expect(recheckRow(job, record(), CHECKED_AT)).toMatchObject({
+      job_id: '12345678',
+      result: 'changed',
+      changed_fields: ['title'],
+      changes: { title: { from: 'Junior Data Engineer', to: 'Data Engineer' } },
+      checked_at: CHECKED_AT,
+    });
+    expect(recheckRow(job, record({ status: 'expired', status_reason: 'expired_banner' }), CHECKED_AT))
+      .toMatchObject({ result: 'closed', status: 'expired', changed_fields: [], record: { title: 'Data Engineer' } });
+  });
+
+  it('drops the page of a removed posting', () => {
+    const row = recheckRow(job, record({ status: 'removed', status_reason: 'http_410', title: 'Page not found' }), CHECKED_AT);
+    expect(row).toMatchObject({ result: 'closed', status_reason: 'http_410', job_url: JOB_URL, record: null });
+  });
+
+  it('reports jobs that could not be loaded', () => {
+    expect(failedRecheckRow(job, 'Request blocked - received 403 status code.', CHECKED_AT)).toMatchObject({
+      job_id: '12345678',
+      job_url: JOB_URL,
+      result: 'failed',
+      error: 'Request blocked - received 403 status code.',
+    });
+  });
+});
@@ -0,0 +1,92 @@
+import { readFile } from 'fs/promises';
+import { describe, expect, it } from 'vitest';
+import {
+  buildJobRecord,
+  datasetSchema,
+  jobRecordSchema,
+  RECORD_FIELDS,
+  SCHEMA_VERSION,
+  seedRecordFields,
+  validateJobRecord,
+} from '../src/record.js';
+
+const valid = () => buildJobRecord({
+  title: 'Payroll Officer',
+  job_url: 'https://www.totaljobs.com/job/payroll-officer/acme-job101',
+  extraction_path: 'json-ld',
+});
+
+describe('buildJobRecord', () => {
+  it('fills every declared field in schema order with its default', () => {
+    const record = valid();
+    expect(Object.keys(record)).toEqual(Object.keys(RECORD_FIELDS));
+    expect(record).toMatchObject({
+      schema_version: SCHEMA_VERSION,
+      company: null,
+      work_mode: 'unknown',
+      salary_is_competitive: false,
+      skills: [],
+      change_type: null,
+    });
+    expect(validateJobRecord(record)).toEqual([]);
+  });
+
+  it('does not share default arrays between records', () => {
+    const a = valid();
+    a.skills.push('SQL');
+    expect(valid().skills).toEqual([]);
+  });
+});
+
+describe('seedRecordFields', () => {
+  it('builds a valid record from a search-results seed', () => {
+    const record = buildJobRecord(seedRecordFields({
+      title: 'Chef',
+      company: 'Acme',
+      salary: '£28,000 per annum',
+      date_posted: '2025-11-18T09:00:00Z',
+      description_html: '<p>Cook things.</p>',
+    }, {
+      url: 'https://www.totaljobs.com/job/chef/acme-job7?src=promoted',
+      now: Date.UTC(2025, 10, 20),
+      description: { baseUrl: 'https://www.totaljobs.com' },
+      extractionPath: 'state',
+    }));
+    expect(record).toMatchObject({
+      job_id: '7',
+      job_url: 'https://www.totaljobs.com/job/chef/acme-job7',
+      salary_min: 28000,
+      date_posted_iso: '2025-11-18T09:00:00.000Z',
+      description_text: 'Cook things.',
+      extraction_path: 'state',
+    });
+    expect(validateJobRecord(record)).toEqual([]);
+  });
+});
+
+describe('validateJobRecord', () => {
+  it('reports type, enum, pattern and undeclared-field errors', () => {
+    const record = { ...valid(), title: null, work_mode: 'office', job_url: 'javascript:alert(1)', skills: ['SQL', 3] };
+    expect(validateJobRecord(buildJobRecord({ ...record, extra: 1 }))).toEqual([
+      'title: must be string, got null',
+      'work_mode: must be one of "remote", "hybrid", "on-site", "unknown"',
+      'skills[1]: must be string',
+      'job_url: must match ^https?://',
+      'extra: is not a declared field',
+    ]);
+  });
+
+  it('reports missing fields', () => {
+    const { company, ...record } = valid();
+    expect(validateJobRecord(record)).toEqual(['company: is missing']);
+  });
+});
+
+describe('dataset schema', () => {
+  it('is generated from the record definition', async () => {
+    const onDisk = JSON.parse(await readFile(new URL('../.actor/dataset_schema.json', import.meta.url), 'utf8'));
+    expect(onDisk).toEqual(datasetSchema());
+    expect(onDisk.fields).toEqual(jobRecordSchema());
+    expect(jobRecordSchema().required).toContain('schema_version');
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, expect, it } from 'vitest';
+import { parseSalary } from '../src/salary.js';
+
+describe('parseSalary', () => {
+  it('parses annual ranges', () => {
+    expect(parseSalary('£25,000 - £30,000 per annum')).toMatchObject({
+      salary: '£25,000 - £30,000 per annum',
+      salary_min: 25000,
+      salary_max: 30000,
+      salary_currency: 'GBP',
+      salary_period: 'year',
+      salary_annual_gbp_min: 25000,
+      salary_annual_gbp_max: 30000,
+    });
+  });
+
+  it('annualises hourly and daily rates', () => {
+    expect(parseSalary('£12.50 per hour')).toMatchObject({
+      salary_period: 'hour',
+      salary_annual_gbp_min: 24375,
+    });
+    expect(parseSalary('£400 - £450 per day')).toMatchObject({
+      salary_period: 'day',
+      salary_annual_gbp_min: 104000,
+      salary_annual_gbp_max: 117000,
+    });
+  });
+
+  it('understands k suffixes and ignores non-salary numbers', () => {
+    expect(parseSalary('£30k-£35k DOE, 25 days holiday')).toMatchObject({
+      salary_min: 30000,
+      salary_max: 35000,
+      salary_period: 'year',
+      salary_is_negotiable: true,
+    });
+  });
+
+  it('keeps the upper bound when only the first number is priced', () => {
+    expect(parseSalary('£35-40k')).toMatchObject({
+      salary_min: 35000,
+      salary_max: 40000,
+      salary_period: 'year',
+      salary_annual_gbp_min: 35000,
+      salary_annual_gbp_max: 40000,
+    });
+    expect(parseSalary('£30k - 35k per annum')).toMatchObject({ salary_min: 30000, salary_max: 35000, salary_period: 'year' });
+    expect(parseSalary('£30,000 - 40,000')).toMatchObject({ salary_min: 30000, salary_max: 40000, salary_period: 'year' });
+    expect(parseSalary('£450 to 500 per day')).toMatchObject({ salary_min: 450, salary_max: 500, salary_period: 'day' });
+  });
+
+  it('treats four-figure amounts without a stated period as monthly', () => {
+    expect(parseSalary('£1,500 - £2,000')).toMatchObject({
+      salary_min: 1500,
+      salary_max: 2000,
+      salary_period: 'month',
+      salary_annual_gbp_min: 18000,
+      salary_annual_gbp_max: 24000,
+    });
+  });
+
+  it('flags text-only salaries', () => {
+    expect(parseSalary('Competitive')).toMatchObject({
+      salary: 'Competitive',
+      salary_min: null,
+      salary_is_competitive: true,
+    });
+    expect(parseSalary('Negotiable plus benefits')).toMatchObject({
+      salary_is_negotiable: true,
+      salary_has_benefits: true,
+    });
+  });
+
+  it('reads schema.org MonetaryAmount values', () => {
+    expect(parseSalary({
+      '@type': 'MonetaryAmount',
+      currency: 'GBP',
+      value: { '@type': 'QuantitativeValue', minValue: 2500, maxValue: 3000, unitText: 'MONTH' },
+    })).toMatchObject({
+      salary: '£2,500 - £3,000 per month',
+      salary_period: 'month',
+      salary_annual_gbp_min: 30000,
+      salary_annual_gbp_max: 36000,
+    });
+    expect(parseSalary({ currency: 'EUR', value: { value: 50000, unitText: 'YEAR' } })).toMatchObject({
+      salary_currency: 'EUR',
+      salary_annual_gbp_min: null,
+    });
+  });
+
+  it('returns empty fields for missing salaries', () => {
+    expect(parseSalary(null)).toMatchObject({ salary: null, salary_min: null, salary_is_competitive: false });
+  });
+});
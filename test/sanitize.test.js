@@ -0,0 +1,61 @@
+import { describe, expect, it } from 'vitest';
+import { htmlToMarkdown, sanitizeHtml } from '../src/sanitize.js';
+
+describe('sanitizeHtml', () => {
+  it('keeps formatting tags and drops scripts, styles, pixels and attributes', () => {
+    const html = `
+      <div class="job-description" style="color:red" onclick="track()">
+        <style>.x { color: red }</style>
+        <script>window.track = () => {};</script>
+        <h2 id="about">About the role</h2>
+        <p style="margin:0">Join our <span class="hl"><strong>finance</strong></span> team.</p>
+        <img src="https://tracker.example/pixel.gif" width="1" height="1">
+        <p></p>
+        <ul><li>Month-end close</li><li><a href="/jobs/finance" target="_blank" rel="nofollow">More jobs</a></li></ul>
+        <nav><a href="/">Home</a></nav>
+      </div>`;
+
+    expect(sanitizeHtml(html, { baseUrl: 'https://www.totaljobs.com' })).toBe([
+      '<h2>About the role</h2>',
+      '<p>Join our <strong>finance</strong> team.</p>',
+      '<ul><li>Month-end close</li><li><a href="https://www.totaljobs.com/jobs/finance">More jobs</a></li></ul>',
+    ].join('\n'));
+  });
+
+  it('removes unsafe link targets but keeps mailto links', () => {
+    const html = '<p><a href="javascript:alert(1)">Click</a> or <a href="mailto:jobs@example.com">email us</a></p>';
+    expect(sanitizeHtml(html)).toBe('<p><a>Click</a> or <a href="mailto:jobs@example.com">email us</a></p>');
+  });
+
+  it('returns an empty string for empty input', () => {
+    expect(sanitizeHtml(null)).toBe('');
+    expect(sanitizeHtml('<script>x()</script>')).toBe('');
+  });
+});
+
+describe('htmlToMarkdown', () => {
+  it('renders headings, paragraphs, lists, emphasis and links', () => {
+    const html = `
+      <h2>About the role</h2>
+      <p>Join our <strong>finance</strong> team in <em>Leeds</em>.</p>
+      <h3>Requirements</h3>
+      <ul><li>ACCA or CIMA</li><li>Excel skills<ul><li>Pivot tables</li></ul></li></ul>
+      <ol><li>Apply online</li><li>Book an <a href="https://example.com/call">intro call</a></li></ol>
+      <p>Line one<br>Line two with snake_case</p>`;
+
+    expect(htmlToMarkdown(html)).toBe([
+      '## About the role',
+      'Join our **finance** team in _Leeds_.',
+      '### Requirements',
+      '- ACCA or CIMA\n- Excel skills\n  - Pivot tables',
+      '1. Apply online\n2. Book an [intro call](https://example.com/call)',
+      'Line one\nLine two with snake\\_case',
+    ].join('\n\n'));
+  });
+
+  it('renders plain text with line breaks and simple tables', () => {
+    expect(htmlToMarkdown('Busy clinic.<br>Apply today')).toBe('Busy clinic.\nApply today');
+    expect(htmlToMarkdown('<table><tr><th>Shift</th><th>Hours</th></tr><tr><td>Early</td><td>6-2</td></tr></table>'))
+      .toBe('| Shift | Hours |\n| --- | --- |\n| Early | 6-2 |');
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, expect, it } from 'vitest';
+import { detectEmployerType } from '../src/employer-type.js';
+import { applySiteFilters, failedSearchFilter, isSortedByDate, parseSearchFilters } from '../src/search-filters.js';
+
+describe('parseSearchFilters', () => {
+  it('applies defaults', () => {
+    expect(parseSearchFilters({})).toEqual({
+      salaryMin: null,
+      jobTypes: [],
+      radius: null,
+      sortBy: 'relevance',
+      employerType: 'any',
+    });
+  });
+
+  it('normalises valid values', () => {
+    expect(parseSearchFilters({
+      salaryMin: '40000',
+      jobTypes: ['Contract', 'contract', 'part-time'],
+      radius: 20,
+      sortBy: 'Date',
+      employerType: 'direct',
+    })).toEqual({
+      salaryMin: 40000,
+      jobTypes: ['contract', 'part-time'],
+      radius: 20,
+      sortBy: 'date',
+      employerType: 'direct',
+    });
+  });
+
+  it.each([
+    [{ salaryMin: -5 }, /salaryMin/],
+    [{ radius: 12.5 }, /radius/],
+    [{ jobTypes: ['freelance'] }, /jobTypes entry "freelance"/],
+    [{ sortBy: 'salary' }, /sortBy/],
+    [{ employerType: 'recruiter' }, /employerType/],
+  ])('rejects %o', (input, message) => {
+    expect(() => parseSearchFilters(input)).toThrow(message);
+  });
+});
+
+describe('applySiteFilters', () => {
+  it('maps filters onto search URL parameters', () => {
+    const filters = parseSearchFilters({ salaryMin: 40000, jobTypes: ['permanent'], radius: 10, sortBy: 'date', employerType: 'agency' });
+    const url = applySiteFilters(new URL('https://www.totaljobs.com/jobs/nurse?Location=Leeds'), filters);
+    expect(url.href).toBe('https://www.totaljobs.com/jobs/nurse?Location=Leeds&Salary=40000&SalaryType=1&WorkType=permanent&Radius=10&Sort=2&RecruiterType=2');
+  });
+
+  it('leaves the URL alone without filters', () => {
+    const url = applySiteFilters(new URL('https://www.totaljobs.com/jobs/nurse'), parseSearchFilters({}));
+    expect(url.href).toBe('https://www.totaljobs.com/jobs/nurse');
+  });
+});
+
+describe('isSortedByDate', () => {
+  it('reads the sort order off a search URL', () => {
+    expect(isSortedByDate('https://www.totaljobs.com/jobs/nurse?Sort=2')).toBe(true);
+    expect(isSortedByDate('https://www.totaljobs.com/jobs/nurse?sort=2&page=3')).toBe(true);
+    expect(isSortedByDate('https://www.totaljobs.com/jobs/nurse')).toBe(false);
+  });
+});
+
+describe('failedSearchFilter', () => {
+  const filters = parseSearchFilters({ salaryMin: 40000, jobTypes: ['permanent'], employerType: 'direct' });
+
+  it('names the first filter a record fails', () => {
+    expect(failedSearchFilter({ salary_annual_gbp_min: 30000, salary_annual_gbp_max: 35000 }, filters)).toBe('salaryMin');
+    expect(failedSearchFilter({ job_type: 'Contract, Full-time' }, filters)).toBe('jobType');
+    expect(failedSearchFilter({ employer_type: 'agency' }, filters)).toBe('employerType');
+  });
+
+  it('keeps records that match or do not carry the value', () => {
+    expect(failedSearchFilter({ salary_annual_gbp_min: 35000, salary_annual_gbp_max: 45000 }, filters)).toBeNull();
+    expect(failedSearchFilter({ job_type: 'Permanent, Full-time', employer_type: 'direct' }, filters)).toBeNull();
+    expect(failedSearchFilter({ job_type: 'FULL_TIME', employer_type: 'unknown' }, filters)).toBeNull();
+    expect(failedSearchFilter({}, filters)).toBeNull();
+  });
+});
+
+describe('detectEmployerType', () => {
+  it.each([
+    [{ siteValue: true }, 'agency'],
+    [{ siteValue: 'Direct Employer' }, 'direct'],
+    [{ company: 'Hays Recruitment' }, 'agency'],
+    [{ company: 'Acme Ltd', description: 'We are recruiting on behalf of our client, a leading retailer.' }, 'agency'],
+    [{ company: 'Acme Ltd', description: 'Apply directly, no agencies please.' }, 'direct'],
+    [{ company: 'Acme Ltd' }, 'unknown'],
+  ])('classifies %o as %s', (signals, expected) => {
+    expect(detectEmployerType(signals)).toBe(expected);
+  });
+});
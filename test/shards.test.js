@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest';
+import { exceedsPageLimit, parseShardOptions, shardReport, splitSearch, SHARD_DIMENSIONS } from '../src/shards.js';
+
+describe('parseShardOptions', () => {
+  it('is off unless exhaustive is set and defaults to every dimension', () => {
+    expect(parseShardOptions({ shardBy: ['location'] })).toBeNull();
+    expect(parseShardOptions({ exhaustive: true })).toEqual({ dimensions: SHARD_DIMENSIONS, pageLimit: 40, maxShards: 200 });
+    expect(parseShardOptions({ exhaustive: true, shardBy: ['Category', 'category'], sitePageLimit: 5 }))
+      .toEqual({ dimensions: ['category'], pageLimit: 5, maxShards: 200 });
+  });
+
+  it('rejects unknown dimensions and limits', () => {
+    expect(() => parseShardOptions({ exhaustive: true, shardBy: ['company'] })).toThrow(/Invalid shardBy entry "company"/);
+    // Cumulative filters don't split a search into separate groups
+    expect(() => parseShardOptions({ exhaustive: true, shardBy: ['salary'] })).toThrow(/expected location, category/);
+    expect(() => parseShardOptions({ exhaustive: true, sitePageLimit: 0 })).toThrow(/sitePageLimit/);
+  });
+});
+
+describe('exceedsPageLimit', () => {
+  it('compares the reported total with what the page limit reaches', () => {
+    expect(exceedsPageLimit(1001, 25, 40)).toBe(true);
+    expect(exceedsPageLimit(1000, 25, 40)).toBe(false);
+    expect(exceedsPageLimit(null, 25, 40)).toBe(false);
+  });
+});
+
+describe('splitSearch', () => {
+  it('splits along the first dimension the search does not filter on yet', () => {
+    const split = splitSearch('https://www.totaljobs.com/jobs/admin?Location=Leeds&page=3', ['location', 'category']);
+    expect(split.dimension).toBe('category');
+    expect(split.shards[0]).toEqual({
+      value: 'Accountancy',
+      url: 'https://www.totaljobs.com/jobs/admin?Location=Leeds&Category=Accountancy',
+    });
+  });
+
+  it('treats /in-<place> paths as a location and returns null when nothing is left', () => {
+    expect(splitSearch('https://www.totaljobs.com/jobs/admin/in-london', ['location'])).toBeNull();
+    const split = splitSearch('https://www.totaljobs.com/jobs/admin', ['location']);
+    expect(split.shards.map((shard) => shard.value)).toContain('Northern Ireland');
+    expect(split.shards).toHaveLength(12);
+  });
+});
+
+describe('shardReport', () => {
+  it('reports reachable results and coverage per shard', () => {
+    const [row] = shardReport([{
+      id: 'q1', parentId: null, filters: {}, url: 'u', total: 2000, perPage: 25, pagesVisited: 40, listed: 1000, split: 'location',
+    }], 40);
+    expect(row).toMatchObject({ total: 2000, reachable: 1000, jobsListed: 1000, splitBy: 'location', coverage: 0.5 });
+  });
+
+  it('counts the results a split leaves out of its shards', () => {
+    const shard = (id, parentId, total, split = null) => ({
+      id, parentId, filters: {}, url: 'u', total, perPage: 25, pagesVisited: 1, listed: 0, split,
+    });
+    const rows = shardReport([shard('q1', null, 2000, 'location'), shard('q1.1', 'q1', 900), shard('q1.2', 'q1', 700)], 40);
+    expect(rows.map((row) => row.notInShards)).toEqual([400, null, null]);
+    expect(shardReport([shard('q1', null, 2000, 'location'), shard('q1.1', 'q1', null)], 40)[0].notInShards).toBeNull();
+  });
+});
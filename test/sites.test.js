@@ -0,0 +1,42 @@
+import { describe, expect, it } from 'vitest';
+import { postingFingerprint, resolveSites, siteForUrl, SITES } from '../src/sites.js';
+
+describe('resolveSites', () => {
+  it('defaults to Totaljobs and keeps the requested order without duplicates', () => {
+    expect(resolveSites([]).map((site) => site.id)).toEqual(['totaljobs']);
+    expect(resolveSites(undefined).map((site) => site.id)).toEqual(['totaljobs']);
+    expect(resolveSites(['CWJobs', 'totaljobs', 'cwjobs']).map((site) => site.id)).toEqual(['cwjobs', 'totaljobs']);
+    expect(resolveSites('milkround')[0].baseUrl).toBe('https://www.milkround.com');
+  });
+
+  it('applies origin overrides and rejects unknown boards', () => {
+    const [site] = resolveSites(['caterer'], { caterer: 'http://127.0.0.1:4000/' });
+    expect(site.baseUrl).toBe('http://127.0.0.1:4000');
+    expect(site.jobPath).toBe(SITES.caterer.jobPath);
+    expect(() => resolveSites(['monster'])).toThrow(/Invalid site "monster"/);
+    expect(() => resolveSites(['cwjobs'], { cwjobs: 'cwjobs.co.uk/jobs' })).toThrow(/Invalid base URL for cwjobs/);
+  });
+});
+
+describe('siteForUrl', () => {
+  it('matches a URL to the board serving it', () => {
+    expect(siteForUrl('https://cwjobs.co.uk/jobs/devops')?.id).toBe('cwjobs');
+    expect(siteForUrl('http://www.totaljobs.com/job/a/b-job1')?.id).toBe('totaljobs');
+    expect(siteForUrl('https://www.indeed.co.uk/jobs')).toBeNull();
+    expect(siteForUrl('not a url')).toBeNull();
+  });
+});
+
+describe('postingFingerprint', () => {
+  it('ignores case, punctuation and "&" vs "and"', () => {
+    const a = postingFingerprint({ title: 'DevOps Engineer', company: 'Smith & Co.', location: 'Leeds, West Yorkshire' });
+    const b = postingFingerprint({ title: 'devops engineer ', company: 'Smith and Co', location: 'Leeds West Yorkshire' });
+    expect(a).toBe('devops engineer|smith and co|leeds west yorkshire');
+    expect(b).toBe(a);
+  });
+
+  it('needs a title and a company', () => {
+    expect(postingFingerprint({ title: 'Chef', location: 'York' })).toBeNull();
+    expect(postingFingerprint({})).toBeNull();
+  });
+});
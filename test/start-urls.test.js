@@ -0,0 +1,53 @@
+import { describe, expect, it } from 'vitest';
+import { resolveSites } from '../src/sites.js';
+import { parseStartUrls } from '../src/start-urls.js';
+
+const SITES = resolveSites(['totaljobs']);
+const SEARCH_URL = 'https://www.totaljobs.com/jobs/data-engineer/in-leeds';
+const JOB_URL = 'https://www.totaljobs.com/job/data-engineer/acme-job12345678';
+
+describe('parseStartUrls', () => {
+  it('sorts search and job page URLs in input order, with their labels', () => {
+    const { urls, invalid } = parseStartUrls([
+      { url: SEARCH_URL, label: 'Leeds data' },
+      JOB_URL,
+      { url: 'https://www.totaljobs.com/jobs/admin', userData: { label: 'Admin' } },
+    ], SITES);
+
+    expect(invalid).toEqual([]);
+    expect(urls.map((u) => [u.type, u.url, u.label, u.site.id])).toEqual([
+      ['search', SEARCH_URL, 'Leeds data', 'totaljobs'],
+      ['job', JOB_URL, null, 'totaljobs'],
+      ['search', 'https://www.totaljobs.com/jobs/admin', 'Admin', 'totaljobs'],
+    ]);
+    expect(urls[1]).toMatchObject({ jobId: '12345678', key: 'totaljobs:job-12345678' });
+  });
+
+  it('accepts other boards at their usual origin and keeps a job page once', () => {
+    const { urls } = parseStartUrls([
+      'https://www.cwjobs.co.uk/jobs/java',
+      JOB_URL,
+      `${JOB_URL}?src=alert`,
+    ], SITES);
+
+    expect(urls.map((u) => [u.type, u.site.id])).toEqual([['search', 'cwjobs'], ['job', 'totaljobs']]);
+  });
+
+  it('reports entries that are not board URLs instead of throwing', () => {
+    const { urls, invalid } = parseStartUrls([
+      'data engineer',
+      'ftp://www.totaljobs.com/jobs/admin',
+      { label: 'No URL' },
+      'https://www.example.com/jobs/admin',
+      SEARCH_URL,
+    ], SITES);
+
+    expect(urls).toHaveLength(1);
+    expect(invalid).toEqual([
+      { url: 'data engineer', reason: 'not_a_url' },
+      { url: 'ftp://www.totaljobs.com/jobs/admin', reason: 'not_a_url' },
+      { url: '{"label":"No URL"}', reason: 'not_a_url' },
+      { url: 'https://www.example.com/jobs/admin', reason: 'off_site' },
+    ]);
+  });
+});
@@ -0,0 +1,201 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { classifyFailure, createRateController, parseThrottleOptions } from '../src/throttle.js';
+
+const silent = { info: () => {}, warning: () => {} };
+
+const OPTIONS = parseThrottleOptions({});
+
+const controller = (context = {}) => {
+  const calls = [];
+  const throttle = createRateController(OPTIONS, {
+    maxConcurrency: 4,
+    cooldownMs: 60_000,
+    log: silent,
+    pool: {
+      setLimits: (limits) => calls.push(['limits', limits]),
+      pause: () => calls.push(['pause']),
+      resume: () => calls.push(['resume']),
+      stop: () => calls.push(['stop']),
+    },
+    ...context,
+  });
+  return { throttle, calls };
+};
+
+const feed = (throttle, outcomes) => outcomes.forEach((outcome) => throttle.record(outcome));
+const times = (n, outcome) => Array(n).fill(outcome);
+
+describe('parseThrottleOptions', () => {
+  it('applies defaults', () => {
+    expect(OPTIONS).toEqual({ maxRate: 120, minRate: 10, slowDownAt: 0.1, openAt: 0.5, cooldownSecs: 60 });
+  });
+
+  it('rejects invalid values', () => {
+    expect(() => parseThrottleOptions({ maxRequestsPerMinute: 0 })).toThrow('Invalid maxRequestsPerMinute');
+    expect(() => parseThrottleOptions({ maxRequestsPerMinute: 20, minRequestsPerMinute: 30 })).toThrow('at most maxRequestsPerMinute');
+    expect(() => parseThrottleOptions({ blockRateThreshold: 1.5 })).toThrow('Invalid blockRateThreshold');
+    expect(() => parseThrottleOptions({ blockRateThreshold: 0.6 })).toThrow('above blockRateThreshold');
+    expect(() => parseThrottleOptions({ circuitCooldownSecs: 0.5 })).toThrow('Invalid circuitCooldownSecs');
+  });
+
+  it('keeps the default minimum below a low maximum', () => {
+    expect(parseThrottleOptions({ maxRequestsPerMinute: 5 }).minRate).toBe(5);
+  });
+});
+
+describe('classifyFailure', () => {
+  it('tells blocks from network errors', () => {
+    expect(classifyFailure('Request blocked - received 403 status code.')).toBe('blocked');
+    expect(classifyFailure('Request blocked - received 429 status code.')).toBe('blocked');
+    expect(classifyFailure('read ECONNRESET')).toBe('network');
+    expect(classifyFailure('The server closed the socket')).toBe('network');
+    expect(classifyFailure('Cannot read properties of undefined')).toBe('other');
+    expect(classifyFailure(undefined)).toBe('other');
+  });
+
+  it('reads the status from the response or error before the message', () => {
+    expect(classifyFailure(new Error('Request failed'), 429)).toBe('blocked');
+    expect(classifyFailure(Object.assign(new Error('Forbidden'), { statusCode: 403 }))).toBe('blocked');
+    expect(classifyFailure('Unexpected status code: 403')).toBe('blocked');
+    // Digits in a URL or job ID are not a status
+    expect(classifyFailure('Cannot parse https://www.totaljobs.com/job/role/acme-job4031?page=429')).toBe('other');
+    expect(classifyFailure(new Error('Request timed out on /jobs/admin?page=429'), 500)).toBe('other');
+  });
+});
+
+describe('createRateController', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('halves rate and concurrency when the block rate reaches the threshold', () => {
+    const { throttle, calls } = controller();
+    feed(throttle, [...times(8, 'ok'), 'blocked', 'network']);
+
+    expect(throttle.rate).toBe(60);
+    expect(throttle.concurrency).toBe(2);
+    expect(throttle.delayFactor).toBe(2);
+    expect(calls).toEqual([['limits', { rate: 60, concurrency: 2 }]]);
+    expect(throttle.report().decisions).toEqual([
+      expect.objectContaining({ action: 'slow_down', blockRate: 0.2, rate: 60, concurrency: 2 }),
+    ]);
+  });
+
+  it('waits for the last change to take effect before changing again', () => {
+    const { throttle } = controller();
+    feed(throttle, [...times(8, 'ok'), 'blocked', 'blocked', 'blocked']);
+    expect(throttle.rate).toBe(60);
+
+    feed(throttle, times(8, 'ok'));
+    expect(throttle.rate).toBe(60);
+    throttle.record('blocked');
+    expect(throttle.rate).toBe(30);
+  });
+
+  it('never goes below the minimum rate', () => {
+    const { throttle } = controller();
+    for (let i = 0; i < 10; i++) feed(throttle, [...times(8, 'ok'), 'blocked', 'blocked']);
+
+    expect(throttle.rate).toBe(10);
+    expect(throttle.concurrency).toBe(1);
+  });
+
+  it('raises the limits again after a clean window', () => {
+    const { throttle } = controller({ state: { rate: 30, concurrency: 1 } });
+    feed(throttle, times(19, 'ok'));
+    expect(throttle.rate).toBe(30);
+
+    throttle.record('ok');
+    expect(throttle.rate).toBe(42);
+    expect(throttle.concurrency).toBe(2);
+
+    feed(throttle, times(200, 'ok'));
+    expect(throttle.rate).toBe(120);
+    expect(throttle.concurrency).toBe(4);
+  });
+
+  it('opens the circuit, probes after the cooldown and closes after clean probes', () => {
+    const { throttle, calls } = controller();
+    feed(throttle, [...times(5, 'ok'), ...times(5, 'blocked')]);
+
+    expect(throttle.circuit).toBe('open');
+    expect(calls).toEqual([['limits', { rate: 10, concurrency: 1 }], ['pause']]);
+    // Requests that were already running don't count while the circuit is open
+    feed(throttle, times(3, 'ok'));
+    expect(throttle.circuit).toBe('open');
+
+    vi.advanceTimersByTime(60_000);
+    expect(throttle.circuit).toBe('half-open');
+    expect(calls.at(-1)).toEqual(['resume']);
+
+    feed(throttle, times(3, 'ok'));
+    expect(throttle.circuit).toBe('closed');
+    expect(throttle.rate).toBe(10);
+
+    const stats = throttle.stats();
+    expect(stats.recentDecisions.map((d) => d.action)).toEqual(['circuit_open', 'half_open', 'circuit_close']);
+    expect(stats).toMatchObject({ circuitOpened: 1, pausedSecs: 60, requests: 16, blocked: 5, decisions: 3 });
+  });
+
+  it('doubles the pause when a probe fails', () => {
+    const { throttle } = controller();
+    feed(throttle, times(10, 'blocked'));
+    vi.advanceTimersByTime(60_000);
+    throttle.record('blocked');
+    expect(throttle.circuit).toBe('open');
+
+    vi.advanceTimersByTime(60_000);
+    expect(throttle.circuit).toBe('open');
+    vi.advanceTimersByTime(60_000);
+    expect(throttle.circuit).toBe('half-open');
+    expect(throttle.stats()).toMatchObject({ circuitOpened: 2, pausedSecs: 180 });
+  });
+
+  it('stops the crawl instead of pausing when less of the time budget is left than the pause', () => {
+    let left = 90_000;
+    const { throttle, calls } = controller({ remainingMs: () => left });
+    feed(throttle, times(10, 'blocked'));
+    expect(calls.at(-1)).toEqual(['pause']);
+
+    // The reopened circuit would pause for 120 s with 30 s left
+    vi.advanceTimersByTime(60_000);
+    left = 30_000;
+    throttle.record('blocked');
+    expect(calls.slice(-2)).toEqual([['limits', { rate: 10, concurrency: 1 }], ['stop']]);
+    expect(throttle.circuit).toBe('open');
+    expect(throttle.report().decisions.at(-1).reason).toBe('probe failed, stopping: 30 s of the time budget left is shorter than the 120 s pause');
+
+    vi.advanceTimersByTime(600_000);
+    expect(throttle.circuit).toBe('open');
+    expect(throttle.stats()).toMatchObject({ circuitOpened: 2, pausedSecs: 60 });
+  });
+
+  it('keeps a per-minute timeline of requests and limits', () => {
+    vi.setSystemTime(new Date('2025-11-20T10:00:30Z'));
+    const { throttle } = controller();
+    feed(throttle, [...times(8, 'ok'), 'blocked', 'network']);
+    vi.setSystemTime(new Date('2025-11-20T10:01:10Z'));
+    feed(throttle, times(2, 'ok'));
+
+    expect(throttle.report().timeline).toEqual([
+      { minute: '2025-11-20T10:00:00.000Z', requests: 10, blocked: 1, networkErrors: 1, rateLimit: 60, concurrency: 2 },
+      { minute: '2025-11-20T10:01:00.000Z', requests: 2, blocked: 0, networkErrors: 0, rateLimit: 60, concurrency: 2 },
+    ]);
+  });
+
+  it('restores limits, totals and decisions from a snapshot with the circuit closed', () => {
+    const { throttle } = controller();
+    feed(throttle, times(10, 'blocked'));
+    const restored = controller({ state: throttle.snapshot() }).throttle;
+
+    expect(restored.circuit).toBe('closed');
+    expect(restored.rate).toBe(10);
+    expect(restored.stats()).toMatchObject({ requests: 10, blocked: 10, circuitOpened: 1, decisions: 1 });
+    expect(restored.report().decisions.map((d) => d.action)).toEqual(['circuit_open']);
+    throttle.stop();
+  });
+});
@@ -0,0 +1,25 @@
+import { describe, expect, it } from 'vitest';
+import { canonicalJobUrl, jobIdentity } from '../src/utils.js';
+
+describe('canonicalJobUrl', () => {
+  it('drops query strings, fragments and trailing slashes and normalises the board host', () => {
+    const canonical = 'https://www.totaljobs.com/job/payroll-officer/acme-job101';
+    expect(canonicalJobUrl('http://totaljobs.com/job/payroll-officer/acme-job101/?utm_source=x#apply')).toBe(canonical);
+    expect(canonicalJobUrl('/job/payroll-officer/acme-job101?TrackingId=9')).toBe(canonical);
+    expect(canonicalJobUrl('http://127.0.0.1:4000/job/a/b-job1?x=1', 'http://127.0.0.1:4000')).toBe('http://127.0.0.1:4000/job/a/b-job1');
+  });
+});
+
+describe('jobIdentity', () => {
+  it('keys jobs by their job ID across slugs', () => {
+    const a = jobIdentity('https://www.totaljobs.com/job/payroll-officer/acme-job101');
+    const b = jobIdentity('https://www.totaljobs.com/job/payroll-clerk/acme-ltd-job101?src=promoted');
+    expect(a.key).toBe('job-101');
+    expect(b).toEqual({ jobId: '101', url: 'https://www.totaljobs.com/job/payroll-clerk/acme-ltd-job101', key: 'job-101' });
+  });
+
+  it('prefers the search state id and falls back to the canonical URL', () => {
+    expect(jobIdentity('https://www.totaljobs.com/job/x/y-job1', { id: 555 }).jobId).toBe('555');
+    expect(jobIdentity('https://www.totaljobs.com/job/no-id/?a=1').key).toBe('https://www.totaljobs.com/job/no-id');
+  });
+});
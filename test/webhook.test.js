@@ -0,0 +1,163 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import { createWebhookSender, parseWebhookOptions, renderTemplate, webhookPayload } from '../src/webhook.js';
+import { startWebhookReceiver } from './helpers/webhook-receiver.js';
+
+const job = (id) => ({
+  title: `Role ${id}`,
+  source_site: 'totaljobs',
+  company: 'Acme & Co',
+  location: 'Leeds',
+  salary: '£30,000',
+  job_url: `https://www.totaljobs.com/job/role/acme-job${id}`,
+});
+
+let receiver;
+
+afterEach(async () => {
+  await receiver?.close();
+  receiver = undefined;
+});
+
+describe('parseWebhookOptions', () => {
+  it('returns null without a URL and applies defaults', () => {
+    expect(parseWebhookOptions({})).toBeNull();
+    expect(parseWebhookOptions({ webhookUrl: 'https://hooks.example.com/jobs' })).toEqual({
+      url: 'https://hooks.example.com/jobs',
+      headers: {},
+      format: 'json',
+      batchSize: 25,
+      maxRetries: 3,
+      template: null,
+    });
+  });
+
+  it('maps the auth header to Authorization or a named header', () => {
+    expect(parseWebhookOptions({ webhookUrl: 'https://x.test', webhookAuthHeader: 'Bearer abc' }).headers)
+      .toEqual({ Authorization: 'Bearer abc' });
+    expect(parseWebhookOptions({ webhookUrl: 'https://x.test', webhookAuthHeader: 'X-Api-Key: abc' }).headers)
+      .toEqual({ 'X-Api-Key': 'abc' });
+  });
+
+  it('rejects invalid values', () => {
+    expect(() => parseWebhookOptions({ webhookUrl: 'ftp://x.test' })).toThrow(/Invalid webhookUrl/);
+    expect(() => parseWebhookOptions({ webhookUrl: 'https://x.test', webhookFormat: 'teams' })).toThrow(/Invalid webhookFormat/);
+    expect(() => parseWebhookOptions({ webhookUrl: 'https://x.test', webhookBatchSize: 0 })).toThrow(/Invalid webhookBatchSize/);
+    expect(() => parseWebhookOptions({ webhookUrl: 'https://x.test', webhookPayloadTemplate: '{"jobs": {{jobs}' }))
+      .toThrow(/Invalid webhookPayloadTemplate/);
+  });
+});
+
+describe('webhookPayload', () => {
+  it('renders templates with JSON values', () => {
+    expect(renderTemplate('{"n": {{count}}, "items": {{ jobs }}, "keep": "{{other}}"}', { count: 2, jobs: [1] }))
+      .toBe('{"n": 2, "items": [1], "keep": "{{other}}"}');
+  });
+
+  it('builds Slack messages with escaped links', () => {
+    const body = JSON.parse(webhookPayload('jobs', { jobs: [job(1)], batch: 1 }, { format: 'slack', template: null }));
+    expect(body).toEqual({
+      text: '1 new job on Totaljobs\n• <https://www.totaljobs.com/job/role/acme-job1|Role 1> — Acme &amp; Co · Leeds · £30,000',
+    });
+    const done = JSON.parse(webhookPayload('run_complete', {
+      stats: { endReason: 'target', jobsSaved: 5, pagesVisited: 1, runTimeSecs: 3, sites: ['totaljobs', 'cwjobs'] },
+    }, { format: 'slack', template: null }));
+    expect(done.text).toBe('Totaljobs and CWJobs run finished (target): 5 jobs saved from 1 pages in 3s');
+
+    // Sister boards are named from the jobs' source_site; unknown boards fall back to neutral wording
+    const cwjobs = JSON.parse(webhookPayload('jobs', { jobs: [{ ...job(2), source_site: 'cwjobs' }, job(3)] }, { format: 'slack', template: null }));
+    expect(cwjobs.text.split('\n')[0]).toBe('2 new jobs on CWJobs and Totaljobs');
+    const plain = JSON.parse(webhookPayload('jobs', { jobs: [{ ...job(4), source_site: null }] }, { format: 'slack', template: null }));
+    expect(plain.text.split('\n')[0]).toBe('1 new job');
+    expect(JSON.parse(webhookPayload('run_complete', { stats: {} }, { format: 'slack', template: null })).text)
+      .toBe('Run finished (unknown): 0 jobs saved from 0 pages in 0s');
+  });
+});
+
+describe('createWebhookSender', () => {
+  it('posts batches in order and a final run-complete call to a local receiver', async () => {
+    receiver = await startWebhookReceiver();
+    const sender = createWebhookSender(parseWebhookOptions({
+      webhookUrl: receiver.url,
+      webhookAuthHeader: 'Bearer secret',
+      webhookBatchSize: 2,
+    }), { retryDelayMs: 0, runId: 'run1' });
+
+    sender.add([job(1)]);
+    sender.add([job(2), job(3)]);
+    await sender.complete({ jobsSaved: 3 });
+
+    expect(receiver.delivered()).toEqual([
+      { event: 'jobs', batch: 1, batchId: 'run1-1', count: 2, jobs: [job(1), job(2)] },
+      { event: 'jobs', batch: 2, batchId: 'run1-2', count: 1, jobs: [job(3)] },
+      { event: 'run_complete', stats: { jobsSaved: 3 } },
+    ]);
+    expect(receiver.requests[0].headers.authorization).toBe('Bearer secret');
+    expect(receiver.requests[0].headers['content-type']).toBe('application/json');
+    expect(sender.stats).toEqual({ batchesSent: 2, jobsSent: 3, failedDeliveries: 0 });
+  });
+
+  it('retries server errors and dropped connections', async () => {
+    receiver = await startWebhookReceiver({ statuses: [500, 'drop', 429] });
+    const sender = createWebhookSender(parseWebhookOptions({ webhookUrl: receiver.url }), { retryDelayMs: 0 });
+
+    sender.add([job(1)]);
+    await sender.flush();
+
+    expect(receiver.requests).toHaveLength(4);
+    expect(receiver.delivered()).toHaveLength(1);
+    expect(sender.failures).toEqual([]);
+  });
+
+  it('keeps failed deliveries with their body for replay', async () => {
+    receiver = await startWebhookReceiver({ statuses: [503, 503, 400] });
+    const sender = createWebhookSender(parseWebhookOptions({ webhookUrl: receiver.url, webhookMaxRetries: 1 }), { retryDelayMs: 0 });
+
+    sender.add([job(1)]);
+    await sender.flush();
+    sender.add([job(2)]);
+    await sender.flush();
+
+    // 503 twice uses up the single retry; 400 is not retried
+    expect(receiver.requests).toHaveLength(3);
+    expect(sender.failures.map(({ status, attempts }) => ({ status, attempts }))).toEqual([
+      { status: 503, attempts: 2 },
+      { status: 400, attempts: 1 },
+    ]);
+    expect(JSON.parse(sender.failures[0].body).jobs).toEqual([job(1)]);
+    expect(sender.stats).toEqual({ batchesSent: 0, jobsSent: 0, failedDeliveries: 2 });
+  });
+
+  it('restores unsent jobs from a snapshot', async () => {
+    receiver = await startWebhookReceiver();
+    const options = parseWebhookOptions({ webhookUrl: receiver.url, webhookBatchSize: 5 });
+    const first = createWebhookSender(options, { retryDelayMs: 0, runId: 'run1' });
+    first.add([job(1), job(2)]);
+
+    const resumed = createWebhookSender(options, { retryDelayMs: 0, state: JSON.parse(JSON.stringify(first.snapshot())) });
+    await resumed.flush();
+
+    expect(receiver.delivered()).toEqual([{ event: 'jobs', batch: 1, batchId: 'run1-1', count: 2, jobs: [job(1), job(2)] }]);
+  });
+
+  it('sends a batch that was being delivered again under the same id after a resume', async () => {
+    receiver = await startWebhookReceiver();
+    const options = parseWebhookOptions({ webhookUrl: receiver.url, webhookBatchSize: 2 });
+    const first = createWebhookSender(options, { retryDelayMs: 0, runId: 'run1' });
+    first.add([job(1), job(2), job(3)]);
+    // Checkpointed while batch 1 is on its way; it then arrives before the run migrates
+    const state = JSON.parse(JSON.stringify(first.snapshot()));
+    await first.add([]);
+    expect(state).toMatchObject({ inFlight: [{ batch: 1, jobs: [job(1), job(2)] }], pending: [job(3)], batchNumber: 1 });
+
+    const resumed = createWebhookSender(options, { retryDelayMs: 0, runId: 'run2', state });
+    resumed.add([job(4)]);
+    await resumed.flush();
+
+    expect(receiver.delivered().map((body) => [body.batchId, body.jobs.length])).toEqual([
+      ['run1-1', 2],
+      ['run1-1', 2],
+      ['run1-2', 2],
+    ]);
+    expect(first.snapshot()).toMatchObject({ inFlight: [], pending: [job(3)] });
+  });
+});
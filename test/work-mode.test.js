@@ -0,0 +1,28 @@
+import { describe, expect, it } from 'vitest';
+import { detectWorkMode, parseWorkModeInput } from '../src/work-mode.js';
+
+describe('detectWorkMode', () => {
+  it.each([
+    [{ locationType: 'TELECOMMUTE', location: 'London' }, 'remote'],
+    [{ location: 'Remote' }, 'remote'],
+    [{ location: 'Hybrid - London' }, 'hybrid'],
+    [{ locationType: 'TELECOMMUTE', location: 'Hybrid - Leeds' }, 'hybrid'],
+    [{ siteFlag: 'Partial', location: 'Bristol' }, 'hybrid'],
+    [{ siteFlag: true }, 'remote'],
+    [{ location: 'Leeds', description: 'Hybrid working, 2 days a week in the office.' }, 'hybrid'],
+    [{ location: 'Leeds', description: 'This is a fully remote role.' }, 'remote'],
+    [{ location: 'Leeds', description: 'This role is office-based in our Leeds HQ.' }, 'on-site'],
+    [{ location: 'Leeds', description: 'Maintain remote monitoring equipment.' }, 'unknown'],
+    [{}, 'unknown'],
+  ])('classifies %o as %s', (signals, expected) => {
+    expect(detectWorkMode(signals)).toBe(expected);
+  });
+});
+
+describe('parseWorkModeInput', () => {
+  it('normalises strings and arrays and drops unknown values', () => {
+    expect(parseWorkModeInput('Remote')).toEqual(['remote']);
+    expect(parseWorkModeInput(['hybrid', 'onsite', 'office', 'anywhere'])).toEqual(['hybrid', 'on-site']);
+    expect(parseWorkModeInput(undefined)).toEqual([]);
+  });
+});